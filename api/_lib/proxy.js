@@ -0,0 +1,140 @@
+// Server-side proxy for market data APIs. Provider keys are read from the
+// server environment and added here, so they never reach the browser.
+// Each function instance keeps a response cache and a per-minute call budget
+// shared by every client it serves.
+
+const ONE_MINUTE = 60 * 1000;
+const MAX_CACHE_SIZE = 500;
+
+const parseJson = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+};
+
+const sendJson = (res, status, body, headers = {}) => {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  Object.entries(headers).forEach(([name, value]) => res.setHeader(name, value));
+  res.end(typeof body === 'string' ? body : JSON.stringify(body));
+};
+
+/**
+ * Creates a Node request handler (Vercel function or dev middleware) that
+ * forwards whitelisted GET endpoints to a provider.
+ *
+ * @param {Object} options
+ * @param {string} options.name - Provider name for logs and errors.
+ * @param {string} options.prefix - Public path prefix, e.g. '/api/finnhub'.
+ * @param {string} options.baseUrl - Upstream API root.
+ * @param {string} options.keyEnv - Environment variable holding the API key.
+ * @param {string} options.keyParam - Query parameter the upstream expects the key in.
+ * @param {Object} options.endpoints - Allowed upstream paths mapped to cache TTLs in ms.
+ * @param {number} options.maxCallsPerMinute - Upstream calls allowed per instance per minute.
+ * @param {Object} [options.extraParams] - Added to every upstream request.
+ * @param {function(Object): boolean} [options.isErrorBody] - Flags errors sent with a 200 status, which are not cached.
+ */
+export const createProxyHandler = ({
+  name,
+  prefix,
+  baseUrl,
+  keyEnv,
+  keyParam,
+  endpoints,
+  maxCallsPerMinute,
+  extraParams = {},
+  isErrorBody = () => false
+}) => {
+  const cache = new Map();
+  let recentCalls = [];
+
+  const getCached = (key, ttl) => {
+    const cached = cache.get(key);
+    if (cached && Date.now() - cached.timestamp < ttl) return cached;
+    return null;
+  };
+
+  const setCached = (key, entry) => {
+    if (!cache.has(key) && cache.size >= MAX_CACHE_SIZE) {
+      cache.delete(cache.keys().next().value);
+    }
+    cache.set(key, { ...entry, timestamp: Date.now() });
+  };
+
+  // Returns 0 and records the call, or the milliseconds until one is allowed
+  const reserveCall = () => {
+    const now = Date.now();
+    recentCalls = recentCalls.filter(time => now - time < ONE_MINUTE);
+    if (recentCalls.length >= maxCallsPerMinute) {
+      return recentCalls[0] + ONE_MINUTE - now;
+    }
+    recentCalls.push(now);
+    return 0;
+  };
+
+  return async (req, res) => {
+    if (req.method !== 'GET') {
+      sendJson(res, 405, { error: 'Method not allowed' }, { Allow: 'GET' });
+      return;
+    }
+
+    // The vercel.json rewrite passes the endpoint as ?path=, the dev server keeps it in the URL
+    const url = new URL(req.url, 'http://localhost');
+    const rewrittenPath = url.searchParams.get('path');
+    const path = rewrittenPath !== null ? `/${rewrittenPath}` : url.pathname.slice(prefix.length) || '/';
+    url.searchParams.delete('path');
+    const ttl = endpoints[path];
+    if (ttl === undefined) {
+      sendJson(res, 404, { error: `Unknown ${name} endpoint: ${path}` });
+      return;
+    }
+
+    const apiKey = process.env[keyEnv];
+    if (!apiKey) {
+      console.error(`${keyEnv} is not configured`);
+      sendJson(res, 500, { error: `${name} proxy is not configured` });
+      return;
+    }
+
+    // Clients never send keys; drop any that do so they can't override ours
+    url.searchParams.delete(keyParam);
+    url.searchParams.sort();
+    const cacheKey = `${path}?${url.searchParams}`;
+
+    const cached = getCached(cacheKey, ttl);
+    if (cached) {
+      sendJson(res, cached.status, cached.body, { 'X-Proxy-Cache': 'HIT' });
+      return;
+    }
+
+    const waitTime = reserveCall();
+    if (waitTime > 0) {
+      sendJson(res, 429, { error: `${name} rate limit reached, retry later` }, {
+        'Retry-After': Math.ceil(waitTime / 1000).toString()
+      });
+      return;
+    }
+
+    const upstream = new URL(`${baseUrl}${path}`);
+    url.searchParams.forEach((value, key) => upstream.searchParams.set(key, value));
+    Object.entries(extraParams).forEach(([key, value]) => upstream.searchParams.set(key, value));
+    upstream.searchParams.set(keyParam, apiKey);
+
+    try {
+      const response = await fetch(upstream);
+      const body = await response.text();
+
+      // Only successful answers are cached; errors should be retried upstream
+      if (response.ok && !isErrorBody(parseJson(body))) {
+        setCached(cacheKey, { status: response.status, body });
+      }
+
+      sendJson(res, response.status, body, { 'X-Proxy-Cache': 'MISS' });
+    } catch (error) {
+      console.error(`${name} proxy request to ${path} failed:`, error.message);
+      sendJson(res, 502, { error: `${name} is unreachable` });
+    }
+  };
+};
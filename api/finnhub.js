@@ -0,0 +1,16 @@
+import { createProxyHandler } from './_lib/proxy.js';
+
+// Finnhub REST proxy: /api/finnhub/<endpoint>?<params>
+export default createProxyHandler({
+  name: 'Finnhub',
+  prefix: '/api/finnhub',
+  baseUrl: 'https://finnhub.io/api/v1',
+  keyEnv: 'FINNHUB_API_KEY',
+  keyParam: 'token',
+  endpoints: {
+    '/quote': 15 * 1000,
+    '/stock/candle': 60 * 1000,
+    '/search': 24 * 60 * 60 * 1000
+  },
+  maxCallsPerMinute: 30 // Free tier
+});
@@ -0,0 +1,18 @@
+import { createProxyHandler } from './_lib/proxy.js';
+
+// Twelve Data REST proxy: /api/twelvedata/<endpoint>?<params>
+export default createProxyHandler({
+  name: 'Twelve Data',
+  prefix: '/api/twelvedata',
+  baseUrl: 'https://api.twelvedata.com',
+  keyEnv: 'TWELVE_DATA_API_KEY',
+  keyParam: 'apikey',
+  endpoints: {
+    '/quote': 60 * 1000,
+    '/time_series': 5 * 60 * 1000,
+    '/symbol_search': 24 * 60 * 60 * 1000
+  },
+  maxCallsPerMinute: 8, // Free tier
+  // Twelve Data reports errors, including exhausted credits, with a 200 status
+  isErrorBody: (data) => !data || data.status === 'error'
+});
@@ -0,0 +1,105 @@
+// Local stand-in for Finnhub's trade WebSocket. Replays recorded trade
+// messages to subscribed clients with their original spacing, shifted to the
+// current time so they land in the chart's live bar.
+//
+// Usage:
+//   npm run replay:trades -- [--port 8787] [--speed 1] [--drop-every 0] [--file path]
+// then start the app with VITE_FINNHUB_WS_URL=ws://localhost:8787
+//
+// --drop-every N closes every connection after N seconds to exercise reconnects.
+
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { WebSocketServer } from 'ws';
+
+const readOption = (name, fallback) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+};
+
+const PORT = parseInt(readOption('port', '8787'), 10);
+const SPEED = parseFloat(readOption('speed', '1'));
+const DROP_EVERY = parseFloat(readOption('drop-every', '0')) * 1000;
+const FIXTURE = readOption('file', fileURLToPath(new URL('./fixtures/finnhub-trades.json', import.meta.url)));
+const PING_INTERVAL = 20000;
+
+const recording = JSON.parse(readFileSync(FIXTURE, 'utf8')).filter(message => message.type === 'trade');
+if (recording.length === 0) {
+  console.error(`No trade messages in ${FIXTURE}`);
+  process.exit(1);
+}
+
+const firstTradeTime = Math.min(...recording[0].data.map(trade => trade.t));
+const lastTradeTime = Math.max(...recording[recording.length - 1].data.map(trade => trade.t));
+const loopDuration = (lastTradeTime - firstTradeTime) / SPEED;
+
+// Milliseconds after the start of a loop at which a recorded message is sent
+const offsetOf = (message) => (message.data[0].t - firstTradeTime) / SPEED;
+
+const replayTo = (socket, subscriptions) => {
+  const timers = new Set();
+
+  const playLoop = () => {
+    const loopStart = Date.now();
+
+    recording.forEach(message => {
+      const timer = setTimeout(() => {
+        timers.delete(timer);
+        const data = message.data
+          .filter(trade => subscriptions.has(trade.s))
+          .map(trade => ({ ...trade, t: loopStart + (trade.t - firstTradeTime) / SPEED }));
+
+        if (data.length > 0 && socket.readyState === socket.OPEN) {
+          socket.send(JSON.stringify({ type: 'trade', data }));
+        }
+      }, offsetOf(message));
+      timers.add(timer);
+    });
+
+    const next = setTimeout(() => {
+      timers.delete(next);
+      playLoop();
+    }, loopDuration + 1000);
+    timers.add(next);
+  };
+
+  playLoop();
+  return () => timers.forEach(timer => clearTimeout(timer));
+};
+
+const server = new WebSocketServer({ port: PORT });
+
+server.on('connection', (socket) => {
+  const subscriptions = new Set();
+  const stopReplay = replayTo(socket, subscriptions);
+  const ping = setInterval(() => socket.send(JSON.stringify({ type: 'ping' })), PING_INTERVAL);
+  const drop = DROP_EVERY > 0 ? setTimeout(() => socket.close(), DROP_EVERY) : null;
+
+  console.log('Client connected');
+
+  socket.on('message', (raw) => {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch {
+      socket.send(JSON.stringify({ type: 'error', msg: 'Invalid JSON' }));
+      return;
+    }
+
+    if (message.type === 'subscribe') {
+      subscriptions.add(message.symbol);
+    } else if (message.type === 'unsubscribe') {
+      subscriptions.delete(message.symbol);
+    }
+    console.log(`${message.type} ${message.symbol} (${subscriptions.size} subscribed)`);
+  });
+
+  socket.on('close', () => {
+    stopReplay();
+    clearInterval(ping);
+    clearTimeout(drop);
+    console.log('Client disconnected');
+  });
+});
+
+console.log(`Replaying ${recording.length} trade messages from ${FIXTURE} on ws://localhost:${PORT}`);
@@ -1,26 +1,22 @@
-import React, { useState, useEffect } from 'react';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine } from 'recharts';
-import { TrendingUp, TrendingDown, DollarSign, BarChart3, Clock, Target, Wifi, WifiOff, ExternalLink } from 'lucide-react';
+import React, { useState, useEffect, useRef } from 'react';
+import { Line, ReferenceLine } from 'recharts';
+import { TrendingUp, TrendingDown, DollarSign, BarChart3, Clock, Target, Wifi, WifiOff, ExternalLink, AlertTriangle, Radio } from 'lucide-react';
 import { getMarketData, getPriceHistoryStats, clearPriceHistory } from './services/api';
+import { canComputeSignals, isStrictMode, setStrictMode, DATA_SOURCE } from './services/provenance';
+import { applyTrade } from './services/candles';
+import { withEMA, updateLatestEMA, isReady } from './services/indicators';
+import { createTradeStream, STREAM_STATUS } from './services/finnhubStream';
+import { finnhubProvider } from './services/providers/finnhub';
+import { PRIORITY } from './services/providers';
+import { createSharedPoll } from './services/tabCoordinator';
+import { DataError, ERROR_KIND, serializeError, describeError } from './services/errors';
+import ProvenanceBadge from './components/ProvenanceBadge';
+import PriceChart, { ChartTypeSwitch } from './components/PriceChart';
+import { loadChartType, saveChartType, showsRange, toOHLC } from './components/chartTypes';
 import './App.css';
 
 // Data processing functions
 
-// Calculate EMA 20
-const calculateEMA = (data, period = 20) => {
-  const multiplier = 2 / (period + 1);
-  const emaData = [...data];
-  
-  // Start with first price as initial EMA
-  emaData[0].ema20 = data[0].price;
-  
-  for (let i = 1; i < data.length; i++) {
-    emaData[i].ema20 = (data[i].price * multiplier) + (emaData[i-1].ema20 * (1 - multiplier));
-  }
-  
-  return emaData;
-};
-
 // Calculate percentage change from recent high/low
 const calculatePercentageChange = (data) => {
   if (data.length < 2) return { change: 0, fromHigh: false };
@@ -49,9 +45,31 @@ const getSignal = (price, ema) => {
   return { signal: 'SELL', color: '#ef4444', icon: TrendingDown };
 };
 
+// Shown instead of a signal when strict mode rejects the data or the EMA is still warming up
+const NO_SIGNAL = { signal: 'NO SIGNAL', color: '#6b7280', icon: AlertTriangle };
+
+// Tooltip labels for the series drawn on the price chart
+const SERIES_NAMES = {
+  price: 'Stock Price',
+  ema20: 'EMA 20'
+};
+
+// Chart symbols, also the watchlist streamed in live mode
+const symbols = [
+  { value: 'AAPL', label: 'Apple (AAPL)', color: '#0071e3' },
+  { value: 'GOOGL', label: 'Google (GOOGL)', color: '#4285f4' },
+  { value: 'TSLA', label: 'Tesla (TSLA)', color: '#e31937' },
+  { value: 'ASML', label: 'ASML (ASML)', color: '#00a4ef' },
+  { value: 'PLTR', label: 'Palantir (PLTR)', color: '#ff6b35' },
+  { value: 'NVDA', label: 'NVIDIA (NVDA)', color: '#76b900' },
+  { value: 'AMD', label: 'AMD (AMD)', color: '#ed1c24' },
+  { value: 'BTC/USD', label: 'Bitcoin (BTC)', color: '#f7931a' },
+  { value: 'QQQ', label: 'NASDAQ 100 (QQQ)', color: '#8b5cf6' }
+];
+
 function FinnhubPage({ onBack }) {
   const [selectedSymbol, setSelectedSymbol] = useState('AAPL');
-  const [selectedTimeframe, setSelectedTimeframe] = useState('1h');
+  const [selectedTimeframe, setSelectedTimeframe] = useState('60min');
   const [chartData, setChartData] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -60,25 +78,64 @@ function FinnhubPage({ onBack }) {
   const [consecutiveFailures, setConsecutiveFailures] = useState(0);
   const [cacheStatus, setCacheStatus] = useState('loading');
   const [priceHistoryStats, setPriceHistoryStats] = useState({});
+  const [provenance, setProvenance] = useState(null);
+  const [strictMode, setStrictModeState] = useState(() => isStrictMode());
+  const [streaming, setStreaming] = useState(false);
+  const [chartType, setChartType] = useState(loadChartType);
+  const [streamStatus, setStreamStatus] = useState({ status: STREAM_STATUS.CLOSED });
+  const [livePrices, setLivePrices] = useState({});
 
-  const symbols = [
-    { value: 'AAPL', label: 'Apple (AAPL)', color: '#0071e3' },
-    { value: 'GOOGL', label: 'Google (GOOGL)', color: '#4285f4' },
-    { value: 'TSLA', label: 'Tesla (TSLA)', color: '#e31937' },
-    { value: 'ASML', label: 'ASML (ASML)', color: '#00a4ef' },
-    { value: 'PLTR', label: 'Palantir (PLTR)', color: '#ff6b35' },
-    { value: 'NVDA', label: 'NVIDIA (NVDA)', color: '#76b900' },
-    { value: 'AMD', label: 'AMD (AMD)', color: '#ed1c24' },
-    { value: 'BTC/USD', label: 'Bitcoin (BTC)', color: '#f7931a' },
-    { value: 'QQQ', label: 'NASDAQ 100 (QQQ)', color: '#8b5cf6' }
-  ];
+  // Series the chart currently shows, so trades for another symbol or a
+  // series still loading are not folded into it
+  const liveSeriesRef = useRef(null);
 
   const timeframes = [
-    { value: '1h', label: '1 Hour' },
-    { value: '4h', label: '4 Hours' }
+    { value: '1min', label: '1 Minute' },
+    { value: '5min', label: '5 Minutes' },
+    { value: '15min', label: '15 Minutes' },
+    { value: '30min', label: '30 Minutes' },
+    { value: '60min', label: '1 Hour' },
+    { value: '4h', label: '4 Hours' },
+    { value: '1day', label: '1 Day' }
   ];
 
   useEffect(() => {
+    const applyMarketData = async (marketData) => {
+      // Calculate EMA for the historical data
+      const dataWithEMA = withEMA(marketData.history, { period: 20, key: 'ema20' });
+      setChartData(dataWithEMA);
+      liveSeriesRef.current = { symbol: selectedSymbol, timeframe: selectedTimeframe };
+      setProvenance(marketData.provenance);
+      setLastUpdate(marketData.lastUpdated);
+      
+      // Reset consecutive failures on success
+      setConsecutiveFailures(0);
+      setError(null);
+      setCacheStatus('success');
+      
+      console.log('Data fetched successfully:', marketData);
+      
+      // Update price history stats
+      setPriceHistoryStats(await getPriceHistoryStats());
+    };
+
+    const handleFetchError = (err) => {
+      console.error('API Error:', err);
+      
+      // Track consecutive failures
+      setConsecutiveFailures(prev => prev + 1);
+      setCacheStatus('error');
+      
+      // Kept as plain data so the header and banner can branch on its kind
+      setError(serializeError(err));
+      
+      // Don't show any data when API fails
+      setChartData([]);
+      liveSeriesRef.current = null;
+      setProvenance(null);
+      setLastUpdate(null);
+    };
+
     const fetchData = async () => {
       setLoading(true);
       setError(null);
@@ -88,98 +145,98 @@ function FinnhubPage({ onBack }) {
         setIsOnline(navigator.onLine);
         
         if (!navigator.onLine) {
-          throw new Error('No internet connection');
+          throw new DataError(ERROR_KIND.NETWORK, 'No internet connection', { provider: 'finnhub' });
         }
         
         // Fetch real-time data
-        const marketData = await getMarketData(selectedSymbol, selectedTimeframe);
-        
-        // Calculate EMA for the historical data
-        const dataWithEMA = calculateEMA(marketData.history);
-        setChartData(dataWithEMA);
-        setLastUpdate(marketData.lastUpdated);
-        
-        // Reset consecutive failures on success
-        setConsecutiveFailures(0);
-        setError(null);
-        setCacheStatus('success');
-        
-        console.log('Data fetched successfully:', marketData);
-        
-        // Update price history stats
-        setPriceHistoryStats(getPriceHistoryStats());
-        
+        const marketData = await getMarketData(selectedSymbol, selectedTimeframe, 'finnhub', { strict: strictMode });
+        await applyMarketData(marketData);
       } catch (err) {
-        console.error('API Error:', err);
-        
-        // Track consecutive failures
-        setConsecutiveFailures(prev => prev + 1);
-        setCacheStatus('error');
-        
-        // Create user-friendly error message
-        let errorMessage = 'Unable to fetch real-time data';
-        
-        // Handle different error types
-        if (err && err.message) {
-          if (err.message.includes('401')) {
-            errorMessage = 'API key invalid or expired. Please check your API key.';
-          } else if (err.message.includes('rate limit') || err.message.includes('429')) {
-            errorMessage = 'API rate limit exceeded. Please wait before trying again.';
-          } else if (err.message.includes('Network connection failed') || err.message.includes('ERR_NETWORK')) {
-            errorMessage = 'Network connection failed. Please check your internet connection.';
-          } else if (err.message.includes('No internet')) {
-            errorMessage = 'No internet connection. Please check your internet connection.';
-          } else if (err.message.includes('Too Many Requests')) {
-            errorMessage = 'API rate limit exceeded. Please wait before trying again.';
-          } else if (err.message.includes('CORS')) {
-            errorMessage = 'CORS error. Please try again or check your network settings.';
-          } else if (err.message.includes('API limit reached')) {
-            errorMessage = 'API limit reached. Please wait before trying again.';
-          } else if (err.message.includes('Invalid symbol')) {
-            errorMessage = 'Invalid symbol or no data available. Please try a different symbol.';
-          } else if (err.message.includes('403') || err.message.includes('forbidden')) {
-            errorMessage = 'API access forbidden. Please check your API key or upgrade your plan.';
-          } else if (err.message.includes("You don't have access to this resource")) {
-            errorMessage = 'API access denied. Please check your API key or upgrade your plan.';
-          } else {
-            errorMessage = err.message;
-          }
-        } else if (err && err.error) {
-          errorMessage = `API Error: ${err.error}`;
-        } else {
-          errorMessage = 'Unknown error occurred. Please try again.';
-        }
-        
-        setError(errorMessage);
-        setCacheStatus('error');
-        
-        // Don't show any data when API fails
-        setChartData([]);
-        setLastUpdate(null);
+        handleFetchError(err);
       } finally {
         setLoading(false);
       }
     };
     
+    liveSeriesRef.current = null;
     fetchData();
     
-    // Set up auto-refresh (default 30 seconds with Finnhub)
+    // The trade stream keeps the chart current, so polling is only needed without it
+    if (streaming) return;
+
+    // Refreshes are polled by one tab per series and shared with every tab showing it
     const refreshInterval = parseInt(import.meta.env.VITE_REFRESH_INTERVAL) || 120000; // 2 minutes for better rate limiting
-    const interval = setInterval(fetchData, refreshInterval);
-    
-    return () => clearInterval(interval);
-  }, [selectedSymbol, selectedTimeframe]);
+    return createSharedPoll({
+      name: `finnhub_${selectedSymbol}_${selectedTimeframe}_${strictMode ? 'strict' : 'any'}`,
+      intervalMs: refreshInterval,
+      run: async (emit) => emit(await getMarketData(selectedSymbol, selectedTimeframe, 'finnhub', {
+        strict: strictMode,
+        priority: PRIORITY.AUTO_CHECK
+      })),
+      onResult: ({ data, error }) => (error ? handleFetchError(error) : applyMarketData(data))
+    });
+  }, [selectedSymbol, selectedTimeframe, strictMode, streaming]);
+
+  // Live trade stream for the whole watchlist
+  useEffect(() => {
+    if (!streaming) return;
+
+    const handleTrades = (trades) => {
+      setLivePrices(prev => {
+        const next = { ...prev };
+        trades.forEach(trade => { next[trade.symbol] = trade.price; });
+        return next;
+      });
+
+      const series = liveSeriesRef.current;
+      const chartTrades = series ? trades.filter(trade => trade.symbol === series.symbol) : [];
+      if (chartTrades.length === 0) return;
+
+      const getSessionOpen = finnhubProvider.getSessionOpenFor(series.symbol, series.timeframe);
+      setChartData(prev => chartTrades.reduce(
+        (candles, trade) => updateLatestEMA(applyTrade(candles, trade, series.timeframe, DATA_SOURCE.LIVE, getSessionOpen), { period: 20, key: 'ema20' }),
+        prev
+      ));
+      setLastUpdate(new Date(chartTrades[chartTrades.length - 1].timestamp).toISOString());
+    };
+
+    const stream = createTradeStream({
+      url: finnhubProvider.streamUrl,
+      onTrades: handleTrades,
+      onStatusChange: (status, details) => setStreamStatus({ status, ...details })
+    });
+    stream.subscribe(symbols.map(symbol => symbol.value));
+    stream.connect();
+
+    return () => stream.disconnect();
+  }, [streaming]);
+
+  const handleChartTypeChange = (type) => {
+    setChartType(type);
+    saveChartType(type);
+  };
+
+  const handleStrictModeChange = (enabled) => {
+    setStrictMode(enabled);
+    setStrictModeState(enabled);
+  };
+
+  const storedSeries = priceHistoryStats[selectedSymbol]?.[selectedTimeframe];
 
   const currentData = chartData[chartData.length - 1];
-  const signal = currentData ? getSignal(currentData.price, currentData.ema20) : null;
+  const signalsAllowed = canComputeSignals(chartData, strictMode);
+  const signal = currentData
+    ? (signalsAllowed && isReady(currentData, 'ema20') ? getSignal(currentData.price, currentData.ema20) : NO_SIGNAL)
+    : null;
   const percentageData = calculatePercentageChange(chartData);
+  const emaValues = chartData.map(d => d.ema20).filter(ema => ema !== null && ema !== undefined);
 
   // Calculate better Y-axis domain for better comparison
   const calculateYAxisDomain = (data) => {
     if (!data || data.length === 0) return ['auto', 'auto'];
     
-    const prices = data.map(d => d.price);
-    const emas = data.map(d => d.ema20).filter(ema => ema !== null);
+    const prices = showsRange(chartType) ? data.flatMap(d => [toOHLC(d).low, toOHLC(d).high]) : data.map(d => d.price);
+    const emas = data.map(d => d.ema20).filter(ema => ema !== null && ema !== undefined);
     const allValues = [...prices, ...emas];
     
     const min = Math.min(...allValues);
@@ -198,9 +255,13 @@ function FinnhubPage({ onBack }) {
 
   const formatTime = (timeString) => {
     const date = new Date(timeString);
-    return selectedTimeframe === '1h' 
-      ? date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
-      : date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    
+    if (selectedTimeframe === '1min' || selectedTimeframe === '5min') {
+      return date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: false });
+    } else if (selectedTimeframe === '1day') {
+      return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    }
+    return date.toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', hour12: false });
   };
 
   return (
@@ -224,6 +285,18 @@ function FinnhubPage({ onBack }) {
                   {isOnline ? 'Real-time Data' : 'Offline Mode'}
                 </span>
               </div>
+              {streaming && (
+                <div className="status-item">
+                  <Radio className={`status-icon ${streamStatus.status === STREAM_STATUS.OPEN ? 'online' : 'offline'}`} />
+                  <span className="status-text">
+                    {streamStatus.status === STREAM_STATUS.OPEN
+                      ? 'Streaming trades'
+                      : streamStatus.status === STREAM_STATUS.RECONNECTING
+                      ? `Reconnecting in ${Math.ceil(streamStatus.retryIn / 1000)}s`
+                      : 'Connecting to stream...'}
+                  </span>
+                </div>
+              )}
               {lastUpdate && (
                 <div className="status-item">
                   <Clock className="status-icon" />
@@ -232,7 +305,7 @@ function FinnhubPage({ onBack }) {
                   </span>
                 </div>
               )}
-              {error && error.includes('API key') && (
+              {error?.kind === ERROR_KIND.AUTH && (
                 <div className="status-item">
                   <Target className="status-icon" />
                   <span className="status-text">
@@ -247,11 +320,11 @@ function FinnhubPage({ onBack }) {
                   </span>
                 </div>
               )}
-              {error && (error.includes('rate limit') || error.includes('429')) && (
+              {(error?.kind === ERROR_KIND.RATE_LIMITED || error?.kind === ERROR_KIND.QUOTA) && (
                 <div className="status-item">
                   <Clock className="status-icon" />
                   <span className="status-text">
-                    Rate limit exceeded - please wait
+                    {error.kind === ERROR_KIND.QUOTA ? 'Daily limit reached' : 'Rate limit exceeded - please wait'}
                   </span>
                 </div>
               )}
@@ -315,22 +388,63 @@ function FinnhubPage({ onBack }) {
               ))}
             </select>
           </div>
+
+          <div className="control-group">
+            <label className="strict-mode-toggle" title="Never chart or compute signals on synthetic data">
+              <input
+                type="checkbox"
+                checked={strictMode}
+                onChange={(e) => handleStrictModeChange(e.target.checked)}
+              />
+              Real data only
+            </label>
+          </div>
+
+          {finnhubProvider.capabilities.stream && (
+            <div className="control-group">
+              <label className="stream-toggle" title="Update the chart from Finnhub's trade stream instead of polling">
+                <input
+                  type="checkbox"
+                  checked={streaming}
+                  onChange={(e) => setStreaming(e.target.checked)}
+                />
+                Live stream
+              </label>
+            </div>
+          )}
         </div>
 
+        {streaming && (
+          <div className="live-watchlist">
+            {symbols.map(symbol => (
+              <button
+                key={symbol.value}
+                className={`live-watchlist-item ${symbol.value === selectedSymbol ? 'active' : ''}`}
+                onClick={() => setSelectedSymbol(symbol.value)}
+              >
+                <span className="live-watchlist-symbol" style={{ color: symbol.color }}>{symbol.value}</span>
+                <span className="live-watchlist-price">
+                  {livePrices[symbol.value] !== undefined ? formatPrice(livePrices[symbol.value]) : '--'}
+                </span>
+              </button>
+            ))}
+          </div>
+        )}
+
         {error && (
           <div className="error-banner">
             <WifiOff className="error-icon" />
             <div className="error-content">
-              <strong>Data Source:</strong> {error}
+              <strong>Data Source:</strong> {describeError(error).message}
               <br />
               <small>
-                {error.includes('API key') 
+                {error.kind === ERROR_KIND.AUTH
                   ? 'Get a free API key from Finnhub to enable real-time data'
-                  : error.includes('rate limit') || error.includes('API limit')
-                  ? 'Finnhub free tier: 1,000 calls/day, 30 calls/second. Consider upgrading for higher limits.'
-                  : error.includes('Invalid symbol')
+                  : error.kind === ERROR_KIND.QUOTA
+                  ? 'Finnhub free tier: 1,000 calls/day, 30 calls/minute. Consider upgrading for higher limits.'
+                  : error.kind === ERROR_KIND.INVALID_SYMBOL
                   ? 'Please try a different symbol (AAPL, TSLA, MSFT, GOOGL)'
-                  : 'Real-time data will resume when connection is restored'
+                  : describeError(error).hint
                 }
               </small>
             </div>
@@ -377,7 +491,7 @@ function FinnhubPage({ onBack }) {
                   <span className="stat-title">EMA 20</span>
                 </div>
                 <div className="stat-value">
-                  {currentData ? formatPrice(currentData.ema20) : 'N/A'}
+                  {currentData?.ema20 ? formatPrice(currentData.ema20) : 'N/A'}
                 </div>
               </div>
 
@@ -410,9 +524,10 @@ function FinnhubPage({ onBack }) {
             <div className="chart-container">
               <div className="chart-header">
                 <h3 className="chart-title">
-                  {symbols.find(s => s.value === selectedSymbol)?.label} - {selectedTimeframe} Chart
+                  {symbols.find(s => s.value === selectedSymbol)?.label} - {timeframes.find(tf => tf.value === selectedTimeframe)?.label} Chart
                 </h3>
                 <div className="chart-legend">
+                  <ProvenanceBadge provenance={provenance} />
                   <div className="legend-item">
                     <div className="legend-color price"></div>
                     <span>Stock Price</span>
@@ -423,53 +538,21 @@ function FinnhubPage({ onBack }) {
                   </div>
                 </div>
               </div>
-              <ResponsiveContainer width="100%" height={500}>
-                <LineChart data={chartData} margin={{ top: 20, right: 30, left: 20, bottom: 20 }}>
-                  <CartesianGrid strokeDasharray="3 3" stroke="#374151" opacity={0.3} />
-                  <XAxis 
-                    dataKey="time" 
-                    tickFormatter={formatTime}
-                    stroke="#9ca3af"
-                    fontSize={12}
-                    tick={{ fill: '#9ca3af' }}
-                    axisLine={{ stroke: '#4b5563' }}
-                    interval="preserveStartEnd"
-                    tickCount={8}
-                  />
-                  <YAxis 
-                    tickFormatter={(value) => `$${value.toFixed(2)}`}
-                    stroke="#9ca3af"
-                    fontSize={12}
-                    tick={{ fill: '#9ca3af' }}
-                    axisLine={{ stroke: '#4b5563' }}
-                    domain={yAxisDomain}
-                    tickCount={12}
-                    allowDecimals={true}
-                  />
-                  <Tooltip 
-                    formatter={(value, name) => [
-                      name === 'price' ? formatPrice(value) : formatPrice(value),
-                      name === 'price' ? 'Stock Price' : 'EMA 20'
-                    ]}
-                    labelFormatter={(time) => new Date(time).toLocaleString()}
-                    contentStyle={{
-                      backgroundColor: '#1f2937',
-                      border: '1px solid #374151',
-                      borderRadius: '8px',
-                      color: '#f9fafb',
-                      boxShadow: '0 10px 25px rgba(0, 0, 0, 0.3)'
-                    }}
-                  />
-                  <Line 
-                    type="monotone" 
-                    dataKey="price" 
-                    stroke="#3b82f6" 
-                    strokeWidth={1}
-                    dot={false}
-                    name="price"
-                    activeDot={{ r: 5, stroke: '#3b82f6', strokeWidth: 2, fill: '#1f2937' }}
-                    connectNulls={false}
-                  />
+              <div className="indicator-controls">
+                <div className="indicator-control-group">
+                  <span className="indicator-control-label">Chart:</span>
+                  <ChartTypeSwitch value={chartType} onChange={handleChartTypeChange} />
+                </div>
+              </div>
+              <PriceChart
+                data={chartData}
+                chartType={chartType}
+                formatTime={formatTime}
+                formatPrice={formatPrice}
+                yAxisDomain={yAxisDomain}
+                priceColor="#3b82f6"
+                seriesNames={SERIES_NAMES}
+              >
                   <Line 
                     type="monotone" 
                     dataKey="ema20" 
@@ -503,8 +586,7 @@ function FinnhubPage({ onBack }) {
                       style: { fill: '#f59e0b', fontSize: '12px', fontWeight: 'bold' }
                     }}
                   />
-                </LineChart>
-              </ResponsiveContainer>
+              </PriceChart>
               <div className="chart-analysis">
                 <div className="analysis-item">
                   <span className="analysis-label">Current Price:</span>
@@ -524,22 +606,22 @@ function FinnhubPage({ onBack }) {
                     color: currentData?.price > currentData?.ema20 ? '#10b981' : '#ef4444',
                     fontWeight: 'bold'
                   }}>
-                    {currentData ? 
+                    {currentData?.ema20 ? 
                       `${((currentData.price - currentData.ema20) / currentData.ema20 * 100).toFixed(2)}%` 
                       : 'N/A'
                     }
                   </span>
                 </div>
                 <div className="analysis-item">
-                  <span className="analysis-label">Price Range (2M):</span>
+                  <span className="analysis-label">Price Range ({selectedTimeframe}):</span>
                   <span className="analysis-value">
                     ${Math.min(...chartData.map(d => d.price)).toFixed(2)} - ${Math.max(...chartData.map(d => d.price)).toFixed(2)}
                   </span>
                 </div>
                 <div className="analysis-item">
-                  <span className="analysis-label">EMA Range (2M):</span>
+                  <span className="analysis-label">EMA Range ({selectedTimeframe}):</span>
                   <span className="analysis-value">
-                    ${Math.min(...chartData.map(d => d.ema20)).toFixed(2)} - ${Math.max(...chartData.map(d => d.ema20)).toFixed(2)}
+                    ${Math.min(...emaValues).toFixed(2)} - ${Math.max(...emaValues).toFixed(2)}
                   </span>
                 </div>
                 <div className="analysis-item">
@@ -551,14 +633,14 @@ function FinnhubPage({ onBack }) {
                 <div className="analysis-item">
                   <span className="analysis-label">Stored Data:</span>
                   <span className="analysis-value" style={{ color: '#10b981', fontWeight: 'bold' }}>
-                    {priceHistoryStats[selectedSymbol]?.days || 0} days
+                    {storedSeries?.bars || 0} bars
                   </span>
                 </div>
                 <div className="analysis-item">
                   <span className="analysis-label">Data Range:</span>
                   <span className="analysis-value">
-                    {priceHistoryStats[selectedSymbol]?.firstDate ? 
-                      `${priceHistoryStats[selectedSymbol].firstDate} to ${priceHistoryStats[selectedSymbol].lastDate}` : 
+                    {storedSeries?.firstDate ? 
+                      `${storedSeries.firstDate} to ${storedSeries.lastDate}` : 
                       'No stored data'
                     }
                   </span>
@@ -571,9 +653,9 @@ function FinnhubPage({ onBack }) {
               <div className="analysis-content">
                 <div className="analysis-item">
                   <button 
-                    onClick={() => {
-                      clearPriceHistory(selectedSymbol);
-                      setPriceHistoryStats(getPriceHistoryStats());
+                    onClick={async () => {
+                      await clearPriceHistory(selectedSymbol);
+                      setPriceHistoryStats(await getPriceHistoryStats());
                     }}
                     style={{
                       background: 'rgba(239, 68, 68, 0.1)',
@@ -1,352 +1,107 @@
-import React, { useState, useEffect } from 'react';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine } from 'recharts';
-import { TrendingUp, TrendingDown, DollarSign, BarChart3, Clock, Target, Wifi, WifiOff, Minus, ChevronUp, ChevronDown, Menu, X } from 'lucide-react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { Line, ReferenceLine, ReferenceArea, ReferenceDot, Brush } from 'recharts';
+import { TrendingUp, DollarSign, BarChart3, Clock, Target, Layers, Wifi, WifiOff, ChevronUp, ChevronDown, Menu, X, Settings } from 'lucide-react';
+import { getProvider, listProviders, supportsInterval, DEFAULT_PROVIDER_ID, PRIORITY } from './services/providers';
+import { summarizeProvenance, canComputeSignals, isStrictMode } from './services/provenance';
+import { syncSeries } from './services/syncEngine';
+import { createSharedPoll } from './services/tabCoordinator';
+import {
+  addIndicators, indicatorsReady, getLatestSignal, findDivergences, divergenceOptions, marketRegime, signalSide, CONFIRMATIONS, ADX_TRENDING,
+  DIVERGENCE_OSCILLATORS
+} from './services/signals';
+import { recordSignalTransitions, getSignalHistory } from './services/signalHistory';
+import { listRuleSets, getRuleSet, getModeBadge, DEFAULT_RULE_SET_ID } from './services/rules';
+import { CONFLUENCE_TIMEFRAMES, HIGHER_TIMEFRAME, formatTimeframe, loadTimeframes, evaluateConfluence, confirmWithHigherTimeframe } from './services/confluence';
+import { DataError, ERROR_KIND, serializeError, toDataError, describeError } from './services/errors';
+import ProvenanceBadge from './components/ProvenanceBadge';
+import IndicatorPanel from './components/IndicatorPanel';
+import ConfluenceMatrix from './components/ConfluenceMatrix';
+import ModeEditor from './components/ModeEditor';
+import BacktestPanel from './components/BacktestPanel';
+import OptimizerPanel from './components/OptimizerPanel';
+import SignalHistory from './components/SignalHistory';
+import ForwardPerformance from './components/ForwardPerformance';
+import DivergenceList from './components/DivergenceList';
+import PriceChart, { ChartTypeSwitch } from './components/PriceChart';
+import { loadChartType, saveChartType, showsRange, toOHLC } from './components/chartTypes';
+import { withEMA, withAnchoredVWAP, findLevels, nearestLevels } from './services/indicators';
 import './App.css';
 
-// Twelve Data API configuration
-const TWELVE_DATA_API_KEY = '76806e5a99834821880a91f003b1f482';
-const TWELVE_DATA_BASE_URL = 'https://api.twelvedata.com';
-
-// API optimization settings
-const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes cache
-const MIN_REQUEST_INTERVAL = 8000; // 8 seconds between requests (rate limit: 8 calls/minute)
-const MAX_CACHE_SIZE = 50; // Maximum cached responses
-const BATCH_SIZE = 2; // Process 2 symbols at a time
-const BATCH_DELAY = 10000; // 10 seconds between batches
-
-// Cache and rate limiting
-let apiCache = new Map();
-let lastRequestTime = 0;
-let requestQueue = [];
-
-// Cache management functions
-const getCacheKey = (symbol, interval) => `${symbol}_${interval}`;
-
-const getCachedData = (symbol, interval) => {
-  const key = getCacheKey(symbol, interval);
-  const cached = apiCache.get(key);
-  
-  if (cached && Date.now() - cached.timestamp < CACHE_DURATION) {
-    return cached.data;
-  }
-  
-  return null;
-};
-
-const setCachedData = (symbol, interval, data) => {
-  const key = getCacheKey(symbol, interval);
-  
-  // Clean old cache if needed
-  if (apiCache.size >= MAX_CACHE_SIZE) {
-    const oldestKey = apiCache.keys().next().value;
-    apiCache.delete(oldestKey);
-  }
-  
-  apiCache.set(key, {
-    data,
-    timestamp: Date.now()
-  });
-  
-};
-
-// API calls management functions
-const getApiCallsKey = () => {
-  const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
-  return `twelve_data_api_calls_${today}`;
-};
-
-const getApiCallsCount = () => {
-  const key = getApiCallsKey();
-  const stored = localStorage.getItem(key);
-  return stored ? parseInt(stored, 10) : 0;
-};
-
-const incrementApiCalls = () => {
-  const key = getApiCallsKey();
-  const currentCount = getApiCallsCount();
-  const newCount = currentCount + 1;
-  localStorage.setItem(key, newCount.toString());
-  return newCount;
+// Auto-check symbols per shared batch; request pacing is up to the provider's scheduler
+const BATCH_SIZE = 2;
+
+// Optional indicator views: bands overlay the price chart, the rest get a synced panel below it
+const INDICATOR_VIEWS = [
+  { id: 'rsi', label: 'RSI' },
+  { id: 'bollinger', label: 'Bollinger Bands' },
+  { id: 'vwap', label: 'VWAP' },
+  { id: 'volume', label: 'Volume' },
+  { id: 'obv', label: 'OBV' },
+  { id: 'macd', label: 'MACD' },
+  { id: 'atr', label: 'ATR' },
+  { id: 'stochastic', label: 'Stochastic' },
+  { id: 'adx', label: 'ADX/DMI' },
+  { id: 'cci', label: 'CCI' },
+  { id: 'williamsR', label: 'Williams %R' },
+  { id: 'signalMarkers', label: 'Signal markers' },
+  { id: 'divergences', label: 'Divergences' },
+  { id: 'levels', label: 'Support/Resistance' }
+];
+
+// Views shown until the user toggles them
+const DEFAULT_VIEWS = ['rsi', 'signalMarkers', 'divergences', 'levels'];
+
+const REGIME_LABELS = {
+  trending: { label: 'Trending', color: '#10b981' },
+  forming: { label: 'Trend forming', color: '#f59e0b' },
+  choppy: { label: 'Choppy', color: '#9ca3af' }
 };
 
-const resetApiCalls = () => {
-  const key = getApiCallsKey();
-  localStorage.setItem(key, '0');
-  return 0;
-};
-
-const clearCache = () => {
-  apiCache.clear();
-};
-
-// Request deduplication
-const deduplicateRequest = async (symbol, interval) => {
-  const key = getCacheKey(symbol, interval);
-  
-  // Check if request is already in progress
-  const existingRequest = requestQueue.find(req => req.key === key);
-  if (existingRequest) {
-    return existingRequest.promise;
-  }
-  
-  // Create new request
-  const requestPromise = makeApiRequest(symbol, interval);
-  const request = { key, promise: requestPromise };
-  requestQueue.push(request);
-  
-  try {
-    const result = await requestPromise;
-    return result;
-  } finally {
-    // Remove from queue when done
-    const index = requestQueue.findIndex(req => req.key === key);
-    if (index > -1) {
-      requestQueue.splice(index, 1);
-    }
-  }
-};
-
-// Rate limiting
-const waitForRateLimit = async () => {
-  const now = Date.now();
-  const timeSinceLastRequest = now - lastRequestTime;
-  
-  if (timeSinceLastRequest < MIN_REQUEST_INTERVAL) {
-    const waitTime = MIN_REQUEST_INTERVAL - timeSinceLastRequest;
-    await new Promise(resolve => setTimeout(resolve, waitTime));
-  }
-  
-  lastRequestTime = Date.now();
-};
-
-// Make actual API request
-const makeApiRequest = async (symbol, interval) => {
-  await waitForRateLimit();
-  
-    const intervalMap = {
-      '1min': '1min',
-      '5min': '5min', 
-      '15min': '15min',
-      '30min': '30min',
-    '60min': '1h',
-    '4h': '4h',
-    '1day': '1day',
-    '1week': '1week',
-    '1month': '1month'
-    };
-    
-    const twelveDataInterval = intervalMap[interval] || '1h';
-    const url = `${TWELVE_DATA_BASE_URL}/time_series?symbol=${symbol}&interval=${twelveDataInterval}&apikey=${TWELVE_DATA_API_KEY}&outputsize=100&format=JSON`;
-    
-    
-    const response = await fetch(url);
-    
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-    
-    const data = await response.json();
-    
-    if (data.status === 'error') {
-      // Handle rate limit error specifically
-      if (data.message && data.message.includes('API credits')) {
-        throw new Error(`RATE_LIMIT: ${data.message}`);
-      }
-      throw new Error(`API Error: ${data.message}`);
-    }
-    
-    if (!data.values || data.values.length === 0) {
-      throw new Error(`No data available for symbol: ${symbol}`);
-    }
-    
-  // Process data
-    const chartData = data.values
-      .sort((a, b) => new Date(a.datetime) - new Date(b.datetime))
-      .map(item => ({
-        time: new Date(item.datetime).toISOString(),
-        price: parseFloat(item.close || item.price),
-        high: parseFloat(item.high),
-        low: parseFloat(item.low),
-        open: parseFloat(item.open),
-        volume: parseInt(item.volume) || 0
-      }));
-    
-  const result = {
-      success: true,
-      data: chartData,
-      lastUpdated: new Date().toISOString(),
-      meta: {
-        symbol: data.meta?.symbol || symbol,
-        interval: data.meta?.interval || twelveDataInterval,
-        exchange: data.meta?.exchange || 'Unknown'
-      },
-      info: null
-    };
-  
-  // Cache the result
-  setCachedData(symbol, interval, result);
-  
-  return result;
-};
+const formatVolume = (value) => new Intl.NumberFormat('en-US', { notation: 'compact', maximumFractionDigits: 1 }).format(value);
 
-// Data processing functions
-const calculateEMA = (data, period = 20) => {
-  const multiplier = 2 / (period + 1);
-  const emaData = data.map(item => ({ ...item })); // Create deep copy of each object
-  
-  // Start with first price as initial EMA
-  emaData[0].ema20 = data[0].price;
-  
-  for (let i = 1; i < data.length; i++) {
-    emaData[i].ema20 = (data[i].price * multiplier) + (emaData[i-1].ema20 * (1 - multiplier));
-  }
-  
-  return emaData;
+// Volume bars take the color of their candle
+const volumeColor = (point) => {
+  const { open, close } = toOHLC(point);
+  return close >= open ? 'rgba(16, 185, 129, 0.6)' : 'rgba(239, 68, 68, 0.6)';
 };
 
-const calculateRSI = (data, period = 14) => {
-  if (data.length < period + 1) return data.map(d => ({ ...d, rsi: 50 }));
-  
-  const rsiData = data.map(item => ({ ...item })); // Create deep copy of each object
-  
-  // Calculate price changes
-  const changes = [];
-  for (let i = 1; i < rsiData.length; i++) {
-    changes.push(rsiData[i].price - rsiData[i-1].price);
-  }
-  
-  // Calculate initial average gain and loss
-  let avgGain = 0;
-  let avgLoss = 0;
-  
-  for (let i = 0; i < period; i++) {
-    if (changes[i] > 0) avgGain += changes[i];
-    else avgLoss += Math.abs(changes[i]);
-  }
-  
-  avgGain /= period;
-  avgLoss /= period;
-  
-  // Calculate RSI for first period
-  let rs = avgLoss === 0 ? 100 : avgGain / avgLoss;
-  let rsi = 100 - (100 / (1 + rs));
-  rsiData[period].rsi = rsi;
-  
-  // Calculate RSI for remaining periods using smoothed averages
-  for (let i = period + 1; i < rsiData.length; i++) {
-    const change = changes[i-1];
-    const gain = change > 0 ? change : 0;
-    const loss = change < 0 ? Math.abs(change) : 0;
-    
-    // Smoothed averages
-    avgGain = ((avgGain * (period - 1)) + gain) / period;
-    avgLoss = ((avgLoss * (period - 1)) + loss) / period;
-    
-    rs = avgLoss === 0 ? 100 : avgGain / avgLoss;
-    rsi = 100 - (100 / (1 + rs));
-    rsiData[i].rsi = rsi;
-  }
-  
-  // Fill initial periods with 50 (neutral RSI)
-  for (let i = 0; i < period; i++) {
-    rsiData[i].rsi = 50;
-  }
-  
-  return rsiData;
+const CHART_SYNC_ID = 'analysis';
+
+const LEVEL_COLORS = { support: '#10b981', resistance: '#ef4444', inside: '#f59e0b' };
+
+// Joins a divergence's two pivots on one chart: green for bullish, red for bearish, dashed when hidden
+const toDivergenceSegments = (divergences, data, pivotKey) => divergences.map(divergence => ({
+  id: `${divergence.type}_${divergence.pivots.price[0].index}_${divergence.pivots.price[1].index}`,
+  points: divergence.pivots[pivotKey].map(pivot => ({ x: data[pivot.index].time, y: pivot.value })),
+  color: divergence.type.includes('bullish') ? '#10b981' : '#ef4444',
+  dashed: divergence.type.startsWith('hidden')
+}));
+
+// One marker per bar with recorded transitions, for the latest of them.
+// Records come newest first, so the first one seen for a bar is its latest.
+const toSignalMarkers = (records, data) => {
+  const times = new Map(data.map(point => [new Date(point.time).getTime(), point.time]));
+  const byBar = new Map();
+  records.forEach(record => {
+    if (times.has(record.barTime) && !byBar.has(record.barTime)) byBar.set(record.barTime, record);
+  });
+  return [...byBar.values()].map(record => ({
+    id: record.id,
+    x: times.get(record.barTime),
+    y: record.price,
+    color: record.color,
+    side: signalSide(record)
+  }));
 };
 
-// Divergence detection function
-const detectDivergence = (data, lookback = 10) => {
-  if (data.length < lookback + 5) return { type: 'none', strength: 0 };
-  
-  const recent = data.slice(-lookback);
-  const prices = recent.map(d => d.price);
-  const rsis = recent.map(d => d.rsi);
-  
-  // Find peaks and troughs
-  const pricePeaks = [];
-  const priceTroughs = [];
-  const rsiPeaks = [];
-  const rsiTroughs = [];
-  
-  for (let i = 2; i < recent.length - 2; i++) {
-    // Price peaks
-    if (prices[i] > prices[i-1] && prices[i] > prices[i+1] && 
-        prices[i] > prices[i-2] && prices[i] > prices[i+2]) {
-      pricePeaks.push({ index: i, value: prices[i] });
-    }
-    // Price troughs
-    if (prices[i] < prices[i-1] && prices[i] < prices[i+1] && 
-        prices[i] < prices[i-2] && prices[i] < prices[i+2]) {
-      priceTroughs.push({ index: i, value: prices[i] });
-    }
-    // RSI peaks
-    if (rsis[i] > rsis[i-1] && rsis[i] > rsis[i+1] && 
-        rsis[i] > rsis[i-2] && rsis[i] > rsis[i+2]) {
-      rsiPeaks.push({ index: i, value: rsis[i] });
-    }
-    // RSI troughs
-    if (rsis[i] < rsis[i-1] && rsis[i] < rsis[i+1] && 
-        rsis[i] < rsis[i-2] && rsis[i] < rsis[i+2]) {
-      rsiTroughs.push({ index: i, value: rsis[i] });
-    }
-  }
-  
-  // Check for regular divergence (reversal signals)
-  if (pricePeaks.length >= 2 && rsiPeaks.length >= 2) {
-    const lastPricePeak = pricePeaks[pricePeaks.length - 1];
-    const prevPricePeak = pricePeaks[pricePeaks.length - 2];
-    const lastRSIPeak = rsiPeaks[rsiPeaks.length - 1];
-    const prevRSIPeak = rsiPeaks[rsiPeaks.length - 2];
-    
-    // Bearish divergence: Price makes higher high, RSI makes lower high
-    if (lastPricePeak.value > prevPricePeak.value && lastRSIPeak.value < prevRSIPeak.value) {
-      const strength = Math.abs(lastPricePeak.value - prevPricePeak.value) / prevPricePeak.value;
-      return { type: 'bearish_divergence', strength: Math.min(strength * 100, 100) };
-    }
-  }
-  
-  if (priceTroughs.length >= 2 && rsiTroughs.length >= 2) {
-    const lastPriceTrough = priceTroughs[priceTroughs.length - 1];
-    const prevPriceTrough = priceTroughs[priceTroughs.length - 2];
-    const lastRSITrough = rsiTroughs[rsiTroughs.length - 1];
-    const prevRSITrough = rsiTroughs[rsiTroughs.length - 2];
-    
-    // Bullish divergence: Price makes lower low, RSI makes higher low
-    if (lastPriceTrough.value < prevPriceTrough.value && lastRSITrough.value > prevRSITrough.value) {
-      const strength = Math.abs(lastPriceTrough.value - prevPriceTrough.value) / prevPriceTrough.value;
-      return { type: 'bullish_divergence', strength: Math.min(strength * 100, 100) };
-    }
-  }
-  
-  // Check for hidden divergence (continuation signals)
-  if (pricePeaks.length >= 2 && rsiPeaks.length >= 2) {
-    const lastPricePeak = pricePeaks[pricePeaks.length - 1];
-    const prevPricePeak = pricePeaks[pricePeaks.length - 2];
-    const lastRSIPeak = rsiPeaks[rsiPeaks.length - 1];
-    const prevRSIPeak = rsiPeaks[rsiPeaks.length - 2];
-    
-    // Hidden bearish divergence: Price makes lower high, RSI makes higher high
-    if (lastPricePeak.value < prevPricePeak.value && lastRSIPeak.value > prevRSIPeak.value) {
-      const strength = Math.abs(lastPricePeak.value - prevPricePeak.value) / prevPricePeak.value;
-      return { type: 'hidden_bearish_divergence', strength: Math.min(strength * 100, 100) };
-    }
-  }
-  
-  if (priceTroughs.length >= 2 && rsiTroughs.length >= 2) {
-    const lastPriceTrough = priceTroughs[priceTroughs.length - 1];
-    const prevPriceTrough = priceTroughs[priceTroughs.length - 2];
-    const lastRSITrough = rsiTroughs[rsiTroughs.length - 1];
-    const prevRSITrough = rsiTroughs[rsiTroughs.length - 2];
-    
-    // Hidden bullish divergence: Price makes higher low, RSI makes lower low
-    if (lastPriceTrough.value > prevPriceTrough.value && lastRSITrough.value < prevRSITrough.value) {
-      const strength = Math.abs(lastPriceTrough.value - prevPriceTrough.value) / prevPriceTrough.value;
-      return { type: 'hidden_bullish_divergence', strength: Math.min(strength * 100, 100) };
-    }
-  }
-  
-  return { type: 'none', strength: 0 };
+// Tooltip labels for the series drawn on the price chart; the EMA is named after the active mode's period
+const SERIES_NAMES = {
+  price: 'Stock Price',
+  bbUpper: 'Upper Band',
+  bbMiddle: 'Middle Band',
+  bbLower: 'Lower Band',
+  vwap: 'Session VWAP',
+  anchoredVwap: 'Anchored VWAP'
 };
 
 const calculatePercentageChange = (data) => {
@@ -370,223 +125,21 @@ const calculatePercentageChange = (data) => {
   return { change, fromHigh: isFromHigh };
 };
 
-const getSignal = (price, ema, rsi, previousPrice, previousEMA, chartData, mode = 'conservative') => {
-  if (!price || !ema || !rsi || !previousPrice || !previousEMA) {
-    if (price > ema) return { signal: 'BUY', color: '#10b981', icon: TrendingUp };
-    return { signal: 'SELL', color: '#ef4444', icon: TrendingDown };
-  }
-  
-  // Get mode settings
-  const modeSettings = {
-    conservative: { rsiOverbought: 75, rsiOversold: 25, divergenceThreshold: 40 },
-    normal: { rsiOverbought: 70, rsiOversold: 30, divergenceThreshold: 30 }
-  };
-  
-  const settings = modeSettings[mode] || modeSettings.conservative;
-  
-  // Detect divergence
-  const divergence = detectDivergence(chartData || []);
-  
-  // Price analysis
-  const priceAboveEMA = price > ema;
-  const priceRising = price > previousPrice && (price - previousPrice) > (price * 0.001); // At least 0.1% increase
-  const priceFalling = price < previousPrice && (previousPrice - price) > (price * 0.001); // At least 0.1% decrease
-  const priceApproachingEMA = Math.abs(price - ema) < Math.abs(previousPrice - previousEMA) && 
-                              Math.abs(price - ema) < (price * 0.02); // Within 2% of EMA
-  
-  // EMA trend detection
-  const emaRising = ema > previousEMA && (ema - previousEMA) > (ema * 0.002); // At least 0.2% increase
-  const emaFalling = ema < previousEMA && (previousEMA - ema) > (ema * 0.002); // At least 0.2% decrease
-  const emaFlat = Math.abs(ema - previousEMA) < (ema * 0.001); // Less than 0.1% change
-  
-  // RSI thresholds based on selected mode
-  const rsiOverbought = rsi > settings.rsiOverbought;
-  const rsiOversold = rsi < settings.rsiOversold;
-  const rsiNeutral = rsi >= settings.rsiOversold && rsi <= settings.rsiOverbought;
-  
-  // RSI + Price + EMA reversal logic with divergence
-  if (rsiOverbought && priceFalling) {
-    // RSI Overbought + Price falling = SELL signal
-    // Check for bearish divergence for stronger signal
-    if (divergence.type === 'bearish_divergence' && divergence.strength > settings.divergenceThreshold) {
-      return { 
-        signal: 'STRONG SELL', 
-        color: '#dc2626', 
-        icon: TrendingDown,
-        description: `RSI Overbought + Price falling + Bearish Divergence (${divergence.strength.toFixed(1)}%)` 
-      };
-    } else if (priceAboveEMA) {
-      return { 
-        signal: 'SELL', 
-        color: '#ef4444', 
-        icon: TrendingDown,
-        description: 'RSI Overbought + Price falling + Above EMA (Strong SELL)' 
-      };
-    } else {
-      return { 
-        signal: 'WEAK SELL', 
-        color: '#f97316', 
-        icon: TrendingDown,
-        description: 'RSI Overbought + Price falling + Below EMA (Weak SELL)' 
-      };
-    }
-  } else if (rsiOversold && priceRising) {
-    // RSI Oversold + Price rising = BUY signal
-    // Check for bullish divergence for stronger signal
-    if (divergence.type === 'bullish_divergence' && divergence.strength > settings.divergenceThreshold) {
-      return { 
-        signal: 'STRONG BUY', 
-        color: '#059669', 
-        icon: TrendingUp,
-        description: `RSI Oversold + Price rising + Bullish Divergence (${divergence.strength.toFixed(1)}%)` 
-      };
-    } else if (!priceAboveEMA) {
-      return { 
-        signal: 'BUY', 
-        color: '#10b981', 
-        icon: TrendingUp,
-        description: 'RSI Oversold + Price rising + Below EMA (Strong BUY)' 
-      };
-    } else {
-      return { 
-        signal: 'WEAK BUY', 
-        color: '#84cc16', 
-        icon: TrendingUp,
-        description: 'RSI Oversold + Price rising + Above EMA (Weak BUY)' 
-      };
-    }
-  } else if (rsiNeutral) {
-    // RSI Neutral zone - use EMA and price momentum with hidden divergence
-    // Check for hidden divergence (continuation signals)
-    if (divergence.type === 'hidden_bullish_divergence' && divergence.strength > settings.divergenceThreshold) {
-      return { 
-        signal: 'STRONG BUY', 
-        color: '#059669', 
-        icon: TrendingUp,
-        description: `Hidden Bullish Divergence + Above EMA (${divergence.strength.toFixed(1)}%)` 
-      };
-    } else if (divergence.type === 'hidden_bearish_divergence' && divergence.strength > settings.divergenceThreshold) {
-      return { 
-        signal: 'STRONG SELL', 
-        color: '#dc2626', 
-        icon: TrendingDown,
-        description: `Hidden Bearish Divergence + Below EMA (${divergence.strength.toFixed(1)}%)` 
-      };
-    } else if (priceAboveEMA && priceRising && emaRising) {
-      return { 
-        signal: 'STRONG BUY', 
-        color: '#10b981', 
-        icon: TrendingUp,
-        description: 'Price & EMA rising + Above EMA (Strong Trend)' 
-      };
-    } else if (!priceAboveEMA && priceFalling && emaFalling) {
-      return { 
-        signal: 'STRONG SELL', 
-        color: '#ef4444', 
-        icon: TrendingDown,
-        description: 'Price & EMA falling + Below EMA (Strong Trend)' 
-      };
-    } else if (priceAboveEMA && priceRising && emaFlat) {
-      return { 
-        signal: 'BUY', 
-        color: '#10b981', 
-        icon: TrendingUp,
-        description: 'Price rising + Above EMA + EMA flat' 
-      };
-    } else if (!priceAboveEMA && priceFalling && emaFlat) {
-      return { 
-        signal: 'SELL', 
-        color: '#ef4444', 
-        icon: TrendingDown,
-        description: 'Price falling + Below EMA + EMA flat' 
-      };
-    } else if (priceAboveEMA && !priceRising && emaRising) {
-      return { 
-        signal: 'HOLD', 
-        color: '#f59e0b', 
-        icon: Minus,
-        description: 'Price above EMA but falling + EMA rising' 
-      };
-    } else if (!priceAboveEMA && priceRising && emaFalling) {
-      return { 
-        signal: 'WEAK BUY', 
-        color: '#84cc16', 
-        icon: TrendingUp,
-        description: 'Price rising + Below EMA + EMA falling' 
-      };
-    } else if (priceApproachingEMA && emaRising) {
-      return { 
-        signal: 'BUY', 
-        color: '#10b981', 
-        icon: TrendingUp,
-        description: 'Price approaching EMA + EMA rising' 
-      };
-    } else if (priceApproachingEMA && emaFalling) {
-      return { 
-        signal: 'SELL', 
-        color: '#ef4444', 
-        icon: TrendingDown,
-        description: 'Price approaching EMA + EMA falling' 
-      };
-    }
-  } else {
-    // Fallback to basic price vs EMA
-    if (priceAboveEMA && priceRising) {
-      return { 
-        signal: 'STRONG BUY', 
-        color: '#10b981', 
-        icon: TrendingUp,
-        description: 'Price above EMA and rising' 
-      };
-    } else if (!priceAboveEMA && priceFalling) {
-      return { 
-        signal: 'STRONG SELL', 
-        color: '#ef4444', 
-        icon: TrendingDown,
-        description: 'Price below EMA and falling' 
-      };
-    } else if (priceAboveEMA && !priceRising) {
-      return { 
-        signal: 'HOLD', 
-        color: '#f59e0b', 
-        icon: Minus,
-        description: 'Price above EMA but falling' 
-      };
-    } else if (!priceAboveEMA && priceRising) {
-      return { 
-        signal: 'WEAK BUY', 
-        color: '#84cc16', 
-        icon: TrendingUp,
-        description: 'Price below EMA but rising' 
-      };
-    }
-  }
-  
-  return { 
-    signal: 'HOLD', 
-    color: '#6b7280', 
-    icon: Minus,
-    description: 'Neutral signal' 
-  };
-};
-
-// Optimized Twelve Data API function
-const getTwelveDataData = async (symbol, interval = '1h') => {
+// Sync candles from the selected market data provider into the candle store
+const fetchCandles = async (providerId, symbol, interval = '60min', priority = PRIORITY.USER) => {
   try {
-    // Check cache first
-    const cachedData = getCachedData(symbol, interval);
-    if (cachedData) {
-      return cachedData;
-    }
-    
-    // Use deduplication to avoid duplicate requests
-    const result = await deduplicateRequest(symbol, interval);
-    return result;
+    const result = await syncSeries(providerId, symbol, interval, { priority });
+    return {
+      success: true,
+      data: result.candles,
+      lastUpdated: result.lastUpdated,
+      info: null
+    };
   } catch (error) {
-    console.error('Twelve Data API Error:', error);
+    console.error(`Market data error (${providerId}):`, error);
     return {
       success: false,
-      error: error.message,
+      error: serializeError(error),
       data: null
     };
   }
@@ -595,13 +148,16 @@ const getTwelveDataData = async (symbol, interval = '1h') => {
 const TwelveDataPage = ({ onBack }) => {
   const [selectedSymbol, setSelectedSymbol] = useState('BTC/USD');
   const [selectedInterval, setSelectedInterval] = useState('60min');
-  const [selectedMode, setSelectedMode] = useState('conservative');
+  const [selectedMode, setSelectedMode] = useState(DEFAULT_RULE_SET_ID);
+  const [ruleSets, setRuleSets] = useState(listRuleSets);
+  const [showModeEditor, setShowModeEditor] = useState(false);
+  const [selectedProvider, setSelectedProvider] = useState(DEFAULT_PROVIDER_ID);
   const [chartData, setChartData] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [isOnline, setIsOnline] = useState(true);
   const [lastUpdate, setLastUpdate] = useState(null);
-  const [apiCalls, setApiCalls] = useState(() => getApiCallsCount());
+  const [apiCalls, setApiCalls] = useState(() => getProvider(DEFAULT_PROVIDER_ID).usage.get());
   const [hasData, setHasData] = useState(false);
   const [apiInfo, setApiInfo] = useState(null);
   const [cacheStatus, setCacheStatus] = useState('empty');
@@ -610,7 +166,6 @@ const TwelveDataPage = ({ onBack }) => {
   const [autoCheckEnabled, setAutoCheckEnabled] = useState(false);
   const [lastSignal, setLastSignal] = useState(null);
   const [notificationPermission, setNotificationPermission] = useState(false);
-  const [lastModeCheck, setLastModeCheck] = useState(null);
   const [headerCollapsed, setHeaderCollapsed] = useState(false);
   const [showNotificationModal, setShowNotificationModal] = useState(false);
   const [currentNotification, setCurrentNotification] = useState(null);
@@ -619,6 +174,20 @@ const TwelveDataPage = ({ onBack }) => {
   const [apiErrors, setApiErrors] = useState([]);
   const [rateLimitWait, setRateLimitWait] = useState(0);
   const [autoCheckInterval, setAutoCheckInterval] = useState('60min');
+  const [isAutoCheckLeader, setIsAutoCheckLeader] = useState(false);
+  const [indicatorViews, setIndicatorViews] = useState(() => Object.fromEntries(INDICATOR_VIEWS.map(view => [view.id, DEFAULT_VIEWS.includes(view.id)])));
+  const [confirmations, setConfirmations] = useState(() => Object.fromEntries(Object.keys(CONFIRMATIONS).map(id => [id, false])));
+  const [vwapAnchor, setVwapAnchor] = useState(null); // Time of the bar anchored VWAP starts from
+  const confirmationsRef = useRef(confirmations);
+  const [timeframeSeries, setTimeframeSeries] = useState({ symbol: null, providerId: null, series: {} });
+  const [confluenceLoading, setConfluenceLoading] = useState(false);
+  const [higherTimeframeConfirm, setHigherTimeframeConfirm] = useState(false);
+  const higherTimeframeConfirmRef = useRef(higherTimeframeConfirm);
+  const pendingAlertsRef = useRef(new Map()); // Recorded changes the higher timeframe hasn't confirmed yet, by symbol|interval|mode
+  const [chartType, setChartType] = useState(loadChartType);
+  const [chartSeries, setChartSeries] = useState({ symbol: null, interval: null }); // What chartData was loaded for
+  const [signalMarkers, setSignalMarkers] = useState([]);
+  const [signalHistoryVersion, setSignalHistoryVersion] = useState(0); // Bumped when transitions are recorded
 
   // Recalculate signal when mode changes (if we have data)
   useEffect(() => {
@@ -628,96 +197,220 @@ const TwelveDataPage = ({ onBack }) => {
     }
   }, [selectedMode, chartData, notificationPermission]);
 
+  // Pick up modes saved or deleted in another tab
+  useEffect(() => {
+    const handleStorage = () => setRuleSets(listRuleSets());
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, []);
+
+  // Recorded transitions of the charted series and mode, drawn as chart markers
+  useEffect(() => {
+    if (!chartSeries.symbol) return;
+    let cancelled = false;
+    getSignalHistory({ symbol: chartSeries.symbol, interval: chartSeries.interval, mode: selectedMode })
+      .then(records => {
+        if (!cancelled) setSignalMarkers(records);
+      })
+      .catch(error => console.error('Error loading signal history:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [chartSeries, selectedMode, signalHistoryVersion]);
+
+  // An anchor only means something on the series it was clicked on
+  useEffect(() => {
+    setVwapAnchor(null);
+  }, [selectedSymbol, selectedInterval]);
+
+  // The auto-check reads confirmations through a ref so toggling them doesn't restart it
+  useEffect(() => {
+    confirmationsRef.current = confirmations;
+  }, [confirmations]);
+
+  useEffect(() => {
+    higherTimeframeConfirmRef.current = higherTimeframeConfirm;
+  }, [higherTimeframeConfirm]);
+
   // Auto-check all symbols for signal changes
   useEffect(() => {
     if (!autoCheckEnabled) return;
 
-    const checkAllSymbols = async () => {
+    // Turn one batch of fetched candles into signals; runs in every tab
+    const processBatchResults = (batchResults) => {
+      batchResults.forEach(({ symbol: symbolValue, result }) => {
+        const symbol = symbols.find(item => item.value === symbolValue);
+        if (!symbol) return;
+        if (!result.success) {
+          console.error(`Failed to process ${symbol.value}:`, result.error?.message);
+        }
+        if (result.success) {
+          const data = result.data;
+
+          // Calculate indicators
+          const dataWithRSI = addIndicators(data);
+
+          // Get latest data
+          const latest = dataWithRSI[dataWithRSI.length - 1];
+          const previous = dataWithRSI[dataWithRSI.length - 2];
+
+
+          if (latest && previous && indicatorsReady(latest, previous)) {
+            // The leader fetched the higher timeframe too when confirmation is on
+            const higherData = result.higher?.success ? addIndicators(result.higher.data) : null;
+            const confirmHigher = (signal, mode) => (result.higher
+              ? confirmWithHigherTimeframe(signal, higherData && getLatestSignal(higherData, mode, confirmationsRef.current), result.higherInterval)
+              : signal);
+
+            // Calculate signals for every mode, built-in and custom
+            const modes = listRuleSets();
+            const rawSignals = Object.fromEntries(modes.map(mode => [
+              mode.id,
+              getLatestSignal(dataWithRSI, mode.id, confirmationsRef.current)
+            ]));
+            const modeSignals = Object.fromEntries(modes.map(mode => [mode.id, confirmHigher(rawSignals[mode.id], mode.id)]));
+
+            // Changes are found against the persistent signal history, so they
+            // survive reloads and only the first tab to record one notifies.
+            // Like the page, strict mode records nothing computed on synthetic data.
+            const recording = canComputeSignals(data, isStrictMode())
+              ? recordSignalTransitions(symbol.value, autoCheckInterval, latest, rawSignals)
+              : Promise.resolve([]);
+            const notify = (mode, transition) => sendNotification(
+              `${symbol.label} ${formatTimeframe(autoCheckInterval)} ${mode.label} Signal: ${transition.signal}`,
+              transition.description
+            );
+            recording
+              .then(transitions => {
+                if (transitions.length > 0) setSignalHistoryVersion(prev => prev + 1);
+
+                transitions.forEach(transition => {
+                  const key = `${symbol.value}|${autoCheckInterval}|${transition.mode}`;
+                  pendingAlertsRef.current.delete(key);
+
+                  // Send notifications for significant signals only
+                  if (!transition.previousSignal || transition.signal.includes('WEAK') || transition.signal === 'HOLD') return;
+
+                  // The alert repeats the recorded change once the higher timeframe agrees with it,
+                  // which may be on a later check
+                  if (modeSignals[transition.mode].signal === transition.signal) {
+                    if (notificationPermission) notify(modes.find(item => item.id === transition.mode), transition);
+                  } else {
+                    pendingAlertsRef.current.set(key, transition);
+                  }
+                });
+
+                modes.forEach(mode => {
+                  const key = `${symbol.value}|${autoCheckInterval}|${mode.id}`;
+                  const pending = pendingAlertsRef.current.get(key);
+                  if (!pending || transitions.includes(pending)) return;
+                  if (rawSignals[mode.id].signal !== pending.signal) {
+                    // Superseded before it was ever confirmed
+                    pendingAlertsRef.current.delete(key);
+                  } else if (modeSignals[mode.id].signal === pending.signal) {
+                    pendingAlertsRef.current.delete(key);
+                    if (notificationPermission) notify(mode, pending);
+                  }
+                });
+              })
+              .catch(error => console.error('Error recording signal transitions:', error));
+
+            // Update all symbols data for display
+            setAllSymbolsData(prev => {
+              const updated = prev ? [...prev] : [];
+              const existingIndex = updated.findIndex(s => s.symbol === symbol.value);
+            
+              const symbolData = {
+                symbol: symbol.value,
+                label: symbol.label,
+                color: symbol.color,
+                price: latest.price || 0,
+                change: (latest.price || 0) - (previous.price || 0),
+                changePercent: previous.price ? (((latest.price || 0) - (previous.price || 0)) / (previous.price || 1)) * 100 : 0,
+                signals: modeSignals,
+                timestamp: new Date().toISOString()
+              };
+            
+              if (existingIndex >= 0) {
+                updated[existingIndex] = symbolData;
+              } else {
+                updated.push(symbolData);
+              }
+            
+              return updated;
+            });
+          }
+        }
+      });
+    };
+
+    // Fetches every symbol in rate-limited batches; only the leader tab runs this
+    const checkAllSymbols = async (emit) => {
       try {
         // Initialize progress
         setLoadingProgress({ current: 0, total: symbols.length });
         setApiErrors([]);
         
         // Update API calls count when starting auto check
-        const currentCount = getApiCallsCount();
-        setApiCalls(currentCount);
+        const provider = getProvider(selectedProvider);
+        setApiCalls(provider.usage.get());
         
+        let quotaReached = false;
+
         // Process symbols in batches to avoid rate limiting
         const processBatch = async (symbolBatch, batchIndex) => {
           const results = [];
           
           for (const symbol of symbolBatch) {
-            try {
-              const result = await getTwelveDataData(symbol.value, autoCheckInterval);
-              results.push({ symbol, result });
-              
-              // Update API calls count
-              if (result.success) {
-                const newCount = incrementApiCalls();
-                setApiCalls(newCount);
-              }
-              
-              // Update progress
-              setLoadingProgress(prev => ({ 
-                current: prev.current + 1, 
-                total: prev.total 
-              }));
-              
-              // Add delay between requests
-              if (symbolBatch.indexOf(symbol) < symbolBatch.length - 1) {
-                await new Promise(resolve => setTimeout(resolve, MIN_REQUEST_INTERVAL));
-              }
-            } catch (error) {
-              console.error(`Error fetching data for ${symbol.value}:`, error);
-              
-              // Update progress even on error
-              setLoadingProgress(prev => ({ 
-                current: prev.current + 1, 
-                total: prev.total 
-              }));
-              
-              // Add error to list
-              setApiErrors(prev => [...prev, { symbol: symbol.value, error: error.message }]);
-              
-              // Handle rate limit error
-              if (error.message.includes('RATE_LIMIT')) {
-                console.warn(`Rate limit reached for ${symbol.value}, waiting 60 seconds...`);
-                setApiErrors(prev => [...prev, { 
-                  symbol: symbol.value, 
-                  error: 'Rate limit exceeded - waiting 60 seconds' 
-                }]);
-                
-                // Show countdown
-                setRateLimitWait(60);
-                const countdown = setInterval(() => {
-                  setRateLimitWait(prev => {
-                    if (prev <= 1) {
-                      clearInterval(countdown);
-                      return 0;
-                    }
-                    return prev - 1;
-                  });
-                }, 1000);
-                
-                await new Promise(resolve => setTimeout(resolve, 60000)); // Wait 1 minute
-                // Retry once
-                try {
-                  console.log(`Retrying ${symbol.value} after rate limit...`);
-                  const retryResult = await getTwelveDataData(symbol.value, '60min');
-                  results.push({ symbol, result: retryResult });
-                  
-                  // Update API calls count for retry
-                  if (retryResult.success) {
-                    const newCount = incrementApiCalls();
-                    setApiCalls(newCount);
+            let result = await fetchCandles(selectedProvider, symbol.value, autoCheckInterval, PRIORITY.AUTO_CHECK);
+
+            // Wait out a per-minute limit once, then retry
+            if (result.error?.kind === ERROR_KIND.RATE_LIMITED) {
+              const waitSeconds = Math.ceil((result.error.retryAfter ?? 60000) / 1000);
+              console.warn(`Rate limit reached for ${symbol.value}, waiting ${waitSeconds} seconds...`);
+
+              // Show countdown
+              setRateLimitWait(waitSeconds);
+              const countdown = setInterval(() => {
+                setRateLimitWait(prev => {
+                  if (prev <= 1) {
+                    clearInterval(countdown);
+                    return 0;
                   }
-                } catch (retryError) {
-                  console.error(`Retry failed for ${symbol.value}:`, retryError);
-                  results.push({ symbol, result: { success: false, error: retryError.message } });
-                }
-              } else {
-                results.push({ symbol, result: { success: false, error: error.message } });
-              }
+                  return prev - 1;
+                });
+              }, 1000);
+
+              await new Promise(resolve => setTimeout(resolve, waitSeconds * 1000));
+              console.log(`Retrying ${symbol.value} after rate limit...`);
+              result = await fetchCandles(selectedProvider, symbol.value, autoCheckInterval, PRIORITY.AUTO_CHECK);
+            }
+
+            // Signals then only count when the higher timeframe agrees
+            const higherInterval = HIGHER_TIMEFRAME[autoCheckInterval];
+            if (result.success && higherTimeframeConfirmRef.current && higherInterval) {
+              result.higher = await fetchCandles(selectedProvider, symbol.value, higherInterval, PRIORITY.AUTO_CHECK);
+              result.higherInterval = higherInterval;
+            }
+
+            results.push({ symbol, result });
+
+            // Update API calls count and progress
+            setApiCalls(provider.usage.get());
+            setLoadingProgress(prev => ({ 
+              current: prev.current + 1, 
+              total: prev.total 
+            }));
+
+            if (!result.success) {
+              setApiErrors(prev => [...prev, { symbol: symbol.value, error: describeError(result.error).message }]);
+            }
+
+            // Out of daily budget: every remaining symbol would be deferred as well
+            if (result.error?.kind === ERROR_KIND.QUOTA || result.higher?.error?.kind === ERROR_KIND.QUOTA) {
+              console.warn('Auto-check stopped:', (result.error || result.higher.error).message);
+              quotaReached = true;
+              break;
             }
           }
           
@@ -730,152 +423,33 @@ const TwelveDataPage = ({ onBack }) => {
           batches.push(symbols.slice(i, i + BATCH_SIZE));
         }
 
-        // Process each batch with delay
+        // Process each batch; the scheduler spaces the requests and lets user fetches go first
         for (let i = 0; i < batches.length; i++) {
           const batch = batches[i];
           const batchResults = await processBatch(batch, i);
           
-          // Process results for this batch
-          batchResults.forEach(({ symbol, result }) => {
-            if (!result.success) {
-              console.error(`Failed to process ${symbol.value}:`, result.error);
-            }
-            if (result.success) {
-              const data = result.data;
-
-              // Calculate indicators
-              const dataWithEMA = calculateEMA(data, 20);
-              const dataWithRSI = calculateRSI(dataWithEMA, 14);
-
-              // Get latest data
-              const latest = dataWithRSI[dataWithRSI.length - 1];
-              const previous = dataWithRSI[dataWithRSI.length - 2];
-
-
-              if (latest && previous) {
-                // Calculate signals for both modes
-                const signalConservative = getSignal(
-                  latest.price,
-                  latest.ema20,
-                  latest.rsi,
-                  previous.price,
-                  previous.ema20,
-                  dataWithRSI,
-                  'conservative'
-                );
-
-                const signalNormal = getSignal(
-                  latest.price,
-                  latest.ema20,
-                  latest.rsi,
-                  previous.price,
-                  previous.ema20,
-                  dataWithRSI,
-                  'normal'
-                );
-
-                // Check for signal changes
-                const currentSignalStatus = {
-                  symbol: symbol.value,
-                  conservative: signalConservative,
-                  normal: signalNormal,
-                  timestamp: new Date().toISOString()
-                };
-
-                if (lastModeCheck) {
-                  const previousSignal = lastModeCheck.find(s => s.symbol === symbol.value);
-                  
-                  if (previousSignal) {
-                    const conservativeChanged = 
-                      previousSignal.conservative?.signal !== signalConservative.signal;
-                    const normalChanged = 
-                      previousSignal.normal?.signal !== signalNormal.signal;
-
-                    if (conservativeChanged || normalChanged) {
-                      // Send notifications for significant signals only
-                      if (notificationPermission) {
-                        if (conservativeChanged && !signalConservative.signal.includes('WEAK') && signalConservative.signal !== 'HOLD') {
-                          sendNotification(
-                            `${symbol.label} 1H Conservative Signal: ${signalConservative.signal}`,
-                            signalConservative.description
-                          );
-                        }
-                        if (normalChanged && !signalNormal.signal.includes('WEAK') && signalNormal.signal !== 'HOLD') {
-                          sendNotification(
-                            `${symbol.label} 1H Normal Signal: ${signalNormal.signal}`,
-                            signalNormal.description
-                          );
-                        }
-                      }
-                    }
-                  }
-                }
-
-                // Update signal status
-                setLastModeCheck(prev => {
-                  const updated = prev ? [...prev] : [];
-                  const existingIndex = updated.findIndex(s => s.symbol === symbol.value);
-                  
-                  if (existingIndex >= 0) {
-                    updated[existingIndex] = currentSignalStatus;
-                  } else {
-                    updated.push(currentSignalStatus);
-                  }
-                  
-                  return updated;
-                });
-
-                // Update all symbols data for display
-                setAllSymbolsData(prev => {
-                  const updated = prev ? [...prev] : [];
-                  const existingIndex = updated.findIndex(s => s.symbol === symbol.value);
-                  
-                  const symbolData = {
-                    symbol: symbol.value,
-                    label: symbol.label,
-                    color: symbol.color,
-                    price: latest.price || 0,
-                    change: (latest.price || 0) - (previous.price || 0),
-                    changePercent: previous.price ? (((latest.price || 0) - (previous.price || 0)) / (previous.price || 1)) * 100 : 0,
-                    conservative: signalConservative,
-                    normal: signalNormal,
-                    timestamp: new Date().toISOString()
-                  };
-                  
-                  if (existingIndex >= 0) {
-                    updated[existingIndex] = symbolData;
-                  } else {
-                    updated.push(symbolData);
-                  }
-                  
-                  return updated;
-                });
-              }
-            }
-          });
-          
-          // Add delay between batches (except for the last batch)
-          if (i < batches.length - 1) {
-            await new Promise(resolve => setTimeout(resolve, BATCH_DELAY));
-          }
+          // Share this batch's candles with every tab following the auto-check
+          emit(batchResults.map(({ symbol, result }) => ({ symbol: symbol.value, result })));
+          if (quotaReached) break;
         }
         
         // Update final API calls count
-        const finalCount = getApiCallsCount();
-        setApiCalls(finalCount);
+        setApiCalls(provider.usage.get());
       } catch (error) {
         console.error('Auto-check error:', error);
       }
     };
 
-    // Run immediately
-    checkAllSymbols();
-
-    // Set up interval to run every hour
-    const intervalId = setInterval(checkAllSymbols, 60 * 60 * 1000); // 1 hour
-
-    return () => clearInterval(intervalId);
-  }, [autoCheckEnabled, autoCheckInterval]);
+    // One open tab runs the check every hour and shares each batch with the others
+    return createSharedPoll({
+      name: `autocheck_${selectedProvider}_${autoCheckInterval}`,
+      intervalMs: 60 * 60 * 1000, // 1 hour
+      runImmediately: true,
+      run: checkAllSymbols,
+      onResult: ({ data, error }) => (error ? console.error('Auto-check error:', error.message) : processBatchResults(data)),
+      onLeaderChange: setIsAutoCheckLeader
+    });
+  }, [autoCheckEnabled, autoCheckInterval, selectedProvider]);
 
 
 
@@ -940,24 +514,62 @@ const TwelveDataPage = ({ onBack }) => {
     { value: '1month', label: '1 Month' }
   ];
 
-  const analysisModes = [
-    { 
-      value: 'conservative', 
-      label: 'Conservative Mode', 
-      description: 'RSI 25/75, Divergence 40%, Strict EMA',
-      rsiOverbought: 75,
-      rsiOversold: 25,
-      divergenceThreshold: 40
-    },
-    { 
-      value: 'normal', 
-      label: 'Normal Mode', 
-      description: 'RSI 70/30, Divergence 30%, Standard EMA',
-      rsiOverbought: 70,
-      rsiOversold: 30,
-      divergenceThreshold: 30
+  const activeMode = getRuleSet(selectedMode);
+  const modeBadge = getModeBadge(activeMode);
+  const { rsiOverbought, rsiOversold } = activeMode.params;
+
+  const provider = getProvider(selectedProvider);
+  const dailyLimit = provider.capabilities.rateLimit.perDay;
+  const quota = provider.scheduler.getQuotaStatus();
+  const availableIntervals = intervals.filter(interval => supportsInterval(provider, interval.value));
+
+  const handleChartTypeChange = (type) => {
+    setChartType(type);
+    saveChartType(type);
+  };
+
+  // Switch source, falling back to an interval the new provider supports
+  const handleProviderChange = (providerId) => {
+    const nextProvider = getProvider(providerId);
+    setSelectedProvider(providerId);
+    setApiCalls(nextProvider.usage.get());
+    if (!supportsInterval(nextProvider, selectedInterval)) {
+      setSelectedInterval(nextProvider.capabilities.intervals[0]);
     }
-  ];
+    if (!supportsInterval(nextProvider, autoCheckInterval)) {
+      setAutoCheckInterval(nextProvider.capabilities.intervals[0]);
+    }
+  };
+
+  // Load the selected symbol's other timeframes for the confluence matrix;
+  // `preloaded` holds series already in hand so they aren't synced again
+  const loadConfluence = async (preloaded = {}) => {
+    const higherInterval = HIGHER_TIMEFRAME[selectedInterval];
+    const intervalsToLoad = [...new Set([...CONFLUENCE_TIMEFRAMES, ...(higherInterval ? [higherInterval] : [])])];
+    const symbol = selectedSymbol;
+    const providerId = selectedProvider;
+
+    setConfluenceLoading(true);
+    try {
+      const series = await loadTimeframes(providerId, symbol, intervalsToLoad, { preloaded });
+      setTimeframeSeries({ symbol, providerId, series });
+    } finally {
+      setConfluenceLoading(false);
+      setApiCalls(getProvider(providerId).usage.get());
+    }
+  };
+
+  // Record the fetched series' signals, for every mode, in the signal history
+  const recordPageSignals = async (data) => {
+    if (!canComputeSignals(data, isStrictMode())) return;
+    const signals = Object.fromEntries(listRuleSets().map(mode => [mode.id, getLatestSignal(data, mode.id, confirmations)]));
+    try {
+      const transitions = await recordSignalTransitions(selectedSymbol, selectedInterval, data[data.length - 1], signals);
+      if (transitions.length > 0) setSignalHistoryVersion(prev => prev + 1);
+    } catch (error) {
+      console.error('Error recording signal transitions:', error);
+    }
+  };
 
   const fetchData = async () => {
     try {
@@ -968,18 +580,20 @@ const TwelveDataPage = ({ onBack }) => {
       setIsOnline(navigator.onLine);
       
       if (!navigator.onLine) {
-        throw new Error('No internet connection');
+        throw new DataError(ERROR_KIND.NETWORK, 'No internet connection', { provider: selectedProvider });
       }
       
-      // Check API calls limit (Twelve Data free tier: 800 calls/day)
-      if (apiCalls >= 800) {
-        throw new Error('Daily API limit reached (800 calls/day). Please try again tomorrow.');
+      // Check the provider's daily API calls limit (Twelve Data free tier: 800 calls/day)
+      if (apiCalls >= dailyLimit) {
+        throw new DataError(ERROR_KIND.QUOTA, `Daily API limit reached (${dailyLimit} calls/day). Please try again tomorrow.`, { provider: selectedProvider });
       }
       
-      // Test API key first
-      
-      // Fetch data from Twelve Data
-      const result = await getTwelveDataData(selectedSymbol, selectedInterval);
+      // Fetch data from the selected provider
+      const result = await fetchCandles(selectedProvider, selectedSymbol, selectedInterval);
+      setApiCalls(provider.usage.get());
+      if (!result.success) {
+        throw result.error;
+      }
       
       // Set API info if available
       if (result.info) {
@@ -989,15 +603,15 @@ const TwelveDataPage = ({ onBack }) => {
       // Check if we have valid data
       if (result.data && result.data.length > 0) {
         // Calculate EMA and RSI for the data
-        const dataWithEMA = calculateEMA(result.data);
-        const dataWithRSI = calculateRSI(dataWithEMA);
+        const dataWithRSI = addIndicators(result.data);
         setChartData(dataWithRSI);
+        setChartSeries({ symbol: selectedSymbol, interval: selectedInterval });
         setLastUpdate(result.lastUpdated);
-        const newCount = incrementApiCalls();
-        setApiCalls(newCount);
         setHasData(true);
         setError(null);
         setCacheStatus('loaded');
+        loadConfluence({ [selectedInterval]: dataWithRSI });
+        recordPageSignals(dataWithRSI);
       } else {
         // No data available
         setError('No data available for this symbol or interval. Please try a different symbol or interval.');
@@ -1006,49 +620,73 @@ const TwelveDataPage = ({ onBack }) => {
       
     } catch (err) {
       console.error('API Error:', err);
-      
-      // Provide more specific error messages
-      let errorMessage = err.message;
-      
-      if (err.message.includes('API key')) {
-        errorMessage = 'Invalid API key. Please check your Twelve Data API key.';
-      } else if (err.message.includes('No data available')) {
-        errorMessage = `Symbol "${selectedSymbol}" not found or not supported. Try a different symbol.`;
-      } else if (err.message.includes('API limit')) {
-        errorMessage = 'API limit reached. Please wait before trying again.';
-      } else if (err.message.includes('HTTP error')) {
-        errorMessage = 'Network error. Please check your connection and try again.';
-      }
-      
-      setError(errorMessage);
+      setError(describeError(toDataError(err, { symbol: selectedSymbol })).message);
     } finally {
       setLoading(false);
     }
   };
 
-  const currentData = chartData[chartData.length - 1];
-  const signal = currentData && chartData.length >= 2 ? 
-    getSignal(
-      currentData.price, 
-      currentData.ema20, 
-      currentData.rsi,
-      chartData[chartData.length - 2].price,
-      chartData[chartData.length - 2].ema20,
-      chartData,
-      selectedMode
-    ) : null;
+  // The EMA the active mode's signals read; series only come with EMA 20
+  const emaPeriod = activeMode.params.emaPeriod ?? 20;
+  const emaKey = `ema${emaPeriod}`;
+  const modeData = useMemo(
+    () => (chartData.length === 0 || emaKey in chartData[0] ? chartData : withEMA(chartData, { period: emaPeriod, key: emaKey })),
+    [chartData, emaPeriod, emaKey]
+  );
+
+  const currentData = modeData[modeData.length - 1];
+  const provenance = chartData.length > 0 ? summarizeProvenance(chartData) : null;
+  const regime = currentData ? REGIME_LABELS[marketRegime(currentData)] : null;
+  const signal = canComputeSignals(chartData, isStrictMode()) ? getLatestSignal(modeData, selectedMode, confirmations) : null;
   
+  // Series loaded for another symbol or source are ignored until the next load
+  const confluenceSeries = useMemo(
+    () => (timeframeSeries.symbol === selectedSymbol && timeframeSeries.providerId === selectedProvider ? timeframeSeries.series : {}),
+    [timeframeSeries, selectedSymbol, selectedProvider]
+  );
+  // Every timeframe's signals are recomputed only when its series, the mode or the confirmations change
+  const confluence = useMemo(
+    () => evaluateConfluence(confluenceSeries, CONFLUENCE_TIMEFRAMES, activeMode, confirmations),
+    [confluenceSeries, activeMode, confirmations]
+  );
+  const higherInterval = HIGHER_TIMEFRAME[selectedInterval] || null;
+  const higherData = higherInterval ? confluenceSeries[higherInterval]?.data : null;
+  const confirmedSignal = signal && higherInterval && !confluenceLoading
+    ? confirmWithHigherTimeframe(signal, higherData ? getLatestSignal(higherData, selectedMode, confirmations) : null, higherInterval)
+    : null;
+
   // This will trigger re-calculation when mode changes
   const signalKey = `${selectedMode}-${modeUpdateTrigger}`;
   const percentageData = calculatePercentageChange(chartData);
+  const emaValues = modeData.map(d => d[emaKey]).filter(ema => ema !== null && ema !== undefined);
+  // Divergences as the active mode detects them, drawn on the price chart and its oscillator's panel
+  const divergenceSettings = useMemo(() => divergenceOptions(activeMode.params), [activeMode.params]);
+  const showDivergences = indicatorViews.divergences;
+  const divergences = useMemo(
+    () => (showDivergences ? findDivergences(chartData, divergenceSettings) : []),
+    [chartData, divergenceSettings, showDivergences]
+  );
+  const oscillatorSegments = (oscillator) => (divergenceSettings.oscillator === oscillator ? toDivergenceSegments(divergences, chartData, 'oscillator') : []);
+  const divergenceCount = (oscillator) => (divergenceSettings.oscillator === oscillator && divergences.length > 0 ? `, ${divergences.length} divergences` : '');
+  const markers = indicatorViews.signalMarkers ? toSignalMarkers(signalMarkers, chartData) : [];
+  // Zones at the latest bar; the stats grid shows the nearest ones even with the bands hidden.
+  // Zone settings are the fixed LEVEL_DEFAULTS the rules' level distances use, so only the series matters.
+  const levelZones = useMemo(() => findLevels(chartData), [chartData]);
+  const nearest = currentData ? nearestLevels(levelZones, currentData.price) : null;
+  const priceChartData = indicatorViews.vwap && vwapAnchor ? withAnchoredVWAP(modeData, { anchorTime: vwapAnchor }) : modeData;
 
   // Calculate better Y-axis domain for better comparison
   const calculateYAxisDomain = (data) => {
     if (!data || data.length === 0) return ['auto', 'auto'];
     
-    const prices = data.map(d => d.price);
-    const emas = data.map(d => d.ema20).filter(ema => ema !== null);
-    const allValues = [...prices, ...emas];
+    const prices = showsRange(chartType) ? data.flatMap(d => [toOHLC(d).low, toOHLC(d).high]) : data.map(d => d.price);
+    const overlayKeys = [
+      emaKey,
+      ...(indicatorViews.bollinger ? ['bbUpper', 'bbLower'] : []),
+      ...(indicatorViews.vwap ? ['vwap', 'anchoredVwap'] : [])
+    ];
+    const overlays = data.flatMap(d => overlayKeys.map(key => d[key])).filter(value => value !== null && value !== undefined);
+    const allValues = [...prices, ...overlays];
     
     const min = Math.min(...allValues);
     const max = Math.max(...allValues);
@@ -1058,7 +696,7 @@ const TwelveDataPage = ({ onBack }) => {
     return [min - padding, max + padding];
   };
 
-  const yAxisDomain = calculateYAxisDomain(chartData);
+  const yAxisDomain = calculateYAxisDomain(priceChartData);
 
   const formatPrice = (price) => {
     return `$${price.toFixed(2)}`;
@@ -1129,7 +767,7 @@ const TwelveDataPage = ({ onBack }) => {
           <div className="loading-spinner"></div>
           <p>Loading Alpha Vantage data...</p>
           <p style={{ fontSize: '14px', color: '#9ca3af', marginTop: '8px' }}>
-            API Calls used: {apiCalls}/25
+            API Calls used: {apiCalls}/{dailyLimit}
           </p>
         </div>
       </div>
@@ -1223,22 +861,26 @@ const TwelveDataPage = ({ onBack }) => {
             <div className="header-status-bar">
               <div className="twelve-data-status-item">
                 <span className="status-dot online"></span>
-                <span>API: {apiCalls}/800 calls</span>
+                <span>{provider.name} API: {apiCalls}/{dailyLimit} calls</span>
+              </div>
+              <div className="twelve-data-status-item" title="Today's calls extrapolated from the pace so far">
+                <span className={`status-dot ${quota.projected > dailyLimit ? 'warning' : 'online'}`}></span>
+                <span>Projected: ~{quota.projected}/{dailyLimit} today</span>
               </div>
           </div>
           </div>
           <div className="mode-badge" style={{
             display: 'inline-block',
-            backgroundColor: selectedMode === 'conservative' ? 'rgba(59, 130, 246, 0.1)' : 'rgba(16, 185, 129, 0.1)',
-            border: selectedMode === 'conservative' ? '1px solid rgba(59, 130, 246, 0.3)' : '1px solid rgba(16, 185, 129, 0.3)',
+            backgroundColor: `${modeBadge.color}1a`, // 10% alpha
+            border: `1px solid ${modeBadge.color}4d`, // 30% alpha
             borderRadius: '12px',
             padding: '4px 8px',
             fontSize: '0.7rem',
             fontWeight: '600',
-            color: selectedMode === 'conservative' ? '#3b82f6' : '#10b981',
+            color: modeBadge.color,
             margin: '8px'
           }}>
-            {selectedMode === 'conservative' ? '🛡️' : '⚡'} {analysisModes.find(m => m.value === selectedMode)?.label}: {analysisModes.find(m => m.value === selectedMode)?.description}
+            {modeBadge.icon} {activeMode.label}: {activeMode.description}
           </div>
           
           
@@ -1246,6 +888,18 @@ const TwelveDataPage = ({ onBack }) => {
           
           {/* <div className="controls glass-controls"> */}
             <div className="control-group">
+              <select 
+                value={selectedProvider} 
+                onChange={(e) => handleProviderChange(e.target.value)}
+                className="control-select"
+                disabled={loading || autoCheckEnabled}
+              >
+                {listProviders().map(source => (
+                  <option key={source.id} value={source.id}>
+                    {source.name}
+                  </option>
+                ))}
+              </select>
               <select 
                 value={selectedSymbol} 
                 onChange={(e) => setSelectedSymbol(e.target.value)}
@@ -1264,7 +918,7 @@ const TwelveDataPage = ({ onBack }) => {
                 className="control-select"
                 disabled={loading}
               >
-                {intervals.map(interval => (
+                {availableIntervals.map(interval => (
                   <option key={interval.value} value={interval.value}>
                     {interval.label}
                   </option>
@@ -1276,18 +930,26 @@ const TwelveDataPage = ({ onBack }) => {
                 className="control-select"
                 disabled={loading}
               >
-                {analysisModes.map(mode => (
-                  <option key={mode.value} value={mode.value}>
+                {ruleSets.map(mode => (
+                  <option key={mode.id} value={mode.id}>
                     {mode.label}
                   </option>
                 ))}
               </select>
+              <button
+                type="button"
+                onClick={() => setShowModeEditor(prev => !prev)}
+                className={`search-button ${showModeEditor ? 'active' : ''}`}
+                title="Create and edit analysis modes"
+              >
+                <Settings size={16} />
+              </button>
               <button 
                 onClick={fetchData}
-                disabled={loading || apiCalls >= 800}
+                disabled={loading || apiCalls >= dailyLimit}
                 className="search-button"
               >
-                {loading ? 'Loading...' : apiCalls >= 800 ? 'Limit Reached' : 'Get Data'}
+                {loading ? 'Loading...' : apiCalls >= dailyLimit ? 'Limit Reached' : 'Get Data'}
               </button>
             </div>
             
@@ -1302,10 +964,26 @@ const TwelveDataPage = ({ onBack }) => {
                   cursor: autoCheckEnabled ? 'not-allowed' : 'pointer'
                 }}
               >
-                <option value="60min">1H</option>
-                <option value="4h">4H</option>
+                {['60min', '4h', '1day']
+                  .filter(interval => supportsInterval(provider, interval))
+                  .map(interval => (
+                    <option key={interval} value={interval}>
+                      {formatTimeframe(interval)}
+                    </option>
+                  ))}
               </select>
 
+              {HIGHER_TIMEFRAME[autoCheckInterval] && (
+                <label className="indicator-toggle" title="Only report signals the higher timeframe agrees with (one extra request per symbol)">
+                  <input
+                    type="checkbox"
+                    checked={higherTimeframeConfirm}
+                    onChange={(e) => setHigherTimeframeConfirm(e.target.checked)}
+                  />
+                  Confirm on {formatTimeframe(HIGHER_TIMEFRAME[autoCheckInterval])}
+                </label>
+              )}
+
               <button 
               onClick={() => {
                 if (!autoCheckEnabled) {
@@ -1357,10 +1035,25 @@ const TwelveDataPage = ({ onBack }) => {
           </div>
         )}
 
+        {showModeEditor && (
+          <ModeEditor
+            ruleSets={ruleSets}
+            selectedId={activeMode.id}
+            onSelect={handleModeChange}
+            onChange={() => setRuleSets(listRuleSets())}
+            onClose={() => setShowModeEditor(false)}
+          />
+        )}
+
         {/* All Symbols Signal Cards */}
         {autoCheckEnabled && (
           <div className="symbols-signals-container">
-            <h2 className="signals-title">All Symbols Signals (1H)</h2>
+            <h2 className="signals-title">All Symbols Signals ({formatTimeframe(autoCheckInterval)})</h2>
+            {!isAutoCheckLeader && (
+              <small className="signals-follower-note">
+                Another open tab is running the auto-check; its results appear here
+              </small>
+            )}
             <div className="symbols-grid">
               {loadingProgress.current < loadingProgress.total ? (
                 <div className="loading-symbols">
@@ -1378,7 +1071,10 @@ const TwelveDataPage = ({ onBack }) => {
                     {loadingProgress.current} of {loadingProgress.total} symbols loaded
                     {loadingProgress.total > 0 && ` (${Math.round((loadingProgress.current / loadingProgress.total) * 100)}%)`}
                   </small>
-                  <small>Rate limited to 8 calls/minute (2 symbols per batch, 8s delay)</small>
+                  <small>
+                    Paced to {provider.capabilities.rateLimit.perMinute} calls/minute; your own requests go first,
+                    and the check pauses when the daily budget runs low
+                  </small>
                   {rateLimitWait > 0 && (
                     <small style={{ color: '#ef4444', fontWeight: 'bold' }}>
                       ⏳ Rate limit: Waiting {rateLimitWait}s before retry...
@@ -1431,35 +1127,24 @@ const TwelveDataPage = ({ onBack }) => {
                   </div>
                   
                   <div className="signal-modes">
-                    <div className="signal-mode">
-                      <div className="mode-label">Conservative</div>
-                      <div 
-                        className="signal-badge"
-                        style={{ 
-                          backgroundColor: symbolData.conservative.color,
-                          color: 'white'
-                        }}
-                      >
-                        {React.createElement(symbolData.conservative.icon, { size: 16 })} {symbolData.conservative.signal}
-                      </div>
-                    </div>
-                    
-                    <div className="signal-mode">
-                      <div className="mode-label">Normal</div>
-                      <div 
-                        className="signal-badge"
-                        style={{ 
-                          backgroundColor: symbolData.normal.color,
-                          color: 'white'
-                        }}
-                      >
-                        {React.createElement(symbolData.normal.icon, { size: 16 })} {symbolData.normal.signal}
+                    {ruleSets.filter(mode => symbolData.signals[mode.id]).map(mode => (
+                      <div key={mode.id} className="signal-mode">
+                        <div className="mode-label">{mode.label.replace(/ Mode$/, '')}</div>
+                        <div 
+                          className="signal-badge"
+                          style={{ 
+                            backgroundColor: symbolData.signals[mode.id].color,
+                            color: 'white'
+                          }}
+                        >
+                          {React.createElement(symbolData.signals[mode.id].icon, { size: 16 })} {symbolData.signals[mode.id].signal}
+                        </div>
                       </div>
-                    </div>
+                    ))}
                   </div>
                   
                   <div className="signal-description">
-                    <small>{symbolData.conservative.description}</small>
+                    <small>{(symbolData.signals[selectedMode] || Object.values(symbolData.signals)[0])?.description}</small>
                     <div className="symbol-timestamp">
                       <small>Updated: {new Date(symbolData.timestamp).toLocaleTimeString()}</small>
                     </div>
@@ -1552,15 +1237,15 @@ const TwelveDataPage = ({ onBack }) => {
               <div className="stat-value">
                 {currentData ? formatPrice(currentData.price) : 'N/A'}
               </div>
-              {currentData && currentData.ema20 && (
+              {currentData && currentData[emaKey] && (
                 <div className="stat-detail" style={{ 
-                  color: currentData.price > currentData.ema20 ? '#10b981' : '#ef4444',
+                  color: currentData.price > currentData[emaKey] ? '#10b981' : '#ef4444',
                   fontSize: '0.7rem',
                   fontWeight: '500',
                   marginTop: '0.25rem',
                   opacity: 0.9
                 }}>
-                  {currentData.price > currentData.ema20 ? '🟢 Above EMA20' : '🔴 Below EMA20'}
+                  {currentData.price > currentData[emaKey] ? `🟢 Above EMA${emaPeriod}` : `🔴 Below EMA${emaPeriod}`}
                 </div>
               )}
             </div>
@@ -1568,10 +1253,10 @@ const TwelveDataPage = ({ onBack }) => {
             <div className="stat-card glass-card">
               <div className="stat-header">
                 <Target className="stat-icon" />
-                <span className="stat-title">EMA 20</span>
+                <span className="stat-title">EMA {emaPeriod}</span>
               </div>
               <div className="stat-value">
-                {currentData ? formatPrice(currentData.ema20) : 'N/A'}
+                {currentData?.[emaKey] ? formatPrice(currentData[emaKey]) : 'N/A'}
               </div>
             </div>
             <div className="stat-card glass-card">
@@ -1586,6 +1271,26 @@ const TwelveDataPage = ({ onBack }) => {
               </div>
             </div>
 
+            <div className="stat-card glass-card">
+              <div className="stat-header">
+                <Layers className="stat-icon" />
+                <span className="stat-title">Nearest Level</span>
+              </div>
+              <div className="stat-value">
+                {nearest?.distance !== null && nearest?.distance !== undefined ? `${nearest.distance.toFixed(2)}%` : 'N/A'}
+              </div>
+              {nearest?.resistance && (
+                <div className="stat-detail level-detail" style={{ color: LEVEL_COLORS.resistance }}>
+                  Resistance {formatPrice(nearest.resistance.price)} ({nearest.resistanceDistance.toFixed(2)}% above, {nearest.resistance.touches} touches)
+                </div>
+              )}
+              {nearest?.support && (
+                <div className="stat-detail level-detail" style={{ color: LEVEL_COLORS.support }}>
+                  Support {formatPrice(nearest.support.price)} ({nearest.supportDistance.toFixed(2)}% below, {nearest.support.touches} touches)
+                </div>
+              )}
+            </div>
+
             <div className="stat-card glass-card" key={`rsi-${signalKey}`}>
               <div className="stat-header">
                 <BarChart3 className="stat-icon" />
@@ -1594,20 +1299,20 @@ const TwelveDataPage = ({ onBack }) => {
               <div 
                 className="stat-value"
                 style={{ 
-                  color: currentData?.rsi > (selectedMode === 'conservative' ? 75 : 70) ? '#ef4444' : currentData?.rsi < (selectedMode === 'conservative' ? 25 : 30) ? '#10b981' : '#8b5cf6'
+                  color: currentData?.rsi > rsiOverbought ? '#ef4444' : currentData?.rsi < rsiOversold ? '#10b981' : '#8b5cf6'
                 }}
               >
                 {currentData?.rsi?.toFixed(1) || 'N/A'}
               </div>
               <div className="stat-detail" style={{ 
-                color: currentData?.rsi > (selectedMode === 'conservative' ? 75 : 70) ? '#ef4444' : currentData?.rsi < (selectedMode === 'conservative' ? 25 : 30) ? '#10b981' : '#8b5cf6',
+                color: currentData?.rsi > rsiOverbought ? '#ef4444' : currentData?.rsi < rsiOversold ? '#10b981' : '#8b5cf6',
                 fontSize: '0.75rem',
                 fontWeight: '600',
                 marginTop: '0.25rem'
               }}>
-                {currentData?.rsi > (selectedMode === 'conservative' ? 75 : 70) ? `Overbought (${selectedMode === 'conservative' ? 'Conservative: >75' : 'Normal: >70'})` : 
-                 currentData?.rsi < (selectedMode === 'conservative' ? 25 : 30) ? `Oversold (${selectedMode === 'conservative' ? 'Conservative: <25' : 'Normal: <30'})` : 
-                 `Neutral (${selectedMode === 'conservative' ? '25-75' : '30-70'})`}
+                {currentData?.rsi > rsiOverbought ? `Overbought (>${rsiOverbought})` : 
+                 currentData?.rsi < rsiOversold ? `Oversold (<${rsiOversold})` : 
+                 `Neutral (${rsiOversold}-${rsiOverbought})`}
               </div>
               {signal && (signal.description.includes('Divergence') || signal.description.includes('divergence')) && (
                 <div className="stat-detail" style={{ 
@@ -1656,79 +1361,197 @@ const TwelveDataPage = ({ onBack }) => {
           </div>
         )}
 
+        {hasData && (
+          <ConfluenceMatrix
+            confluence={confluence}
+            confirmedSignal={confirmedSignal}
+            higherInterval={higherInterval}
+            loading={confluenceLoading}
+            onRefresh={() => loadConfluence({ [selectedInterval]: chartData })}
+          />
+        )}
+
         {hasData && (
           <div className="chart-container glass-chart">
             <div className="chart-header">
               <h3 className="chart-title">{selectedSymbol} Analysis</h3>
               <div className="chart-legend">
+                <ProvenanceBadge provenance={provenance} />
                 <div className="legend-item">
                   <div className="legend-color price"></div>
                   <span>Stock Price</span>
                 </div>
                 <div className="legend-item">
                   <div className="legend-color ema"></div>
-                  <span>EMA 20</span>
+                  <span>EMA {emaPeriod}</span>
                 </div>
+                {indicatorViews.bollinger && (
+                  <div className="legend-item">
+                    <div className="legend-color bands"></div>
+                    <span>Bollinger (20, 2)</span>
+                  </div>
+                )}
+                {indicatorViews.vwap && (
+                  <div className="legend-item">
+                    <div className="legend-color vwap"></div>
+                    <span>Session VWAP</span>
+                  </div>
+                )}
+                {indicatorViews.vwap && vwapAnchor && (
+                  <div className="legend-item">
+                    <div className="legend-color anchored-vwap"></div>
+                    <span>Anchored VWAP</span>
+                  </div>
+                )}
+              </div>
+            </div>
+
+            <div className="indicator-controls">
+              <div className="indicator-control-group">
+                <span className="indicator-control-label">Chart:</span>
+                <ChartTypeSwitch value={chartType} onChange={handleChartTypeChange} />
+              </div>
+              <div className="indicator-control-group">
+                <span className="indicator-control-label">Show:</span>
+                {INDICATOR_VIEWS.map(view => (
+                  <label key={view.id} className="indicator-toggle">
+                    <input
+                      type="checkbox"
+                      checked={indicatorViews[view.id]}
+                      onChange={(e) => setIndicatorViews(prev => ({ ...prev, [view.id]: e.target.checked }))}
+                    />
+                    {view.label}
+                  </label>
+                ))}
+              </div>
+              {indicatorViews.vwap && (
+                <div className="indicator-control-group">
+                  {vwapAnchor ? (
+                    <>
+                      <span className="indicator-hint">VWAP anchored at {new Date(vwapAnchor).toLocaleString()}</span>
+                      <button type="button" className="chart-type-button" onClick={() => setVwapAnchor(null)}>
+                        Clear anchor
+                      </button>
+                    </>
+                  ) : (
+                    <span className="indicator-hint">Click a bar to anchor a VWAP there</span>
+                  )}
+                </div>
+              )}
+              <div className="indicator-control-group">
+                <span className="indicator-control-label">Confirm signals with:</span>
+                {Object.entries(CONFIRMATIONS).map(([id, check]) => (
+                  <label key={id} className="indicator-toggle" title={check.description}>
+                    <input
+                      type="checkbox"
+                      checked={confirmations[id]}
+                      onChange={(e) => setConfirmations(prev => ({ ...prev, [id]: e.target.checked }))}
+                    />
+                    {check.label}
+                  </label>
+                ))}
               </div>
             </div>
           
-          <ResponsiveContainer width="100%" height={500}>
-            <LineChart data={chartData} margin={{ top: 20, right: 30, left: 20, bottom: 20 }}>
-              <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
-              <XAxis 
-                dataKey="time" 
-                tickFormatter={formatTime}
-                stroke="#9ca3af"
-                fontSize={12}
-                tick={{ fill: '#9ca3af' }}
-                axisLine={{ stroke: '#4b5563' }}
-                interval="preserveStartEnd"
-                tickCount={8}
-              />
-              <YAxis 
-                tickFormatter={(value) => `$${value.toFixed(2)}`}
-                stroke="#9ca3af"
-                fontSize={12}
-                tick={{ fill: '#9ca3af' }}
-                axisLine={{ stroke: '#4b5563' }}
-                domain={yAxisDomain}
-                tickCount={12}
-                allowDecimals={true}
-              />
-              <Tooltip 
-                formatter={(value, name) => [
-                  name === 'price' ? formatPrice(value) : formatPrice(value),
-                  name === 'price' ? 'Stock Price' : 'EMA 20'
-                ]}
-                labelFormatter={(time) => new Date(time).toLocaleString()}
-                contentStyle={{
-                  backgroundColor: '#1f2937',
-                  border: '1px solid #374151',
-                  borderRadius: '8px',
-                  color: '#f9fafb',
-                  boxShadow: '0 10px 25px rgba(0, 0, 0, 0.3)'
-                }}
-              />
-              <Line 
-                type="monotone" 
-                dataKey="price" 
-                stroke="#10b981" 
-                strokeWidth={1}
-                dot={false}
-                name="price"
-                activeDot={{ r: 4, stroke: '#10b981', strokeWidth: 1, fill: '#1f2937' }}
-                connectNulls={false}
-              />
+          <PriceChart
+            data={priceChartData}
+            chartType={chartType}
+            formatTime={formatTime}
+            formatPrice={formatPrice}
+            yAxisDomain={yAxisDomain}
+            seriesNames={{ ...SERIES_NAMES, [emaKey]: `EMA ${emaPeriod}` }}
+            syncId={CHART_SYNC_ID}
+            onBarClick={indicatorViews.vwap ? setVwapAnchor : undefined}
+          >
               <Line 
                 type="monotone" 
-                dataKey="ema20" 
+                dataKey={emaKey}
                 stroke="#ef4444" 
                 strokeWidth={1}
                 dot={false}
-                name="ema20"
+                name={emaKey}
                 activeDot={{ r: 4, stroke: '#ef4444', strokeWidth: 1, fill: '#1f2937' }}
                 connectNulls={false}
               />
+              {indicatorViews.levels && levelZones.map(zone => (
+                <ReferenceArea
+                  key={`zone_${zone.price}`}
+                  y1={zone.low}
+                  y2={zone.high}
+                  fill={LEVEL_COLORS[zone.kind]}
+                  fillOpacity={0.12}
+                  stroke="none"
+                />
+              ))}
+              {indicatorViews.levels && levelZones.map(zone => (
+                <ReferenceLine
+                  key={`level_${zone.price}`}
+                  y={zone.price}
+                  stroke={LEVEL_COLORS[zone.kind]}
+                  strokeOpacity={0.6}
+                  strokeDasharray="6 4"
+                  label={{
+                    value: `${formatPrice(zone.price)} ×${zone.touches}`,
+                    position: 'insideLeft',
+                    style: { fill: LEVEL_COLORS[zone.kind], fontSize: '10px' }
+                  }}
+                />
+              ))}
+              {toDivergenceSegments(divergences, chartData, 'price').map(segment => (
+                <ReferenceLine
+                  key={segment.id}
+                  segment={segment.points}
+                  stroke={segment.color}
+                  strokeWidth={2}
+                  strokeDasharray={segment.dashed ? '4 3' : undefined}
+                />
+              ))}
+              {markers.map(marker => (
+                <ReferenceDot
+                  key={marker.id}
+                  x={marker.x}
+                  y={marker.y}
+                  r={4}
+                  fill={marker.color}
+                  stroke="#111827"
+                  label={marker.side && {
+                    value: marker.side === 'buy' ? '▲' : '▼',
+                    position: marker.side === 'buy' ? 'bottom' : 'top',
+                    fill: marker.color,
+                    fontSize: 12
+                  }}
+                />
+              ))}
+              <Brush
+                dataKey="time"
+                height={24}
+                stroke="#4b5563"
+                fill="#1f2937"
+                tickFormatter={formatTime}
+              />
+              {indicatorViews.vwap && (
+                <Line type="monotone" dataKey="vwap" name="vwap" stroke="#06b6d4" strokeWidth={1.5} dot={false} connectNulls={false} isAnimationActive={false} />
+              )}
+              {indicatorViews.vwap && vwapAnchor && (
+                <Line type="monotone" dataKey="anchoredVwap" name="anchoredVwap" stroke="#eab308" strokeWidth={1.5} dot={false} connectNulls={false} isAnimationActive={false} />
+              )}
+              {indicatorViews.vwap && vwapAnchor && (
+                <ReferenceLine x={vwapAnchor} stroke="#eab308" strokeDasharray="2 2" />
+              )}
+              {indicatorViews.bollinger && ['bbUpper', 'bbMiddle', 'bbLower'].map(key => (
+                <Line
+                  key={key}
+                  type="monotone"
+                  dataKey={key}
+                  stroke="#8b5cf6"
+                  strokeWidth={1}
+                  strokeDasharray={key === 'bbMiddle' ? '2 4' : '5 3'}
+                  dot={false}
+                  name={key}
+                  connectNulls={false}
+                  isAnimationActive={false}
+                />
+              ))}
               <ReferenceLine 
                 y={currentData?.price} 
                 stroke="#f59e0b" 
@@ -1741,18 +1564,174 @@ const TwelveDataPage = ({ onBack }) => {
                 }}
               />
               <ReferenceLine 
-                y={currentData?.ema20} 
+                y={currentData?.[emaKey]} 
                 stroke="#f59e0b" 
                 strokeWidth={1}
                 strokeDasharray="4 4"
                 label={{ 
-                  value: `EMA20: $${currentData?.ema20?.toFixed(2)}`, 
+                  value: `EMA${emaPeriod}: $${currentData?.[emaKey]?.toFixed(2)}`, 
                   position: "bottomRight",
                   style: { fill: '#f59e0b', fontSize: '12px', fontWeight: 'bold' }
                 }}
               />
-            </LineChart>
-          </ResponsiveContainer>
+          </PriceChart>
+
+          {indicatorViews.rsi && (
+            <IndicatorPanel
+              title={`RSI (14) - ${activeMode.label} ${rsiOversold}/${rsiOverbought}${divergenceCount('rsi')}`}
+              data={chartData}
+              syncId={CHART_SYNC_ID}
+              formatTime={formatTime}
+              lines={[{ key: 'rsi', name: 'RSI', color: '#8b5cf6' }]}
+              domain={[0, 100]}
+              areas={[
+                { y1: rsiOverbought, y2: 100, color: '#ef4444' },
+                { y1: 0, y2: rsiOversold, color: '#10b981' }
+              ]}
+              referenceLines={[
+                { y: rsiOverbought, color: '#ef4444', label: `${rsiOverbought}` },
+                { y: rsiOversold, color: '#10b981', label: `${rsiOversold}` }
+              ]}
+              segments={oscillatorSegments('rsi')}
+              formatValue={(value) => value.toFixed(1)}
+            />
+          )}
+
+          {indicatorViews.volume && (
+            <IndicatorPanel
+              title="Volume"
+              data={chartData}
+              syncId={CHART_SYNC_ID}
+              formatTime={formatTime}
+              histogram={{ key: 'volume', name: 'Volume', colorOf: volumeColor }}
+              lines={[{ key: 'volumeAvg', name: 'Average (20)', color: '#9ca3af' }]}
+              formatValue={formatVolume}
+            />
+          )}
+
+          {indicatorViews.obv && (
+            <IndicatorPanel
+              title={`On-Balance Volume${divergenceCount('obv')}`}
+              data={chartData}
+              syncId={CHART_SYNC_ID}
+              formatTime={formatTime}
+              lines={[{ key: 'obv', name: 'OBV', color: '#14b8a6' }]}
+              segments={oscillatorSegments('obv')}
+              formatValue={formatVolume}
+            />
+          )}
+
+          {indicatorViews.macd && (
+            <IndicatorPanel
+              title={`MACD (12, 26, 9)${divergenceCount('macd')}`}
+              data={chartData}
+              syncId={CHART_SYNC_ID}
+              formatTime={formatTime}
+              histogram={{ key: 'macdHistogram', name: 'Histogram' }}
+              lines={[
+                { key: 'macd', name: 'MACD', color: '#3b82f6' },
+                { key: 'macdSignal', name: 'Signal', color: '#f59e0b' }
+              ]}
+              referenceLines={[{ y: 0 }]}
+              segments={oscillatorSegments('macd')}
+            />
+          )}
+
+          {indicatorViews.atr && (
+            <IndicatorPanel
+              title="ATR (14)"
+              data={chartData}
+              syncId={CHART_SYNC_ID}
+              formatTime={formatTime}
+              lines={[{ key: 'atr', name: 'ATR', color: '#ec4899' }]}
+              formatValue={(value) => `$${value.toFixed(2)}`}
+            />
+          )}
+
+          {indicatorViews.stochastic && (
+            <IndicatorPanel
+              title="Stochastic (14, 3, 3)"
+              data={chartData}
+              syncId={CHART_SYNC_ID}
+              formatTime={formatTime}
+              lines={[
+                { key: 'stochK', name: '%K', color: '#3b82f6' },
+                { key: 'stochD', name: '%D', color: '#f59e0b' }
+              ]}
+              domain={[0, 100]}
+              areas={[
+                { y1: 80, y2: 100, color: '#ef4444' },
+                { y1: 0, y2: 20, color: '#10b981' }
+              ]}
+              referenceLines={[
+                { y: 80, color: '#ef4444', label: '80' },
+                { y: 20, color: '#10b981', label: '20' }
+              ]}
+              formatValue={(value) => value.toFixed(1)}
+            />
+          )}
+
+          {indicatorViews.adx && (
+            <IndicatorPanel
+              title="ADX / DMI (14)"
+              data={chartData}
+              syncId={CHART_SYNC_ID}
+              formatTime={formatTime}
+              lines={[
+                { key: 'adx', name: 'ADX', color: '#f9fafb' },
+                { key: 'plusDI', name: '+DI', color: '#10b981' },
+                { key: 'minusDI', name: '-DI', color: '#ef4444' }
+              ]}
+              referenceLines={[{ y: ADX_TRENDING, label: `${ADX_TRENDING}` }]}
+              formatValue={(value) => value.toFixed(1)}
+            />
+          )}
+
+          {indicatorViews.cci && (
+            <IndicatorPanel
+              title="CCI (20)"
+              data={chartData}
+              syncId={CHART_SYNC_ID}
+              formatTime={formatTime}
+              lines={[{ key: 'cci', name: 'CCI', color: '#06b6d4' }]}
+              referenceLines={[
+                { y: 100, color: '#ef4444', label: '+100' },
+                { y: 0 },
+                { y: -100, color: '#10b981', label: '-100' }
+              ]}
+              formatValue={(value) => value.toFixed(0)}
+            />
+          )}
+
+          {indicatorViews.williamsR && (
+            <IndicatorPanel
+              title="Williams %R (14)"
+              data={chartData}
+              syncId={CHART_SYNC_ID}
+              formatTime={formatTime}
+              lines={[{ key: 'williamsR', name: '%R', color: '#a855f7' }]}
+              domain={[-100, 0]}
+              areas={[
+                { y1: -20, y2: 0, color: '#ef4444' },
+                { y1: -100, y2: -80, color: '#10b981' }
+              ]}
+              referenceLines={[
+                { y: -20, color: '#ef4444', label: '-20' },
+                { y: -80, color: '#10b981', label: '-80' }
+              ]}
+              formatValue={(value) => value.toFixed(1)}
+            />
+          )}
+
+          {indicatorViews.divergences && (
+            <DivergenceList
+              divergences={divergences}
+              data={chartData}
+              oscillatorLabel={DIVERGENCE_OSCILLATORS[divergenceSettings.oscillator].label}
+              lookback={divergenceSettings.lookback}
+              pivotWidth={divergenceSettings.pivotWidth}
+            />
+          )}
           
           <div className="chart-analysis">
             <div className="analysis-item">
@@ -1762,19 +1741,19 @@ const TwelveDataPage = ({ onBack }) => {
               </span>
             </div>
             <div className="analysis-item">
-              <span className="analysis-label">EMA 20:</span>
+              <span className="analysis-label">EMA {emaPeriod}:</span>
               <span className="analysis-value" style={{ color: '#ef4444', fontWeight: 'bold' }}>
-                ${currentData?.ema20?.toFixed(2) || 'N/A'}
+                ${currentData?.[emaKey]?.toFixed(2) || 'N/A'}
               </span>
             </div>
             <div className="analysis-item">
               <span className="analysis-label">Price vs EMA:</span>
               <span className="analysis-value" style={{ 
-                color: currentData?.price > currentData?.ema20 ? '#10b981' : '#ef4444',
+                color: currentData?.price > currentData?.[emaKey] ? '#10b981' : '#ef4444',
                 fontWeight: 'bold'
               }}>
-                {currentData ? 
-                  `${((currentData.price - currentData.ema20) / currentData.ema20 * 100).toFixed(2)}%` 
+                {currentData?.[emaKey] ? 
+                  `${((currentData.price - currentData[emaKey]) / currentData[emaKey] * 100).toFixed(2)}%` 
                   : 'N/A'
                 }
               </span>
@@ -1788,19 +1767,83 @@ const TwelveDataPage = ({ onBack }) => {
             <div className="analysis-item">
               <span className="analysis-label">EMA Range ({selectedInterval}):</span>
               <span className="analysis-value">
-                ${Math.min(...chartData.map(d => d.ema20)).toFixed(2)} - ${Math.max(...chartData.map(d => d.ema20)).toFixed(2)}
+                ${Math.min(...emaValues).toFixed(2)} - ${Math.max(...emaValues).toFixed(2)}
+              </span>
+            </div>
+            {indicatorViews.bollinger && (
+              <div className="analysis-item">
+                <span className="analysis-label">Band Width:</span>
+                <span className="analysis-value" style={{ color: '#8b5cf6', fontWeight: 'bold' }}>
+                  {typeof currentData?.bbBandwidth === 'number' ? `${(currentData.bbBandwidth * 100).toFixed(2)}%` : 'N/A'}
+                </span>
+              </div>
+            )}
+            {indicatorViews.macd && (
+              <div className="analysis-item">
+                <span className="analysis-label">MACD Histogram:</span>
+                <span className="analysis-value" style={{ color: currentData?.macdHistogram >= 0 ? '#10b981' : '#ef4444', fontWeight: 'bold' }}>
+                  {typeof currentData?.macdHistogram === 'number' ? currentData.macdHistogram.toFixed(3) : 'N/A'}
+                </span>
+              </div>
+            )}
+            {indicatorViews.atr && (
+              <div className="analysis-item">
+                <span className="analysis-label">ATR (14):</span>
+                <span className="analysis-value" style={{ color: '#ec4899', fontWeight: 'bold' }}>
+                  {typeof currentData?.atr === 'number' ? formatPrice(currentData.atr) : 'N/A'}
+                </span>
+              </div>
+            )}
+            <div className="analysis-item">
+              <span className="analysis-label">Market Regime:</span>
+              <span className="analysis-value" style={{ color: regime?.color || '#9ca3af', fontWeight: 'bold' }}>
+                {regime ? `${regime.label} (ADX ${currentData.adx.toFixed(1)})` : 'N/A'}
               </span>
             </div>
             <div className="analysis-item">
               <span className="analysis-label">Data Source:</span>
               <span className="analysis-value" style={{ color: '#10b981', fontWeight: 'bold' }}>
-                Twelve Data (Real-time Data)
+                {provider.name} (Real-time Data)
               </span>
             </div>
           </div>
           </div>
         )}
 
+        <SignalHistory
+          symbols={symbols}
+          intervals={intervals}
+          ruleSets={ruleSets}
+          version={signalHistoryVersion}
+          onCleared={() => setSignalHistoryVersion(prev => prev + 1)}
+        />
+
+        <ForwardPerformance
+          providerId={selectedProvider}
+          ruleSets={ruleSets}
+          version={signalHistoryVersion}
+        />
+
+        <BacktestPanel
+          providerId={selectedProvider}
+          interval={selectedInterval}
+          symbols={symbols}
+          selectedSymbol={selectedSymbol}
+          ruleSets={ruleSets}
+          confirmations={confirmations}
+          formatTime={formatTime}
+        />
+
+        <OptimizerPanel
+          providerId={selectedProvider}
+          interval={selectedInterval}
+          selectedSymbol={selectedSymbol}
+          selectedMode={activeMode.id}
+          ruleSets={ruleSets}
+          confirmations={confirmations}
+          onModesChange={() => setRuleSets(listRuleSets())}
+        />
+
       </main>
     </div>
   );
@@ -0,0 +1,206 @@
+import React, { useState } from 'react';
+import { FlaskConical } from 'lucide-react';
+import IndicatorPanel from './IndicatorPanel';
+import { runBacktests, BACKTEST_DEFAULTS, SIGNAL_STRENGTHS } from '../services/backtest';
+import { describeError, toDataError } from '../services/errors';
+import { formatPercent, formatProfitFactor, formatWinRate, formatMoney, returnColor } from './backtestFormat';
+
+const BAR_COUNTS = [250, 500, 1000, 2000];
+
+/**
+ * Runs the signal modes over stored history and compares how trading them
+ * would have gone, per symbol and per mode.
+ *
+ * @param {Object} props
+ * @param {string} props.providerId
+ * @param {string} props.interval - Bar length to test on.
+ * @param {Array} props.symbols - [{ value, label }] the page offers.
+ * @param {string} props.selectedSymbol
+ * @param {Array} props.ruleSets - Modes to test, from listRuleSets.
+ * @param {Object} props.confirmations - The page's enabled signal confirmations.
+ * @param {function(string): string} props.formatTime
+ */
+const BacktestPanel = ({ providerId, interval, symbols, selectedSymbol, ruleSets, confirmations, formatTime }) => {
+  const [scope, setScope] = useState('selected');
+  const [bars, setBars] = useState(500);
+  const [feePercent, setFeePercent] = useState(BACKTEST_DEFAULTS.feeRate * 100);
+  const [slippagePercent, setSlippagePercent] = useState(BACKTEST_DEFAULTS.slippage * 100);
+  const [minStrength, setMinStrength] = useState(BACKTEST_DEFAULTS.minStrength);
+  const [allowShort, setAllowShort] = useState(BACKTEST_DEFAULTS.allowShort);
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [report, setReport] = useState(null);
+  const [selectedIndex, setSelectedIndex] = useState(0);
+
+  const modeLabel = (id) => ruleSets.find(ruleSet => ruleSet.id === id)?.label || id;
+  const symbolLabel = (value) => symbols.find(symbol => symbol.value === value)?.label || value;
+
+  const handleRun = async () => {
+    setRunning(true);
+    setReport(null);
+    try {
+      const tested = scope === 'all' ? symbols.map(symbol => symbol.value) : [selectedSymbol];
+      const { results, errors } = await runBacktests(
+        providerId,
+        tested,
+        ruleSets.map(ruleSet => ruleSet.id),
+        {
+          interval,
+          bars,
+          confirmations,
+          feeRate: feePercent / 100,
+          slippage: slippagePercent / 100,
+          minStrength,
+          allowShort
+        },
+        setProgress
+      );
+      setReport({
+        interval,
+        results,
+        errors: errors.map(({ symbol, error }) => ({ symbol, message: describeError(toDataError(error, { symbol })).message }))
+      });
+      setSelectedIndex(0);
+    } finally {
+      setRunning(false);
+      setProgress(null);
+    }
+  };
+
+  const selected = report?.results[selectedIndex];
+
+  return (
+    <div className="backtest-panel glass-card">
+      <div className="stat-header">
+        <FlaskConical className="stat-icon" />
+        <span className="stat-title">Backtest ({interval} bars)</span>
+      </div>
+
+      <div className="backtest-controls">
+        <select value={scope} onChange={(e) => setScope(e.target.value)} className="control-select" disabled={running}>
+          <option value="selected">{symbolLabel(selectedSymbol)}</option>
+          <option value="all">All symbols</option>
+        </select>
+        <select value={bars} onChange={(e) => setBars(Number(e.target.value))} className="control-select" disabled={running}>
+          {BAR_COUNTS.map(count => (
+            <option key={count} value={count}>Last {count} bars</option>
+          ))}
+        </select>
+        <select value={minStrength} onChange={(e) => setMinStrength(e.target.value)} className="control-select" disabled={running}>
+          {SIGNAL_STRENGTHS.map(strength => (
+            <option key={strength.value} value={strength.value}>{strength.label}</option>
+          ))}
+        </select>
+        <label className="backtest-field">
+          Fee %
+          <input type="number" min="0" step="0.01" value={feePercent} onChange={(e) => setFeePercent(Number(e.target.value))} className="control-select" disabled={running} />
+        </label>
+        <label className="backtest-field">
+          Slippage %
+          <input type="number" min="0" step="0.01" value={slippagePercent} onChange={(e) => setSlippagePercent(Number(e.target.value))} className="control-select" disabled={running} />
+        </label>
+        <label className="indicator-toggle">
+          <input type="checkbox" checked={allowShort} onChange={(e) => setAllowShort(e.target.checked)} disabled={running} />
+          Allow shorts
+        </label>
+        <button type="button" onClick={handleRun} className="search-button" disabled={running}>
+          {running
+            ? progress?.symbol ? `Testing ${progress.symbol} (${progress.current + 1}/${progress.total})` : 'Running...'
+            : 'Run backtest'}
+        </button>
+      </div>
+
+      {report && report.errors.length > 0 && (
+        <div className="backtest-errors">
+          {report.errors.map(({ symbol, message }) => (
+            <small key={symbol}>{symbol}: {message}</small>
+          ))}
+        </div>
+      )}
+
+      {report && report.results.length > 0 && (
+        <>
+          <table className="confluence-table backtest-table">
+            <thead>
+              <tr>
+                <th>Symbol</th>
+                <th>Mode</th>
+                <th>Bars</th>
+                <th>Trades</th>
+                <th>Win rate</th>
+                <th>Profit factor</th>
+                <th>Return</th>
+                <th>Max drawdown</th>
+                <th>Buy &amp; hold</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.results.map((result, index) => (
+                <tr
+                  key={`${result.symbol}_${result.mode}`}
+                  className={index === selectedIndex ? 'active' : ''}
+                  onClick={() => setSelectedIndex(index)}
+                >
+                  <td>{result.symbol}</td>
+                  <td>{modeLabel(result.mode)}</td>
+                  <td>{result.bars}</td>
+                  <td>{result.summary.trades}</td>
+                  <td>{formatWinRate(result.summary.winRate)}</td>
+                  <td>{formatProfitFactor(result.summary.profitFactor)}</td>
+                  <td style={{ color: returnColor(result.summary.totalReturn) }}>{formatPercent(result.summary.totalReturn)}</td>
+                  <td style={{ color: '#ef4444' }}>{`-${result.summary.maxDrawdown.toFixed(2)}%`}</td>
+                  <td style={{ color: returnColor(result.summary.buyAndHold) }}>{formatPercent(result.summary.buyAndHold)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {selected && (
+            <div className="backtest-detail">
+              <IndicatorPanel
+                title={`Equity - ${selected.symbol}, ${modeLabel(selected.mode)} (${formatMoney(BACKTEST_DEFAULTS.initialCapital)} start, ${formatMoney(selected.summary.finalEquity)} end)`}
+                data={selected.equity}
+                syncId="backtest"
+                formatTime={formatTime}
+                lines={[{ key: 'equity', name: 'Equity', color: '#3b82f6' }]}
+                referenceLines={[{ y: BACKTEST_DEFAULTS.initialCapital }]}
+                formatValue={formatMoney}
+                height={200}
+              />
+
+              <div className="backtest-trades">
+                <table className="confluence-table">
+                  <thead>
+                    <tr>
+                      <th>Side</th>
+                      <th>Entry</th>
+                      <th>Signal</th>
+                      <th>Exit</th>
+                      <th>Exit on</th>
+                      <th>Return</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {selected.trades.map(trade => (
+                      <tr key={trade.entryTime}>
+                        <td>{trade.side === 'long' ? 'Long' : 'Short'}</td>
+                        <td>{new Date(trade.entryTime).toLocaleString()} @ {trade.entryPrice.toFixed(2)}</td>
+                        <td>{trade.entrySignal}</td>
+                        <td>{new Date(trade.exitTime).toLocaleString()} @ {trade.exitPrice.toFixed(2)}</td>
+                        <td>{trade.exitReason}</td>
+                        <td style={{ color: returnColor(trade.returnPct) }}>{formatPercent(trade.returnPct)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {selected.trades.length === 0 && <small className="confluence-unavailable">No trades in this period</small>}
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default BacktestPanel;
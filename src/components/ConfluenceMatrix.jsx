@@ -0,0 +1,91 @@
+import React from 'react';
+import { Layers, RefreshCw } from 'lucide-react';
+import { formatTimeframe } from '../services/confluence';
+
+const SIDE_COLORS = {
+  buy: '#10b981',
+  sell: '#ef4444'
+};
+
+/**
+ * The latest signal of one symbol on several timeframes side by side, with
+ * how many agree and the selected interval's signal after the higher
+ * timeframe check.
+ *
+ * @param {Object} props
+ * @param {Object} props.confluence - From evaluateConfluence.
+ * @param {Object|null} props.confirmedSignal - From confirmWithHigherTimeframe, null without a base signal.
+ * @param {string|null} props.higherInterval - Timeframe the confirmed signal was checked against.
+ * @param {boolean} props.loading
+ * @param {function} props.onRefresh
+ */
+const ConfluenceMatrix = ({ confluence, confirmedSignal, higherInterval, loading, onRefresh }) => {
+  const { rows, buy, sell, neutral, bias, agreement } = confluence;
+
+  return (
+    <div className="confluence-matrix glass-card">
+      <div className="confluence-header">
+        <div className="stat-header">
+          <Layers className="stat-icon" />
+          <span className="stat-title">Timeframe Confluence</span>
+        </div>
+        <button type="button" className="chart-type-button" onClick={onRefresh} disabled={loading}>
+          <RefreshCw size={12} /> {loading ? 'Loading...' : 'Refresh'}
+        </button>
+      </div>
+
+      <table className="confluence-table">
+        <thead>
+          <tr>
+            <th>Timeframe</th>
+            <th>Signal</th>
+            <th>Price vs EMA 20</th>
+            <th>RSI</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={row.interval}>
+              <td>{formatTimeframe(row.interval)}</td>
+              {row.signal ? (
+                <>
+                  <td style={{ color: row.signal.color, fontWeight: 'bold' }} title={row.signal.description}>
+                    {row.signal.signal}
+                  </td>
+                  <td>
+                    {typeof row.latest?.ema20 === 'number' ? (row.latest.price >= row.latest.ema20 ? 'Above' : 'Below') : 'N/A'}
+                  </td>
+                  <td>{typeof row.latest?.rsi === 'number' ? row.latest.rsi.toFixed(1) : 'N/A'}</td>
+                </>
+              ) : (
+                <td colSpan={3} className="confluence-unavailable">
+                  {row.error ? row.error.message : loading ? 'Loading...' : 'No data'}
+                </td>
+              )}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="confluence-summary">
+        <span>
+          {buy} buy / {sell} sell / {neutral} neutral
+        </span>
+        <span style={{ color: SIDE_COLORS[bias] || '#9ca3af', fontWeight: 'bold' }}>
+          {bias ? `${Math.round(agreement * 100)}% ${bias === 'buy' ? 'bullish' : 'bearish'}` : 'No agreement'}
+        </span>
+      </div>
+
+      {confirmedSignal && higherInterval && (
+        <div className="confluence-confirmed" title={confirmedSignal.description}>
+          <span className="analysis-label">Confirmed by {formatTimeframe(higherInterval)}:</span>
+          <span style={{ color: confirmedSignal.color, fontWeight: 'bold' }}>
+            {confirmedSignal.signal}
+          </span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ConfluenceMatrix;
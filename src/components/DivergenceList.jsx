@@ -0,0 +1,72 @@
+import React from 'react';
+import { GitCompare } from 'lucide-react';
+
+const TYPE_LABELS = {
+  bearish_divergence: { label: 'Bearish', color: '#ef4444' },
+  bullish_divergence: { label: 'Bullish', color: '#10b981' },
+  hidden_bearish_divergence: { label: 'Hidden bearish', color: '#ef4444' },
+  hidden_bullish_divergence: { label: 'Hidden bullish', color: '#10b981' }
+};
+
+const formatChange = (value) => `${value >= 0 ? '+' : ''}${value.toLocaleString('en-US', { maximumFractionDigits: 2 })}`;
+
+/**
+ * Every divergence in the loaded range, newest first, with the pivots it
+ * joins and how far price and the oscillator moved between them.
+ *
+ * @param {Object} props
+ * @param {Array} props.divergences - From findDivergences.
+ * @param {Array} props.data - The series the pivot indexes point into.
+ * @param {string} props.oscillatorLabel
+ * @param {number} props.lookback
+ * @param {number} props.pivotWidth
+ */
+const DivergenceList = ({ divergences, data, oscillatorLabel, lookback, pivotWidth }) => (
+  <div className="divergence-list">
+    <div className="stat-header">
+      <GitCompare className="stat-icon" />
+      <span className="stat-title">
+        Price/{oscillatorLabel} Divergences ({divergences.length}) - {lookback}-bar lookback, {pivotWidth}-bar pivots
+      </span>
+    </div>
+
+    {divergences.length === 0 ? (
+      <small className="confluence-unavailable">No divergences in the loaded range</small>
+    ) : (
+      <div className="divergence-list-rows">
+        <table className="confluence-table">
+          <thead>
+            <tr>
+              <th>Type</th>
+              <th>From</th>
+              <th>To</th>
+              <th>Bars</th>
+              <th>Price</th>
+              <th>{oscillatorLabel}</th>
+              <th>Strength</th>
+            </tr>
+          </thead>
+          <tbody>
+            {[...divergences].reverse().map(divergence => {
+              const [first, last] = divergence.pivots.price;
+              const type = TYPE_LABELS[divergence.type];
+              return (
+                <tr key={`${divergence.type}_${first.index}_${last.index}`}>
+                  <td style={{ color: type.color }}>{type.label}</td>
+                  <td>{new Date(data[first.index].time).toLocaleString()}</td>
+                  <td>{new Date(data[last.index].time).toLocaleString()}</td>
+                  <td>{last.index - first.index}</td>
+                  <td>{formatChange(divergence.priceChange)}%</td>
+                  <td>{formatChange(divergence.oscillatorChange)}</td>
+                  <td>{divergence.strength.toFixed(1)}%</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    )}
+  </div>
+);
+
+export default DivergenceList;
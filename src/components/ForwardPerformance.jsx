@@ -0,0 +1,167 @@
+import React, { useState, useEffect } from 'react';
+import { Target, RefreshCw } from 'lucide-react';
+import { trackForwardPerformance, syncPendingSeries, FORWARD_HORIZONS } from '../services/forwardPerformance';
+import { describeError, toDataError } from '../services/errors';
+import { formatPercent, returnColor } from './backtestFormat';
+
+const PERIODS = [
+  { value: 'month', label: 'Last 30 days', ms: 30 * 24 * 60 * 60 * 1000 },
+  { value: 'quarter', label: 'Last 90 days', ms: 90 * 24 * 60 * 60 * 1000 },
+  { value: 'all', label: 'All recorded', ms: null }
+];
+
+const GROUPINGS = [
+  { value: 'byLabel', label: 'By signal', column: 'Signal' },
+  { value: 'byMode', label: 'By mode', column: 'Mode' },
+  { value: 'byRule', label: 'By rule', column: 'Rule' }
+];
+
+// Hit rates on too few signals are shown dimmed
+const MIN_MEASURED = 5;
+
+/**
+ * How recorded buy and sell signals did after they fired: hit rate and
+ * average return 1, 5 and 20 bars later, and the average best and worst
+ * excursion, grouped by signal, mode or the rule that produced them.
+ *
+ * @param {Object} props
+ * @param {string} props.providerId - Used to fetch bars for signals still waiting on them.
+ * @param {Array} props.ruleSets - From listRuleSets.
+ * @param {number} props.version - Changes whenever new transitions were recorded.
+ */
+const ForwardPerformance = ({ providerId, ruleSets, version }) => {
+  const [mode, setMode] = useState('');
+  const [period, setPeriod] = useState('quarter');
+  const [grouping, setGrouping] = useState('byLabel');
+  const [report, setReport] = useState(null);
+  const [syncing, setSyncing] = useState(false);
+  const [errors, setErrors] = useState([]);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    const { ms } = PERIODS.find(option => option.value === period);
+    let cancelled = false;
+    trackForwardPerformance({ mode: mode || undefined, from: ms ? Date.now() - ms : undefined })
+      .then(result => {
+        if (!cancelled) setReport(result);
+      })
+      .catch(error => console.error('Error tracking forward performance:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [mode, period, version, reloadKey]);
+
+  const modeLabel = (id) => ruleSets.find(ruleSet => ruleSet.id === id)?.label || id;
+  const groupLabel = (key) => {
+    if (grouping === 'byMode') return modeLabel(key);
+    if (grouping === 'byRule') {
+      const [modeId, rule] = key.split(':');
+      return `${modeLabel(modeId)}: ${rule}`;
+    }
+    return key;
+  };
+
+  const handleSync = async () => {
+    setSyncing(true);
+    try {
+      const failed = await syncPendingSeries(providerId, report.pending);
+      setErrors(failed.map(({ symbol, interval, error }) => `${symbol} ${interval}: ${describeError(toDataError(error, { symbol })).message}`));
+      setReloadKey(prev => prev + 1);
+    } finally {
+      setSyncing(false);
+    }
+  };
+
+  const renderHitRate = ({ hitRate, measured }) => (
+    <td className={measured < MIN_MEASURED ? 'forward-thin' : ''} title={`${measured} measured`}>
+      {hitRate === null ? '-' : `${hitRate.toFixed(0)}% (${measured})`}
+    </td>
+  );
+
+  const renderAverage = (value) => (
+    <td style={{ color: value === null ? undefined : returnColor(value) }}>{value === null ? '-' : formatPercent(value)}</td>
+  );
+
+  const renderRow = (label, summary) => (
+    <>
+      <td>{label}</td>
+      <td>{summary.signals}</td>
+      {summary.horizons.map(horizon => <React.Fragment key={`hit${horizon.bars}`}>{renderHitRate(horizon)}</React.Fragment>)}
+      {summary.horizons.map(horizon => <React.Fragment key={`avg${horizon.bars}`}>{renderAverage(horizon.averageReturn)}</React.Fragment>)}
+      {renderAverage(summary.averageMfe)}
+      {renderAverage(summary.averageMae)}
+    </>
+  );
+
+  const waiting = report ? report.outcomes.filter(outcome => !outcome.complete).length : 0;
+
+  return (
+    <div className="forward-performance glass-card">
+      <div className="confluence-header">
+        <div className="stat-header">
+          <Target className="stat-icon" />
+          <span className="stat-title">Signal Forward Performance</span>
+        </div>
+        <button type="button" className="chart-type-button" onClick={handleSync} disabled={syncing || !report || report.pending.length === 0}>
+          <RefreshCw size={12} /> {syncing ? 'Updating...' : 'Update prices'}
+        </button>
+      </div>
+
+      <div className="backtest-controls">
+        <select value={mode} onChange={(e) => setMode(e.target.value)} className="control-select">
+          <option value="">All modes</option>
+          {ruleSets.map(ruleSet => (
+            <option key={ruleSet.id} value={ruleSet.id}>{ruleSet.label}</option>
+          ))}
+        </select>
+        <select value={period} onChange={(e) => setPeriod(e.target.value)} className="control-select">
+          {PERIODS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <select value={grouping} onChange={(e) => setGrouping(e.target.value)} className="control-select">
+          {GROUPINGS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {errors.length > 0 && (
+        <div className="backtest-errors">
+          {errors.map(message => <small key={message}>{message}</small>)}
+        </div>
+      )}
+
+      {!report || report.outcomes.length === 0 ? (
+        <small className="confluence-unavailable">No buy or sell signals recorded for these filters yet</small>
+      ) : (
+        <>
+          <small className="confluence-unavailable">
+            {report.outcomes.length} signals, {waiting} still waiting for {Math.max(...FORWARD_HORIZONS)} bars.
+            Returns are direction-adjusted: a sell hits when the price falls.
+          </small>
+          <table className="confluence-table">
+            <thead>
+              <tr>
+                <th>{GROUPINGS.find(option => option.value === grouping).column}</th>
+                <th>Signals</th>
+                {FORWARD_HORIZONS.map(bars => <th key={`hit${bars}`}>Hit {bars}b</th>)}
+                {FORWARD_HORIZONS.map(bars => <th key={`avg${bars}`}>Avg {bars}b</th>)}
+                <th>Avg MFE</th>
+                <th>Avg MAE</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report[grouping].map(group => (
+                <tr key={group.key}>{renderRow(groupLabel(group.key), group)}</tr>
+              ))}
+              <tr className="forward-total">{renderRow('All', report.overall)}</tr>
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ForwardPerformance;
@@ -0,0 +1,110 @@
+import React from 'react';
+import { ComposedChart, Line, Bar, Cell, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine, ReferenceArea } from 'recharts';
+
+const TOOLTIP_STYLE = {
+  backgroundColor: '#1f2937',
+  border: '1px solid #374151',
+  borderRadius: '8px',
+  color: '#f9fafb'
+};
+
+/**
+ * A small chart under the price chart for an oscillator or volatility
+ * measure. Sharing `syncId` with the price chart keeps the hover cursor
+ * and tooltip in step across panels.
+ *
+ * @param {Object} props
+ * @param {string} props.title
+ * @param {Array} props.data - The same points as the price chart.
+ * @param {string} props.syncId
+ * @param {function} props.formatTime - X axis tick formatter.
+ * @param {Array} [props.lines] - [{ key, name, color }] drawn as lines.
+ * @param {Object} [props.histogram] - { key, name, colorOf } drawn as bars; colorOf(point) defaults to green above zero, red below.
+ * @param {Array} [props.referenceLines] - [{ y, color, label }].
+ * @param {Array} [props.areas] - [{ y1, y2, color }] shaded bands, e.g. RSI zones.
+ * @param {Array} [props.segments] - [{ id, points: [{ x, y }, { x, y }], color, dashed }] drawn between two bars.
+ * @param {Array} [props.domain] - Y axis domain, automatic by default.
+ * @param {function} [props.formatValue] - Y axis and tooltip formatter.
+ * @param {number} [props.height]
+ */
+const IndicatorPanel = ({
+  title,
+  data,
+  syncId,
+  formatTime,
+  lines = [],
+  histogram = null,
+  referenceLines = [],
+  areas = [],
+  segments = [],
+  domain = ['auto', 'auto'],
+  formatValue = (value) => value.toFixed(2),
+  height = 160
+}) => (
+  <div className="indicator-panel">
+    <div className="indicator-panel-title">{title}</div>
+    <ResponsiveContainer width="100%" height={height}>
+      <ComposedChart data={data} syncId={syncId} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+        <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+        <XAxis dataKey="time" tickFormatter={formatTime} hide />
+        <YAxis
+          tickFormatter={formatValue}
+          stroke="#9ca3af"
+          fontSize={11}
+          tick={{ fill: '#9ca3af' }}
+          axisLine={{ stroke: '#4b5563' }}
+          width={60}
+          domain={domain}
+        />
+        <Tooltip
+          formatter={(value, name) => [value === null || value === undefined ? 'N/A' : formatValue(value), name]}
+          labelFormatter={(time) => new Date(time).toLocaleString()}
+          contentStyle={TOOLTIP_STYLE}
+        />
+        {areas.map(area => (
+          <ReferenceArea key={`${area.y1}_${area.y2}`} y1={area.y1} y2={area.y2} fill={area.color} fillOpacity={0.12} stroke="none" />
+        ))}
+        {referenceLines.map(line => (
+          <ReferenceLine
+            key={line.y}
+            y={line.y}
+            stroke={line.color || '#6b7280'}
+            strokeDasharray="3 3"
+            label={line.label ? { value: line.label, position: 'right', style: { fill: line.color || '#6b7280', fontSize: '11px' } } : undefined}
+          />
+        ))}
+        {histogram && (
+          <Bar dataKey={histogram.key} name={histogram.name} isAnimationActive={false}>
+            {data.map((point, index) => (
+              <Cell key={index} fill={histogram.colorOf ? histogram.colorOf(point) : point[histogram.key] >= 0 ? '#10b981' : '#ef4444'} />
+            ))}
+          </Bar>
+        )}
+        {lines.map(line => (
+          <Line
+            key={line.key}
+            type="monotone"
+            dataKey={line.key}
+            name={line.name}
+            stroke={line.color}
+            strokeWidth={1}
+            dot={false}
+            connectNulls={false}
+            isAnimationActive={false}
+          />
+        ))}
+        {segments.map(segment => (
+          <ReferenceLine
+            key={segment.id}
+            segment={segment.points}
+            stroke={segment.color}
+            strokeWidth={2}
+            strokeDasharray={segment.dashed ? '4 3' : undefined}
+          />
+        ))}
+      </ComposedChart>
+    </ResponsiveContainer>
+  </div>
+);
+
+export default IndicatorPanel;
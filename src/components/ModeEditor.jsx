@@ -0,0 +1,148 @@
+import React, { useState } from 'react';
+import { X, Copy, Pencil, Trash2, Plus } from 'lucide-react';
+import { MODE_PARAMS, cloneRuleSet, saveCustomRuleSet, deleteCustomRuleSet, getRuleSet, DEFAULT_RULE_SET_ID } from '../services/rules';
+
+// Percent params are fractions of price; the inputs show them as percentages
+const toInputValue = (field, value) => (field.percent ? Number((value * 100).toFixed(4)) : value);
+const fromInputValue = (field, text) => {
+  if (field.options) return text;
+  if (text === '') return NaN;
+  return field.percent ? Number(text) / 100 : Number(text);
+};
+
+/**
+ * Lists the analysis modes and lets the user create, clone, edit and delete
+ * their own. Built-in modes are read-only but can be cloned.
+ *
+ * @param {Object} props
+ * @param {Array} props.ruleSets - From listRuleSets.
+ * @param {string} props.selectedId - The mode in use on the page.
+ * @param {function(string): void} props.onSelect
+ * @param {function(): void} props.onChange - Called after a mode is saved or deleted.
+ * @param {function(): void} props.onClose
+ */
+const ModeEditor = ({ ruleSets, selectedId, onSelect, onChange, onClose }) => {
+  const [draft, setDraft] = useState(null);
+  const [error, setError] = useState(null);
+
+  const startDraft = (ruleSet) => {
+    setDraft(ruleSet);
+    setError(null);
+  };
+
+  const updateParam = (field, text) => {
+    setDraft(prev => ({ ...prev, params: { ...prev.params, [field.key]: fromInputValue(field, text) } }));
+  };
+
+  const handleSave = () => {
+    try {
+      const saved = saveCustomRuleSet(draft);
+      setDraft(null);
+      setError(null);
+      onChange();
+      onSelect(saved.id);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = (ruleSet) => {
+    if (!window.confirm(`Delete the mode "${ruleSet.label}"?`)) return;
+    deleteCustomRuleSet(ruleSet.id);
+    if (draft?.id === ruleSet.id) setDraft(null);
+    onChange();
+    if (selectedId === ruleSet.id) onSelect(DEFAULT_RULE_SET_ID);
+  };
+
+  return (
+    <div className="mode-editor glass-card">
+      <div className="mode-editor-header">
+        <h3 className="mode-editor-title">Analysis Modes</h3>
+        <button type="button" className="notification-close-btn" onClick={onClose} title="Close">
+          <X size={18} />
+        </button>
+      </div>
+
+      <ul className="mode-editor-list">
+        {ruleSets.map(ruleSet => (
+          <li key={ruleSet.id} className={`mode-editor-item ${ruleSet.id === selectedId ? 'active' : ''}`}>
+            <button type="button" className="mode-editor-name" onClick={() => onSelect(ruleSet.id)}>
+              <strong>{ruleSet.label}</strong>
+              <small>{ruleSet.builtIn ? 'Built-in' : 'Custom'} - {ruleSet.description}</small>
+            </button>
+            <div className="mode-editor-actions">
+              <button type="button" className="chart-type-button" onClick={() => startDraft(cloneRuleSet(ruleSet))} title="Clone">
+                <Copy size={14} />
+              </button>
+              {!ruleSet.builtIn && (
+                <>
+                  <button type="button" className="chart-type-button" onClick={() => startDraft(ruleSet)} title="Edit">
+                    <Pencil size={14} />
+                  </button>
+                  <button type="button" className="chart-type-button" onClick={() => handleDelete(ruleSet)} title="Delete">
+                    <Trash2 size={14} />
+                  </button>
+                </>
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      {draft ? (
+        <div className="mode-editor-form">
+          <label className="mode-editor-field mode-editor-field-wide">
+            <span>Name</span>
+            <input
+              type="text"
+              className="control-select"
+              value={draft.label}
+              onChange={(e) => setDraft(prev => ({ ...prev, label: e.target.value }))}
+            />
+          </label>
+          {MODE_PARAMS.map(field => (
+            <label key={field.key} className="mode-editor-field">
+              <span>{field.label}</span>
+              {field.options ? (
+                <select
+                  className="control-select"
+                  value={draft.params[field.key]}
+                  onChange={(e) => updateParam(field, e.target.value)}
+                >
+                  {field.options.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              ) : (
+                <input
+                  type="number"
+                  className="control-select"
+                  min={field.min}
+                  max={field.max}
+                  step={field.step}
+                  value={Number.isNaN(draft.params[field.key]) ? '' : toInputValue(field, draft.params[field.key])}
+                  onChange={(e) => updateParam(field, e.target.value)}
+                />
+              )}
+            </label>
+          ))}
+          {error && <div className="mode-editor-error">{error}</div>}
+          <div className="mode-editor-buttons">
+            <button type="button" className="search-button" onClick={handleSave}>Save mode</button>
+            <button type="button" className="chart-type-button" onClick={() => setDraft(null)}>Cancel</button>
+          </div>
+        </div>
+      ) : (
+        <button
+          type="button"
+          className="chart-type-button mode-editor-new"
+          onClick={() => startDraft(cloneRuleSet(getRuleSet(DEFAULT_RULE_SET_ID), 'My mode'))}
+        >
+          <Plus size={14} /> New mode
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ModeEditor;
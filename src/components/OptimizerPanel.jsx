@@ -0,0 +1,222 @@
+import React, { useState } from 'react';
+import { SlidersHorizontal, Save } from 'lucide-react';
+import { optimizeParameters, parameterGrid, OPTIMIZER_DEFAULTS, OPTIMIZER_OBJECTIVES } from '../services/optimizer';
+import { SIGNAL_STRENGTHS, BACKTEST_DEFAULTS } from '../services/backtest';
+import { cloneRuleSet, saveCustomRuleSet } from '../services/rules';
+import { describeError, toDataError } from '../services/errors';
+import { formatPercent, formatProfitFactor, formatWinRate, returnColor } from './backtestFormat';
+
+const BAR_COUNTS = [500, 1000, 2000];
+const SAMPLE_COUNTS = [30, 60, 120];
+const FOLD_COUNTS = [3, 4, 5, 6];
+
+const describeParams = (params) =>
+  `RSI ${params.rsiOversold}/${params.rsiOverbought}, Div ${params.divergenceThreshold}%, ` +
+  `Move ${(params.priceMoveMin * 100).toFixed(2)}%, Slope ${(params.emaMoveMin * 100).toFixed(2)}%`;
+
+const formatScore = (value) => (value === -Infinity ? 'Too few trades' : value.toFixed(2));
+const formatDate = (time) => new Date(time).toLocaleDateString();
+
+/**
+ * Searches the selected mode's thresholds for one symbol with walk-forward
+ * validation, and offers the best sets as new custom modes.
+ *
+ * @param {Object} props
+ * @param {string} props.providerId
+ * @param {string} props.interval
+ * @param {string} props.selectedSymbol
+ * @param {string} props.selectedMode - Rule set id the search starts from.
+ * @param {Array} props.ruleSets - From listRuleSets.
+ * @param {Object} props.confirmations - The page's enabled signal confirmations.
+ * @param {function(): void} props.onModesChange - Called after a candidate is saved as a mode.
+ */
+const OptimizerPanel = ({ providerId, interval, selectedSymbol, selectedMode, ruleSets, confirmations, onModesChange }) => {
+  const [bars, setBars] = useState(1000);
+  const [method, setMethod] = useState(OPTIMIZER_DEFAULTS.method);
+  const [samples, setSamples] = useState(OPTIMIZER_DEFAULTS.samples);
+  const [folds, setFolds] = useState(OPTIMIZER_DEFAULTS.folds);
+  const [objective, setObjective] = useState(OPTIMIZER_DEFAULTS.objective);
+  const [minStrength, setMinStrength] = useState(BACKTEST_DEFAULTS.minStrength);
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+  const [savedIds, setSavedIds] = useState({});
+
+  const baseLabel = ruleSets.find(ruleSet => ruleSet.id === selectedMode)?.label || selectedMode;
+
+  const handleRun = async () => {
+    setRunning(true);
+    setReport(null);
+    setError(null);
+    setSavedIds({});
+    try {
+      const result = await optimizeParameters(
+        providerId,
+        selectedSymbol,
+        { interval, bars, mode: selectedMode, method, samples, folds, objective, minStrength, confirmations },
+        setProgress
+      );
+      setReport({ ...result, baseLabel });
+    } catch (err) {
+      console.error('Optimization failed:', err);
+      setError(describeError(toDataError(err, { symbol: selectedSymbol })).message);
+    } finally {
+      setRunning(false);
+      setProgress(null);
+    }
+  };
+
+  const handleSave = (candidate, rank) => {
+    try {
+      const saved = saveCustomRuleSet(cloneRuleSet(candidate.ruleSet, `${report.symbol} ${report.interval} optimized #${rank}`));
+      setSavedIds(prev => ({ ...prev, [rank]: saved.id }));
+      onModesChange();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const renderMetrics = ({ inSample, outOfSample }) => (
+    <>
+      <td>{formatScore(inSample.score)}</td>
+      <td style={{ color: returnColor(inSample.totalReturn) }}>{formatPercent(inSample.totalReturn)}</td>
+      <td>{outOfSample.trades}</td>
+      <td>{formatWinRate(outOfSample.winRate)}</td>
+      <td>{formatProfitFactor(outOfSample.profitFactor)}</td>
+      <td style={{ color: returnColor(outOfSample.totalReturn) }}>{formatPercent(outOfSample.totalReturn)}</td>
+      <td style={{ color: '#ef4444' }}>{`-${outOfSample.maxDrawdown.toFixed(2)}%`}</td>
+    </>
+  );
+
+  return (
+    <div className="optimizer-panel glass-card">
+      <div className="stat-header">
+        <SlidersHorizontal className="stat-icon" />
+        <span className="stat-title">Optimize {baseLabel} for {selectedSymbol} ({interval} bars)</span>
+      </div>
+
+      <div className="backtest-controls">
+        <select value={bars} onChange={(e) => setBars(Number(e.target.value))} className="control-select" disabled={running}>
+          {BAR_COUNTS.map(count => (
+            <option key={count} value={count}>Last {count} bars</option>
+          ))}
+        </select>
+        <select value={method} onChange={(e) => setMethod(e.target.value)} className="control-select" disabled={running}>
+          <option value="random">Random search</option>
+          <option value="grid">Full grid ({parameterGrid().length} sets)</option>
+        </select>
+        {method === 'random' && (
+          <select value={samples} onChange={(e) => setSamples(Number(e.target.value))} className="control-select" disabled={running}>
+            {SAMPLE_COUNTS.map(count => (
+              <option key={count} value={count}>{count} sets</option>
+            ))}
+          </select>
+        )}
+        <select value={folds} onChange={(e) => setFolds(Number(e.target.value))} className="control-select" disabled={running}>
+          {FOLD_COUNTS.map(count => (
+            <option key={count} value={count}>{count} folds</option>
+          ))}
+        </select>
+        <select value={objective} onChange={(e) => setObjective(e.target.value)} className="control-select" disabled={running}>
+          {OPTIMIZER_OBJECTIVES.map(option => (
+            <option key={option.value} value={option.value}>Rank by {option.label.toLowerCase()}</option>
+          ))}
+        </select>
+        <select value={minStrength} onChange={(e) => setMinStrength(e.target.value)} className="control-select" disabled={running}>
+          {SIGNAL_STRENGTHS.map(strength => (
+            <option key={strength.value} value={strength.value}>{strength.label}</option>
+          ))}
+        </select>
+        <button type="button" onClick={handleRun} className="search-button" disabled={running}>
+          {running
+            ? progress ? `Testing set ${Math.min(progress.current + 1, progress.total)}/${progress.total}` : 'Loading history...'
+            : 'Run optimizer'}
+        </button>
+      </div>
+
+      {error && <div className="backtest-errors"><small>{error}</small></div>}
+
+      {report && (
+        <>
+          <div className="optimizer-summary">
+            <span>{report.tested} sets on {report.bars} bars, {report.windows.length} walk-forward folds.</span>
+            <span>
+              Walk-forward (each fold trades its best in-sample set):{' '}
+              <strong style={{ color: returnColor(report.walkForward.totalReturn) }}>{formatPercent(report.walkForward.totalReturn)}</strong>
+              {' '}out of sample, {report.walkForward.trades} trades, buy &amp; hold {formatPercent(report.walkForward.buyAndHold)}
+            </span>
+          </div>
+
+          <table className="confluence-table optimizer-table">
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>Parameters</th>
+                <th>IS score</th>
+                <th>IS return</th>
+                <th>OOS trades</th>
+                <th>OOS win rate</th>
+                <th>OOS profit factor</th>
+                <th>OOS return</th>
+                <th>OOS max drawdown</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              <tr className="optimizer-baseline">
+                <td>-</td>
+                <td>{report.baseLabel}: {describeParams(report.baseline.params)}</td>
+                {renderMetrics(report.baseline)}
+                <td></td>
+              </tr>
+              {report.candidates.map((candidate, index) => (
+                <tr key={index}>
+                  <td>{index + 1}</td>
+                  <td>{describeParams(candidate.params)}</td>
+                  {renderMetrics(candidate)}
+                  <td>
+                    {savedIds[index + 1] ? (
+                      <small>Saved</small>
+                    ) : (
+                      <button type="button" className="chart-type-button" onClick={() => handleSave(candidate, index + 1)} title="Save as mode">
+                        <Save size={14} />
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <table className="confluence-table optimizer-folds">
+            <thead>
+              <tr>
+                <th>Train from</th>
+                <th>Test period</th>
+                <th>Best in-sample set</th>
+                <th>OOS return</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.windows.map(fold => (
+                <tr key={fold.testFrom}>
+                  <td>{formatDate(fold.trainFrom)}</td>
+                  <td>{formatDate(fold.testFrom)} - {formatDate(fold.testTo)}</td>
+                  <td>{describeParams(fold.params)}</td>
+                  <td style={{ color: returnColor(fold.outOfSample.totalReturn) }}>{formatPercent(fold.outOfSample.totalReturn)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <small className="confluence-unavailable">
+            IS = in-sample (train windows, averaged per fold), OOS = out-of-sample (test windows, traded back to back).
+            Sets are ranked on IS only; a large drop to OOS means the set fits noise.
+          </small>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default OptimizerPanel;
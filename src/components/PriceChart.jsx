@@ -0,0 +1,189 @@
+import React from 'react';
+import { ComposedChart, Line, Area, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { SOURCE_INFO } from '../services/provenance';
+import { CHART_TYPE, CHART_TYPES, toOHLC } from './chartTypes';
+
+const RISING_COLOR = '#10b981';
+const FALLING_COLOR = '#ef4444';
+
+// Range for the candle and OHLC bars; the shape then places open and close inside it
+const lowHighRange = (point) => {
+  const { low, high } = toOHLC(point);
+  return [low, high];
+};
+
+// Draws one candlestick or OHLC bar inside the low-high rectangle recharts lays out
+const BarShape = ({ x, y, width, height, payload, variant }) => {
+  const { open, high, low, close } = toOHLC(payload);
+  const toY = (value) => (high === low ? y : y + ((high - value) / (high - low)) * height);
+  const color = close >= open ? RISING_COLOR : FALLING_COLOR;
+  const center = x + width / 2;
+
+  if (variant === CHART_TYPE.OHLC) {
+    return (
+      <g stroke={color} strokeWidth={1.5}>
+        <line x1={center} x2={center} y1={y} y2={y + height} />
+        <line x1={x} x2={center} y1={toY(open)} y2={toY(open)} />
+        <line x1={center} x2={x + width} y1={toY(close)} y2={toY(close)} />
+      </g>
+    );
+  }
+
+  const bodyTop = toY(Math.max(open, close));
+  const bodyHeight = Math.max(Math.abs(toY(open) - toY(close)), 1);
+  return (
+    <g>
+      <line x1={center} x2={center} y1={y} y2={y + height} stroke={color} />
+      <rect x={x + width * 0.15} y={bodyTop} width={width * 0.7} height={bodyHeight} fill={color} stroke={color} />
+    </g>
+  );
+};
+
+// Hovered bar's full OHLCV, then every overlay drawn at that bar
+const OHLCVTooltip = ({ active, payload, label, formatPrice, seriesNames }) => {
+  if (!active || !payload?.length) return null;
+
+  const point = payload[0].payload;
+  const { open, high, low, close } = toOHLC(point);
+  const source = point.source ? SOURCE_INFO[point.source]?.label || point.source : null;
+  const overlays = payload.filter(entry => entry.name !== 'price' && entry.value !== null && entry.value !== undefined);
+
+  return (
+    <div className="ohlcv-tooltip">
+      <div className="ohlcv-tooltip-time">
+        {new Date(label).toLocaleString()}{source ? ` (${source})` : ''}
+      </div>
+      <div className="ohlcv-tooltip-grid">
+        <span>O</span><span>{formatPrice(open)}</span>
+        <span>H</span><span>{formatPrice(high)}</span>
+        <span>L</span><span>{formatPrice(low)}</span>
+        <span>C</span><span style={{ color: close >= open ? RISING_COLOR : FALLING_COLOR }}>{formatPrice(close)}</span>
+        <span>Vol</span><span>{point.volume ? point.volume.toLocaleString() : 'N/A'}</span>
+      </div>
+      {overlays.map(entry => (
+        <div key={entry.name} className="ohlcv-tooltip-series" style={{ color: entry.color || entry.stroke }}>
+          {seriesNames[entry.name] || entry.name}: {typeof entry.value === 'number' ? formatPrice(entry.value) : entry.value}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+/**
+ * The price chart shared by both pages. Draws the price as a line,
+ * candlesticks, OHLC bars or an area; overlays (EMA, bands, reference
+ * lines, a brush) are passed as children and stay on top in every mode.
+ *
+ * @param {Object} props
+ * @param {Array} props.data - Chart points with price and, when available, open/high/low/close/volume.
+ * @param {string} props.chartType - One of CHART_TYPE.
+ * @param {function} props.formatTime - X axis tick formatter.
+ * @param {function} props.formatPrice
+ * @param {Array} props.yAxisDomain
+ * @param {string} [props.priceColor] - Line and area color.
+ * @param {Object} [props.seriesNames] - Tooltip labels by series name.
+ * @param {string} [props.syncId] - Shared with indicator panels to sync tooltip and zoom.
+ * @param {function(string): void} [props.onBarClick] - Called with the clicked bar's time.
+ * @param {number} [props.height]
+ */
+const PriceChart = ({
+  data,
+  chartType,
+  formatTime,
+  formatPrice,
+  yAxisDomain,
+  priceColor = '#10b981',
+  seriesNames = {},
+  syncId,
+  onBarClick,
+  height = 500,
+  children
+}) => (
+  <ResponsiveContainer width="100%" height={height}>
+    <ComposedChart
+      data={data}
+      syncId={syncId}
+      margin={{ top: 20, right: 30, left: 20, bottom: 20 }}
+      onClick={onBarClick ? (state) => state?.activeLabel && onBarClick(state.activeLabel) : undefined}
+      style={onBarClick ? { cursor: 'crosshair' } : undefined}
+    >
+      <CartesianGrid strokeDasharray="3 3" stroke="#374151" opacity={0.3} />
+      <XAxis
+        dataKey="time"
+        tickFormatter={formatTime}
+        stroke="#9ca3af"
+        fontSize={12}
+        tick={{ fill: '#9ca3af' }}
+        axisLine={{ stroke: '#4b5563' }}
+        interval="preserveStartEnd"
+        tickCount={8}
+      />
+      <YAxis
+        tickFormatter={(value) => `$${value.toFixed(2)}`}
+        stroke="#9ca3af"
+        fontSize={12}
+        tick={{ fill: '#9ca3af' }}
+        axisLine={{ stroke: '#4b5563' }}
+        domain={yAxisDomain}
+        tickCount={12}
+        allowDecimals={true}
+      />
+      <Tooltip content={<OHLCVTooltip formatPrice={formatPrice} seriesNames={seriesNames} />} />
+
+      {chartType === CHART_TYPE.LINE && (
+        <Line
+          type="monotone"
+          dataKey="price"
+          stroke={priceColor}
+          strokeWidth={1}
+          dot={false}
+          name="price"
+          activeDot={{ r: 4, stroke: priceColor, strokeWidth: 1, fill: '#1f2937' }}
+          connectNulls={false}
+        />
+      )}
+      {chartType === CHART_TYPE.AREA && (
+        <Area
+          type="monotone"
+          dataKey="price"
+          stroke={priceColor}
+          strokeWidth={1}
+          fill={priceColor}
+          fillOpacity={0.15}
+          name="price"
+          connectNulls={false}
+        />
+      )}
+      {(chartType === CHART_TYPE.CANDLESTICK || chartType === CHART_TYPE.OHLC) && (
+        <Bar
+          dataKey={lowHighRange}
+          name="price"
+          shape={(props) => <BarShape {...props} variant={chartType} />}
+          isAnimationActive={false}
+        />
+      )}
+
+      {children}
+    </ComposedChart>
+  </ResponsiveContainer>
+);
+
+/**
+ * Buttons for picking the chart type.
+ */
+export const ChartTypeSwitch = ({ value, onChange }) => (
+  <div className="chart-type-switch" role="group" aria-label="Chart type">
+    {CHART_TYPES.map(type => (
+      <button
+        key={type.value}
+        type="button"
+        className={`chart-type-button ${value === type.value ? 'active' : ''}`}
+        onClick={() => onChange(type.value)}
+      >
+        {type.label}
+      </button>
+    ))}
+  </div>
+);
+
+export default PriceChart;
@@ -0,0 +1,28 @@
+import React from 'react';
+import { ShieldCheck, AlertTriangle } from 'lucide-react';
+import { SOURCE_INFO, DATA_SOURCE } from '../services/provenance';
+
+// Shows where the charted data came from, and warns loudly when it is not real
+const ProvenanceBadge = ({ provenance }) => {
+  if (!provenance) return null;
+
+  const info = SOURCE_INFO[provenance.source] || SOURCE_INFO[DATA_SOURCE.SYNTHETIC];
+  const total = Object.values(provenance.counts).reduce((sum, count) => sum + count, 0);
+  const breakdown = Object.entries(provenance.counts)
+    .map(([source, count]) => `${SOURCE_INFO[source]?.label || source}: ${count}/${total}`)
+    .join(', ');
+  const Icon = provenance.isReal ? ShieldCheck : AlertTriangle;
+
+  return (
+    <div
+      className={`provenance-badge ${provenance.isReal ? '' : 'provenance-warning'}`}
+      style={{ color: info.color, borderColor: info.color }}
+      title={breakdown}
+    >
+      <Icon size={14} />
+      <span>{provenance.isReal ? info.label : `${info.label} data - not real market prices`}</span>
+    </div>
+  );
+};
+
+export default ProvenanceBadge;
@@ -0,0 +1,171 @@
+import React, { useState, useEffect } from 'react';
+import { History, Trash2 } from 'lucide-react';
+import { getSignalHistory, clearSignalHistory } from '../services/signalHistory';
+import { formatTimeframe } from '../services/confluence';
+
+const PERIODS = [
+  { value: 'day', label: 'Last 24 hours', ms: 24 * 60 * 60 * 1000 },
+  { value: 'week', label: 'Last 7 days', ms: 7 * 24 * 60 * 60 * 1000 },
+  { value: 'month', label: 'Last 30 days', ms: 30 * 24 * 60 * 60 * 1000 },
+  { value: 'all', label: 'All time', ms: null }
+];
+
+const SIDES = [
+  { value: '', label: 'All signals' },
+  { value: 'buy', label: 'Buy side' },
+  { value: 'sell', label: 'Sell side' },
+  { value: 'hold', label: 'Hold' }
+];
+
+// Rows shown at most; the filters narrow older ones down
+const MAX_ROWS = 500;
+
+const formatSnapshot = (indicators) =>
+  Object.entries(indicators).map(([key, value]) => `${key} ${Math.abs(value) >= 1000 ? value.toFixed(0) : value.toFixed(2)}`).join(' · ');
+
+/**
+ * The recorded signal transitions, newest first, with filters. Clicking a
+ * row shows the indicator values at the time of the change.
+ *
+ * @param {Object} props
+ * @param {Array} props.symbols - [{ value, label }] offered as a filter.
+ * @param {Array} props.intervals - [{ value, label }] offered as a filter.
+ * @param {Array} props.ruleSets - From listRuleSets.
+ * @param {number} props.version - Changes whenever new transitions were recorded.
+ * @param {function(): void} props.onCleared
+ */
+const SignalHistory = ({ symbols, intervals, ruleSets, version, onCleared }) => {
+  const [symbol, setSymbol] = useState('');
+  const [timeframe, setTimeframe] = useState('');
+  const [mode, setMode] = useState('');
+  const [side, setSide] = useState('');
+  const [period, setPeriod] = useState('week');
+  const [records, setRecords] = useState([]);
+  const [expandedId, setExpandedId] = useState(null);
+
+  useEffect(() => {
+    const { ms } = PERIODS.find(option => option.value === period);
+    let cancelled = false;
+    getSignalHistory({
+      symbol: symbol || undefined,
+      interval: timeframe || undefined,
+      mode: mode || undefined,
+      side: side || undefined,
+      from: ms ? Date.now() - ms : undefined,
+      limit: MAX_ROWS
+    })
+      .then(result => {
+        if (!cancelled) setRecords(result);
+      })
+      .catch(error => console.error('Error loading signal history:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [symbol, timeframe, mode, side, period, version]);
+
+  const modeLabel = (id) => ruleSets.find(ruleSet => ruleSet.id === id)?.label || id;
+
+  const handleClear = async () => {
+    if (!window.confirm('Delete the whole signal history?')) return;
+    await clearSignalHistory();
+    onCleared();
+  };
+
+  return (
+    <div className="signal-history glass-card">
+      <div className="confluence-header">
+        <div className="stat-header">
+          <History className="stat-icon" />
+          <span className="stat-title">Signal History</span>
+        </div>
+        <button type="button" className="chart-type-button" onClick={handleClear} title="Clear history">
+          <Trash2 size={12} /> Clear
+        </button>
+      </div>
+
+      <div className="backtest-controls">
+        <select value={symbol} onChange={(e) => setSymbol(e.target.value)} className="control-select">
+          <option value="">All symbols</option>
+          {symbols.map(item => (
+            <option key={item.value} value={item.value}>{item.label}</option>
+          ))}
+        </select>
+        <select value={timeframe} onChange={(e) => setTimeframe(e.target.value)} className="control-select">
+          <option value="">All timeframes</option>
+          {intervals.map(item => (
+            <option key={item.value} value={item.value}>{item.label}</option>
+          ))}
+        </select>
+        <select value={mode} onChange={(e) => setMode(e.target.value)} className="control-select">
+          <option value="">All modes</option>
+          {ruleSets.map(ruleSet => (
+            <option key={ruleSet.id} value={ruleSet.id}>{ruleSet.label}</option>
+          ))}
+        </select>
+        <select value={side} onChange={(e) => setSide(e.target.value)} className="control-select">
+          {SIDES.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <select value={period} onChange={(e) => setPeriod(e.target.value)} className="control-select">
+          {PERIODS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {records.length === 0 ? (
+        <small className="confluence-unavailable">No signal changes recorded for these filters yet</small>
+      ) : (
+        <div className="signal-history-rows">
+          <table className="confluence-table backtest-table">
+            <thead>
+              <tr>
+                <th>Recorded</th>
+                <th>Symbol</th>
+                <th>Timeframe</th>
+                <th>Mode</th>
+                <th>Change</th>
+                <th>Price</th>
+                <th>RSI</th>
+                <th>Reason</th>
+              </tr>
+            </thead>
+            <tbody>
+              {records.map(record => (
+                <React.Fragment key={record.id}>
+                  <tr
+                    className={record.id === expandedId ? 'active' : ''}
+                    onClick={() => setExpandedId(prev => (prev === record.id ? null : record.id))}
+                  >
+                    <td>{new Date(record.timestamp).toLocaleString()}</td>
+                    <td>{record.symbol}</td>
+                    <td>{formatTimeframe(record.interval)}</td>
+                    <td>{modeLabel(record.mode)}</td>
+                    <td>
+                      <span className="signal-history-previous">{record.previousSignal ?? 'First record'}</span>
+                      {' → '}
+                      <strong style={{ color: record.color }}>{record.signal}</strong>
+                    </td>
+                    <td>{record.price?.toFixed(2)}</td>
+                    <td>{record.indicators.rsi?.toFixed(1) ?? 'N/A'}</td>
+                    <td>{record.description}</td>
+                  </tr>
+                  {record.id === expandedId && (
+                    <tr className="signal-history-snapshot">
+                      <td colSpan={8}>
+                        Bar {new Date(record.barTime).toLocaleString()}: {formatSnapshot(record.indicators)}
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SignalHistory;
@@ -0,0 +1,7 @@
+// Number formatting shared by the backtest and optimizer panels.
+
+export const formatPercent = (value) => (value === null ? 'N/A' : `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`);
+export const formatProfitFactor = (value) => (value === null ? 'N/A' : value === Infinity ? '∞' : value.toFixed(2));
+export const formatWinRate = (value) => (value === null ? 'N/A' : `${value.toFixed(1)}%`);
+export const formatMoney = (value) => `$${value.toLocaleString('en-US', { maximumFractionDigits: 0 })}`;
+export const returnColor = (value) => (value === null ? '#9ca3af' : value >= 0 ? '#10b981' : '#ef4444');
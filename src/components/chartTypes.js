@@ -0,0 +1,44 @@
+// Chart types offered by PriceChart, and the user's last choice.
+
+export const CHART_TYPE = {
+  LINE: 'line',
+  CANDLESTICK: 'candlestick',
+  OHLC: 'ohlc',
+  AREA: 'area'
+};
+
+export const CHART_TYPES = [
+  { value: CHART_TYPE.LINE, label: 'Line' },
+  { value: CHART_TYPE.CANDLESTICK, label: 'Candles' },
+  { value: CHART_TYPE.OHLC, label: 'OHLC' },
+  { value: CHART_TYPE.AREA, label: 'Area' }
+];
+
+const STORAGE_KEY = 'analike_chart_type';
+
+// Candlestick and OHLC bars span each bar's low to high, so the Y axis must too
+export const showsRange = (chartType) => chartType === CHART_TYPE.CANDLESTICK || chartType === CHART_TYPE.OHLC;
+
+export const loadChartType = () => {
+  const stored = localStorage.getItem(STORAGE_KEY);
+  return CHART_TYPES.some(type => type.value === stored) ? stored : CHART_TYPE.LINE;
+};
+
+export const saveChartType = (chartType) => {
+  localStorage.setItem(STORAGE_KEY, chartType);
+};
+
+/**
+ * Open, high, low and close of a point. Points without them (interpolated or
+ * synthetic ones) are drawn as a bar that only traded at its price.
+ */
+export const toOHLC = (point) => {
+  const close = point.close ?? point.price;
+  const open = point.open ?? close;
+  return {
+    open,
+    high: point.high ?? Math.max(open, close),
+    low: point.low ?? Math.min(open, close),
+    close
+  };
+};
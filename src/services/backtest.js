@@ -0,0 +1,230 @@
+// Backtesting: replays stored candles through the live signal code and
+// simulates trading on the signals, with fees and slippage.
+// Every indicator only looks back, so they are computed once over the whole
+// history; the signal at each bar then sees only the bars up to and including
+// it, and the resulting order fills at the next bar's open.
+
+import { syncSeries } from './syncEngine';
+import { PRIORITY } from './providers';
+import { addIndicators, getLatestSignal, signalSide, divergenceOptions } from './signals';
+import { withEMA } from './indicators';
+import { getRuleSet, orderRuleSet } from './rules';
+
+export const BACKTEST_DEFAULTS = {
+  initialCapital: 10000,
+  feeRate: 0.001, // 0.1% of the traded value per fill
+  slippage: 0.0005, // Fills 0.05% worse than the bar's open
+  minStrength: 'normal',
+  allowShort: false
+};
+
+// Which signals open and close positions
+export const SIGNAL_STRENGTHS = [
+  { value: 'all', label: 'All signals' },
+  { value: 'normal', label: 'Skip WEAK' },
+  { value: 'strong', label: 'STRONG only' }
+];
+
+// Bars each signal evaluation sees at least; detectDivergence needs its
+// lookback plus 5
+const SIGNAL_WINDOW = 32;
+
+const actsOn = (signal, minStrength) => {
+  if (minStrength === 'strong') return signal.signal.startsWith('STRONG');
+  if (minStrength === 'normal') return !signal.signal.startsWith('WEAK');
+  return true;
+};
+
+const openOf = (bar) => bar.open ?? bar.price;
+
+/**
+ * Win rate, profit factor, drawdown and returns of one backtest.
+ * Profit factor is Infinity with winners and no losers, null without trades.
+ *
+ * @param {Array} trades
+ * @param {Array} equity
+ * @param {number} initialCapital
+ * @param {Array} data - The bars traded, for the buy & hold comparison.
+ */
+export const summarizeBacktest = (trades, equity, initialCapital, data) => {
+  const wins = trades.filter(trade => trade.pnl > 0);
+  const grossProfit = wins.reduce((sum, trade) => sum + trade.pnl, 0);
+  const grossLoss = trades.filter(trade => trade.pnl < 0).reduce((sum, trade) => sum - trade.pnl, 0);
+
+  let peak = initialCapital;
+  let maxDrawdown = 0;
+  equity.forEach(point => {
+    peak = Math.max(peak, point.equity);
+    maxDrawdown = Math.max(maxDrawdown, (peak - point.equity) / peak);
+  });
+
+  const finalEquity = equity.length > 0 ? equity[equity.length - 1].equity : initialCapital;
+  const first = data[0];
+  const last = data[data.length - 1];
+
+  return {
+    trades: trades.length,
+    wins: wins.length,
+    winRate: trades.length > 0 ? (wins.length / trades.length) * 100 : null,
+    profitFactor: grossLoss > 0 ? grossProfit / grossLoss : grossProfit > 0 ? Infinity : null,
+    totalReturn: (finalEquity / initialCapital - 1) * 100,
+    maxDrawdown: maxDrawdown * 100,
+    averageTrade: trades.length > 0 ? trades.reduce((sum, trade) => sum + trade.returnPct, 0) / trades.length : null,
+    buyAndHold: first && last ? (last.price / openOf(first) - 1) * 100 : null,
+    finalEquity
+  };
+};
+
+/**
+ * Adds the indicators a mode's signals read to a candle series, so several
+ * simulations over it can share them.
+ *
+ * @param {Array} candles - Stored candles, oldest first.
+ * @param {string|Object} mode - Rule set or rule set id.
+ */
+export const prepareBacktestData = (candles, mode) => {
+  const { emaPeriod = 20 } = getRuleSet(mode).params;
+  const data = addIndicators(candles);
+  return `ema${emaPeriod}` in (data[0] || {}) ? data : withEMA(data, { period: emaPeriod, key: `ema${emaPeriod}` });
+};
+
+/**
+ * Simulates trading one mode's signals over bars [start, end) of a prepared
+ * series; earlier bars only serve as indicator history. Buy-side signals go
+ * (or stay) long, sell-side signals close a long and, with `allowShort`,
+ * open a short. The whole equity is used on every entry, and a position
+ * still open at the end is closed at the last close.
+ *
+ * @param {Array} data - From prepareBacktestData.
+ * @param {Object} [options]
+ * @param {string|Object} [options.mode] - Rule set or rule set id.
+ * @param {Object} [options.confirmations] - As for getSignal.
+ * @param {number} [options.initialCapital]
+ * @param {number} [options.feeRate] - Fraction of each fill's value.
+ * @param {number} [options.slippage] - Fraction of price each fill loses.
+ * @param {string} [options.minStrength] - One of SIGNAL_STRENGTHS.
+ * @param {boolean} [options.allowShort]
+ * @param {number} [options.start] - First bar traded, 0 by default.
+ * @param {number} [options.end] - Bar after the last one traded, the series length by default.
+ * @returns {Object} { trades, equity: [{ time, equity, price }], summary }
+ */
+export const simulateBacktest = (data, options = {}) => {
+  const {
+    mode, confirmations = {}, initialCapital, feeRate, slippage, minStrength, allowShort, start = 0, end = data.length
+  } = { ...BACKTEST_DEFAULTS, ...options };
+  const bars = data.slice(start, end);
+  // Resolved and sorted once, not on every bar
+  const ruleSet = orderRuleSet(getRuleSet(mode));
+  const signalWindow = Math.max(SIGNAL_WINDOW, divergenceOptions(ruleSet.params).lookback + 5);
+
+  let cash = initialCapital;
+  let position = null;
+  let pending = null; // Order decided at a bar's close, filled at the next open
+  const trades = [];
+  const equity = [];
+
+  const positionValue = (price) => {
+    if (!position) return 0;
+    return position.side === 'long'
+      ? position.units * price
+      : position.collateral + position.units * (position.entryPrice - price);
+  };
+
+  const openPosition = (bar, side, signal) => {
+    const entryPrice = side === 'long' ? openOf(bar) * (1 + slippage) : openOf(bar) * (1 - slippage);
+    const capital = cash;
+    const collateral = capital * (1 - feeRate);
+    position = { side, units: collateral / entryPrice, entryPrice, collateral, capital, entryTime: bar.time, entrySignal: signal };
+    cash = 0;
+  };
+
+  const closePosition = (time, price, reason) => {
+    const exitPrice = position.side === 'long' ? price * (1 - slippage) : price * (1 + slippage);
+    const value = position.side === 'long'
+      ? position.units * exitPrice
+      : position.collateral + position.units * (position.entryPrice - exitPrice);
+    cash = Math.max(value - position.units * exitPrice * feeRate, 0);
+
+    trades.push({
+      side: position.side,
+      entryTime: position.entryTime,
+      entryPrice: position.entryPrice,
+      entrySignal: position.entrySignal,
+      exitTime: time,
+      exitPrice,
+      exitReason: reason,
+      pnl: cash - position.capital,
+      returnPct: (cash / position.capital - 1) * 100
+    });
+    position = null;
+  };
+
+  bars.forEach((bar, offset) => {
+    const index = start + offset;
+    if (pending) {
+      if (position && position.side !== pending.side) closePosition(bar.time, openOf(bar), pending.signal);
+      if (!position && (pending.side === 'long' || allowShort)) openPosition(bar, pending.side, pending.signal);
+      pending = null;
+    }
+
+    const signal = index > 0 ? getLatestSignal(data.slice(Math.max(0, index - signalWindow + 1), index + 1), ruleSet, confirmations) : null;
+    const side = signal && actsOn(signal, minStrength) ? signalSide(signal) : null;
+    const target = side === 'buy' ? 'long' : side === 'sell' ? 'short' : null;
+    if (target && position?.side !== target && (position || target === 'long' || allowShort)) {
+      pending = { side: target, signal: signal.signal };
+    }
+
+    equity.push({ time: bar.time, equity: cash + positionValue(bar.price), price: bar.price });
+  });
+
+  const last = bars[bars.length - 1];
+  if (position && last) {
+    closePosition(last.time, last.price, 'End of data');
+    equity[equity.length - 1] = { ...equity[equity.length - 1], equity: cash };
+  }
+
+  return { trades, equity, summary: summarizeBacktest(trades, equity, initialCapital, bars) };
+};
+
+/**
+ * Backtests one mode over a whole candle series.
+ *
+ * @param {Array} candles - Stored candles, oldest first.
+ * @param {Object} [options] - As for simulateBacktest.
+ */
+export const runBacktest = (candles, options = {}) =>
+  simulateBacktest(prepareBacktestData(candles, options.mode), options);
+
+/**
+ * Backtests every mode on every symbol. History comes through syncSeries,
+ * so stored bars are reused and only missing ones are requested.
+ *
+ * @param {string} providerId
+ * @param {Array<string>} symbols
+ * @param {Array<string>} modes - Rule set ids.
+ * @param {Object} options - runBacktest options plus { interval, bars }.
+ * @param {function(Object): void} [onProgress] - Receives { current, total, symbol }.
+ * @returns {Promise<Object>} { results: [{ symbol, mode, bars, trades, equity, summary }], errors: [{ symbol, error }] }
+ */
+export const runBacktests = async (providerId, symbols, modes, { interval, bars, ...options }, onProgress = () => {}) => {
+  const results = [];
+  const errors = [];
+
+  for (let i = 0; i < symbols.length; i++) {
+    const symbol = symbols[i];
+    onProgress({ current: i, total: symbols.length, symbol });
+
+    try {
+      const { candles } = await syncSeries(providerId, symbol, interval, { bars, priority: PRIORITY.USER });
+      modes.forEach(mode => {
+        results.push({ symbol, mode, bars: candles.length, ...runBacktest(candles, { ...options, mode }) });
+      });
+    } catch (error) {
+      console.error(`Backtest failed for ${symbol}:`, error);
+      errors.push({ symbol, error });
+    }
+  }
+
+  onProgress({ current: symbols.length, total: symbols.length, symbol: null });
+  return { results, errors };
+};
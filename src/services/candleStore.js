@@ -0,0 +1,267 @@
+// Persistent OHLCV candle store backed by IndexedDB.
+// Bars are keyed by [symbol, interval, timestamp], so one series is a
+// contiguous key range and range queries never scan other symbols.
+
+import { INTERVAL_MS } from './candles';
+import { DATA_SOURCE, SOURCE_RANK } from './provenance';
+import { openDatabase, promisifyRequest, promisifyTransaction, CANDLE_STORE } from './database';
+
+const DAY = INTERVAL_MS['1day'];
+
+// How long bars are kept per interval before retention prunes them
+export const RETENTION_MS = {
+  '1min': 7 * DAY,
+  '5min': 30 * DAY,
+  '15min': 60 * DAY,
+  '30min': 60 * DAY,
+  '60min': 365 * DAY,
+  '4h': 365 * DAY,
+  '1day': 5 * 365 * DAY,
+  '1week': 10 * 365 * DAY,
+  '1month': 10 * 365 * DAY
+};
+
+// Legacy localStorage snapshots written before the store existed
+const LEGACY_HISTORY_KEY = 'stock_price_history';
+
+const seriesRange = (symbol, interval, from = 0, to = Number.MAX_SAFE_INTEGER) =>
+  IDBKeyRange.bound([symbol, interval, from], [symbol, interval, to]);
+
+const toRecord = (symbol, interval, candle) => ({
+  symbol,
+  interval,
+  timestamp: new Date(candle.time).getTime(),
+  open: candle.open ?? candle.price,
+  high: candle.high ?? candle.price,
+  low: candle.low ?? candle.price,
+  close: candle.close ?? candle.price,
+  volume: candle.volume || 0,
+  source: candle.source || DATA_SOURCE.STORED,
+  updatedAt: Date.now(),
+  // Only bars a provider returned count towards a series being fresh
+  fetchedAt: candle.source === DATA_SOURCE.LIVE ? Date.now() : null
+});
+
+const toCandle = (record) => ({
+  time: new Date(record.timestamp).toISOString(),
+  open: record.open,
+  high: record.high,
+  low: record.low,
+  close: record.close,
+  price: record.close,
+  volume: record.volume,
+  source: record.source || DATA_SOURCE.STORED,
+  updatedAt: record.updatedAt,
+  fetchedAt: record.fetchedAt ?? null
+});
+
+// A later update of the same bar keeps its first open, widens its range and
+// never downgrades a bar to a less trustworthy source. Quotes and snapshots
+// carry no volume of their own, so they keep the bar's.
+const mergeRecords = (existing, incoming) => ({
+  ...incoming,
+  open: existing.open,
+  high: Math.max(existing.high, incoming.high),
+  low: Math.min(existing.low, incoming.low),
+  volume: incoming.source === DATA_SOURCE.STORED ? existing.volume : incoming.volume,
+  fetchedAt: incoming.fetchedAt ?? existing.fetchedAt ?? null,
+  source: SOURCE_RANK.indexOf(existing.source) < SOURCE_RANK.indexOf(incoming.source)
+    ? existing.source
+    : incoming.source
+});
+
+/**
+ * Inserts bars, merging with bars already stored at the same timestamp.
+ * Retention is applied to the series afterwards.
+ *
+ * @param {string} symbol
+ * @param {string} interval
+ * @param {Array} candles - Bars with time and OHLCV fields.
+ * @returns {Promise<number>} Number of bars written.
+ */
+export const upsertCandles = async (symbol, interval, candles) => {
+  if (!candles || candles.length === 0) return 0;
+
+  const db = await openDatabase();
+  const transaction = db.transaction(CANDLE_STORE, 'readwrite');
+  const store = transaction.objectStore(CANDLE_STORE);
+
+  candles.forEach(candle => {
+    const record = toRecord(symbol, interval, candle);
+    const lookup = store.get([symbol, interval, record.timestamp]);
+    lookup.onsuccess = () => {
+      store.put(lookup.result ? mergeRecords(lookup.result, record) : record);
+    };
+  });
+
+  await promisifyTransaction(transaction);
+  await applyRetention(symbol, interval);
+  return candles.length;
+};
+
+/**
+ * Reads stored bars for one series, oldest first.
+ *
+ * @param {string} symbol
+ * @param {string} interval
+ * @param {Object} [options]
+ * @param {number} [options.from] - Earliest timestamp (ms), inclusive.
+ * @param {number} [options.to] - Latest timestamp (ms), inclusive.
+ * @param {number} [options.limit] - Keep only the most recent N bars.
+ * @returns {Promise<Array>} Candles with their original source, `updatedAt` and `fetchedAt`
+ *   (when a provider last returned the bar, null for quotes and snapshots).
+ */
+export const getStoredCandles = async (symbol, interval, { from, to, limit } = {}) => {
+  const db = await openDatabase();
+  const store = db.transaction(CANDLE_STORE, 'readonly').objectStore(CANDLE_STORE);
+  const range = seriesRange(symbol, interval, from, to);
+
+  if (!limit) {
+    const records = await promisifyRequest(store.getAll(range));
+    return records.map(toCandle);
+  }
+
+  // Walk backwards from the newest bar so only `limit` records are read
+  return new Promise((resolve, reject) => {
+    const records = [];
+    const request = store.openCursor(range, 'prev');
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (cursor && records.length < limit) {
+        records.push(cursor.value);
+        cursor.continue();
+      } else {
+        resolve(records.reverse().map(toCandle));
+      }
+    };
+    request.onerror = () => reject(request.error);
+  });
+};
+
+/**
+ * Returns the newest stored bar of a series, or null.
+ */
+export const getLastStoredCandle = async (symbol, interval) => {
+  const [last] = await getStoredCandles(symbol, interval, { limit: 1 });
+  return last || null;
+};
+
+/**
+ * Returns the newest bar of a series that a provider returned, or null.
+ * Quotes and snapshots stored after it are skipped.
+ */
+export const getLastFetchedCandle = async (symbol, interval) => {
+  const db = await openDatabase();
+  const store = db.transaction(CANDLE_STORE, 'readonly').objectStore(CANDLE_STORE);
+
+  return new Promise((resolve, reject) => {
+    const request = store.openCursor(seriesRange(symbol, interval), 'prev');
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve(null);
+      } else if (cursor.value.fetchedAt) {
+        resolve(toCandle(cursor.value));
+      } else {
+        cursor.continue();
+      }
+    };
+    request.onerror = () => reject(request.error);
+  });
+};
+
+/**
+ * Deletes bars older than the interval's retention window.
+ */
+export const applyRetention = async (symbol, interval, now = Date.now()) => {
+  const retention = RETENTION_MS[interval];
+  if (!retention) return;
+
+  const db = await openDatabase();
+  const transaction = db.transaction(CANDLE_STORE, 'readwrite');
+  transaction.objectStore(CANDLE_STORE).delete(seriesRange(symbol, interval, 0, now - retention));
+  await promisifyTransaction(transaction);
+};
+
+/**
+ * Deletes stored bars for a symbol (every interval), or everything.
+ */
+export const deleteCandles = async (symbol) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(CANDLE_STORE, 'readwrite');
+  const store = transaction.objectStore(CANDLE_STORE);
+
+  if (symbol) {
+    store.delete(IDBKeyRange.bound([symbol], [symbol, []]));
+  } else {
+    store.clear();
+  }
+
+  await promisifyTransaction(transaction);
+};
+
+/**
+ * Summarizes the store per symbol and interval.
+ *
+ * @returns {Promise<Object>} { [symbol]: { [interval]: { bars, firstDate, lastDate, lastPrice } } }
+ */
+export const getStoreStats = async () => {
+  const db = await openDatabase();
+  const store = db.transaction(CANDLE_STORE, 'readonly').objectStore(CANDLE_STORE);
+
+  return new Promise((resolve, reject) => {
+    const stats = {};
+    const request = store.openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve(stats);
+        return;
+      }
+
+      const { symbol, interval, timestamp, close } = cursor.value;
+      const date = new Date(timestamp).toISOString().split('T')[0];
+      stats[symbol] = stats[symbol] || {};
+      const series = stats[symbol][interval];
+
+      // Keys are ordered, so the first bar seen is the oldest and the last the newest
+      if (!series) {
+        stats[symbol][interval] = { bars: 1, firstDate: date, lastDate: date, lastPrice: close };
+      } else {
+        series.bars++;
+        series.lastDate = date;
+        series.lastPrice = close;
+      }
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+};
+
+/**
+ * Moves the old one-quote-per-day localStorage snapshots into the store as
+ * daily bars, then removes them so localStorage quota is freed.
+ */
+export const migrateLegacySnapshots = async () => {
+  const keys = Object.keys(localStorage).filter(key => key.startsWith(`${LEGACY_HISTORY_KEY}_`));
+
+  for (const key of keys) {
+    try {
+      const symbol = key.replace(`${LEGACY_HISTORY_KEY}_`, '');
+      const history = JSON.parse(localStorage.getItem(key)) || [];
+      await upsertCandles(symbol, '1day', history.map(item => ({
+        time: new Date(item.date).toISOString(),
+        open: item.open,
+        high: item.high,
+        low: item.low,
+        close: item.price,
+        volume: 0,
+        source: DATA_SOURCE.STORED
+      })));
+      localStorage.removeItem(key);
+      console.log(`Migrated ${history.length} stored snapshots for ${symbol}`);
+    } catch (error) {
+      console.error('Error migrating price history:', error);
+    }
+  }
+};
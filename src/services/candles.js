@@ -0,0 +1,110 @@
+// Candle helpers shared by the providers and the chart pages.
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Bar length in milliseconds for every interval we support
+export const INTERVAL_MS = {
+  '1min': MINUTE,
+  '5min': 5 * MINUTE,
+  '15min': 15 * MINUTE,
+  '30min': 30 * MINUTE,
+  '60min': HOUR,
+  '4h': 4 * HOUR,
+  '1day': DAY,
+  '1week': 7 * DAY,
+  '1month': 30 * DAY
+};
+
+export const isIntradayInterval = (interval) => INTERVAL_MS[interval] < DAY;
+
+// Start of the bucket a timestamp falls in, aligned to UTC
+export const getBucketStart = (timestamp, bucketMs) => Math.floor(timestamp / bucketMs) * bucketMs;
+
+// Start of the bucket a timestamp falls in, counted from its session's open.
+// Bars before the open (pre-market) join the session's first bucket.
+const getSessionBucketStart = (timestamp, bucketMs, getSessionOpen) => {
+  const open = getSessionOpen(timestamp);
+  if (open === null) return getBucketStart(timestamp, bucketMs);
+  return open + Math.max(0, Math.floor((timestamp - open) / bucketMs)) * bucketMs;
+};
+
+/**
+ * Rolls finer candles up into larger buckets, e.g. 60-minute bars into 4h bars.
+ * Open comes from the first bar, close from the last, high/low are the
+ * extremes and volume is summed.
+ *
+ * @param {Array} candles - Candles sorted oldest first.
+ * @param {number} bucketMs - Target bar length in milliseconds.
+ * @param {function(number): ?number} [getSessionOpen] - Session open (ms) for a
+ *   bar's timestamp. Buckets then start at the open, e.g. 9:30 and 13:30 New York
+ *   for 4h equity bars, rather than on UTC boundaries; null means UTC.
+ * @returns {Array} Aggregated candles, oldest first.
+ */
+export const aggregateCandles = (candles, bucketMs, getSessionOpen = () => null) => {
+  const buckets = new Map();
+
+  candles.forEach(candle => {
+    const start = getSessionBucketStart(new Date(candle.time).getTime(), bucketMs, getSessionOpen);
+    const bucket = buckets.get(start);
+
+    if (!bucket) {
+      buckets.set(start, { ...candle, time: new Date(start).toISOString() });
+      return;
+    }
+
+    bucket.high = Math.max(bucket.high, candle.high);
+    bucket.low = Math.min(bucket.low, candle.low);
+    bucket.close = candle.close;
+    bucket.price = candle.close;
+    bucket.volume = (bucket.volume || 0) + (candle.volume || 0);
+  });
+
+  return [...buckets.values()];
+};
+
+/**
+ * Folds one trade into a candle series. A trade inside the last bar updates
+ * its high, low, close and volume; a trade past it opens a new bar. Trades
+ * older than the last bar are ignored.
+ *
+ * @param {Array} candles - Candles sorted oldest first.
+ * @param {Object} trade - { price, volume, timestamp } with timestamp in ms.
+ * @param {string} interval - One of INTERVAL_MS.
+ * @param {string} source - Provenance of the bars built from trades.
+ * @param {function(number): ?number} [getSessionOpen] - As for aggregateCandles, so
+ *   new bars line up with the fetched ones.
+ * @returns {Array} A new series; untouched bars keep their identity.
+ */
+export const applyTrade = (candles, trade, interval, source, getSessionOpen = () => null) => {
+  const bucketMs = INTERVAL_MS[interval];
+  const start = getSessionBucketStart(trade.timestamp, bucketMs, getSessionOpen);
+  const last = candles[candles.length - 1];
+  const lastStart = last ? getSessionBucketStart(new Date(last.time).getTime(), bucketMs, getSessionOpen) : -Infinity;
+
+  if (start < lastStart) return candles;
+
+  if (start === lastStart) {
+    const updated = {
+      ...last,
+      high: Math.max(last.high ?? last.price, trade.price),
+      low: Math.min(last.low ?? last.price, trade.price),
+      close: trade.price,
+      price: trade.price,
+      volume: (last.volume || 0) + (trade.volume || 0)
+    };
+    return [...candles.slice(0, -1), updated];
+  }
+
+  return [...candles, {
+    time: new Date(start).toISOString(),
+    open: trade.price,
+    high: trade.price,
+    low: trade.price,
+    close: trade.price,
+    price: trade.price,
+    volume: trade.volume || 0,
+    source
+  }];
+};
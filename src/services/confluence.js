@@ -0,0 +1,134 @@
+// Multi-timeframe confluence: the same signal evaluated on several bar
+// lengths of one symbol, and whether they point the same way.
+// Candles come through syncSeries, so a timeframe whose stored bars are still
+// fresh costs no API call, and a series the page already loaded is passed in.
+
+import { Minus } from 'lucide-react';
+import { syncSeries } from './syncEngine';
+import { getProvider, supportsInterval, PRIORITY } from './providers';
+import { addIndicators, getLatestSignal, signalSide } from './signals';
+import { serializeError } from './errors';
+
+export const CONFLUENCE_TIMEFRAMES = ['15min', '60min', '4h', '1day'];
+
+// The timeframe a signal on each interval must agree with to be confirmed
+export const HIGHER_TIMEFRAME = {
+  '1min': '15min',
+  '5min': '15min',
+  '15min': '60min',
+  '30min': '4h',
+  '60min': '4h',
+  '4h': '1day',
+  '1day': '1week',
+  '1week': '1month'
+};
+
+const TIMEFRAME_LABELS = {
+  '60min': '1H'
+};
+
+export const formatTimeframe = (interval) => TIMEFRAME_LABELS[interval] || interval.toUpperCase();
+
+/**
+ * Loads candles with indicators for several timeframes of one symbol, one
+ * request at a time so the provider's scheduler can space them.
+ *
+ * @param {string} providerId
+ * @param {string} symbol
+ * @param {Array<string>} intervals - Unsupported ones come back with an error.
+ * @param {Object} [options]
+ * @param {number} [options.priority] - PRIORITY class of any fetch; defaults to AUTO_CHECK.
+ * @param {Object} [options.preloaded] - Points with indicators already in hand, keyed by interval.
+ * @returns {Promise<Object>} Series keyed by interval, each { data } or { error } (a serialized DataError).
+ */
+export const loadTimeframes = async (providerId, symbol, intervals, { priority = PRIORITY.AUTO_CHECK, preloaded = {} } = {}) => {
+  const provider = getProvider(providerId);
+  const series = {};
+
+  for (const interval of intervals) {
+    if (preloaded[interval]) {
+      series[interval] = { data: preloaded[interval] };
+      continue;
+    }
+    if (!supportsInterval(provider, interval)) {
+      series[interval] = { error: { kind: null, message: `${provider.name} has no ${formatTimeframe(interval)} bars` } };
+      continue;
+    }
+
+    try {
+      const { candles } = await syncSeries(providerId, symbol, interval, { priority });
+      series[interval] = { data: addIndicators(candles) };
+    } catch (error) {
+      console.warn(`Confluence: ${symbol} ${interval} unavailable:`, error.message);
+      series[interval] = { error: serializeError(error) };
+    }
+  }
+
+  return series;
+};
+
+/**
+ * Evaluates the latest signal on each loaded timeframe and counts how many
+ * lean each way. The bias is the side most timeframes share, if any.
+ *
+ * @param {Object} series - From loadTimeframes.
+ * @param {Array<string>} intervals - Rows to evaluate, in display order.
+ * @param {string} mode
+ * @param {Object} [confirmations]
+ * @returns {Object} { rows: [{ interval, signal, side, latest, error }], buy, sell, neutral, bias, agreement }
+ */
+export const evaluateConfluence = (series, intervals, mode, confirmations = {}) => {
+  const rows = intervals.map(interval => {
+    const entry = series[interval];
+    if (!entry?.data) return { interval, signal: null, side: null, latest: null, error: entry?.error || null };
+
+    const signal = getLatestSignal(entry.data, mode, confirmations);
+    return {
+      interval,
+      signal,
+      side: signal ? signalSide(signal) : null,
+      latest: entry.data[entry.data.length - 1] || null,
+      error: null
+    };
+  });
+
+  const evaluated = rows.filter(row => row.signal);
+  const buy = evaluated.filter(row => row.side === 'buy').length;
+  const sell = evaluated.filter(row => row.side === 'sell').length;
+  const bias = buy > sell ? 'buy' : sell > buy ? 'sell' : null;
+
+  return {
+    rows,
+    buy,
+    sell,
+    neutral: evaluated.length - buy - sell,
+    bias,
+    // Share of evaluated timeframes on the bias side
+    agreement: bias && evaluated.length > 0 ? Math.max(buy, sell) / evaluated.length : 0
+  };
+};
+
+/**
+ * Keeps a buy or sell signal only if the higher timeframe's signal leans the
+ * same way; otherwise it becomes HOLD. Neutral signals pass through.
+ *
+ * @param {Object} signal - From getSignal.
+ * @param {Object|null} higherSignal - The higher timeframe's latest signal, null if unavailable.
+ * @param {string} higherInterval
+ * @returns {Object} The signal, with `confirmedBy` set when it was confirmed.
+ */
+export const confirmWithHigherTimeframe = (signal, higherSignal, higherInterval) => {
+  const side = signalSide(signal);
+  if (!side) return signal;
+  if (higherSignal && signalSide(higherSignal) === side) {
+    return { ...signal, confirmedBy: higherInterval };
+  }
+
+  const reason = higherSignal ? `${formatTimeframe(higherInterval)} is ${higherSignal.signal}` : `no ${formatTimeframe(higherInterval)} signal`;
+  return {
+    signal: 'HOLD',
+    color: '#f59e0b',
+    icon: Minus,
+    description: `${signal.description || signal.signal} - not confirmed, ${reason}`
+  };
+};
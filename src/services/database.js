@@ -0,0 +1,77 @@
+// The app's IndexedDB database. Every store is created here, so each schema
+// change is one version bump with one upgrade step.
+
+const DB_NAME = 'analike';
+const DB_VERSION = 3;
+
+export const CANDLE_STORE = 'candles';
+export const SIGNAL_STORE = 'signals';
+
+let dbPromise = null;
+
+export const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+export const promisifyTransaction = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error);
+});
+
+// Upgrade steps by the version they introduce; each runs once per browser
+const UPGRADES = {
+  1: (db) => {
+    if (!db.objectStoreNames.contains(CANDLE_STORE)) {
+      db.createObjectStore(CANDLE_STORE, { keyPath: ['symbol', 'interval', 'timestamp'] });
+    }
+  },
+  2: (db) => {
+    if (!db.objectStoreNames.contains(SIGNAL_STORE)) {
+      const store = db.createObjectStore(SIGNAL_STORE, { keyPath: 'id', autoIncrement: true });
+      store.createIndex('series', ['symbol', 'interval', 'mode', 'timestamp']);
+      store.createIndex('timestamp', 'timestamp');
+    }
+  },
+  // 4h equity bars used to start on UTC boundaries and now start at the open;
+  // drop the old ones so the two don't interleave. They are refetched on demand.
+  3: (db, transaction) => {
+    const request = transaction.objectStore(CANDLE_STORE).openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      if (cursor.value.interval === '4h' && !cursor.value.symbol.includes('/')) cursor.delete();
+      cursor.continue();
+    };
+  }
+};
+
+export const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = (event) => {
+        for (let version = event.oldVersion + 1; version <= DB_VERSION; version++) {
+          UPGRADES[version](request.result, request.transaction);
+        }
+      };
+
+      request.onsuccess = () => {
+        const db = request.result;
+        // Another tab is upgrading: let it, this tab reopens on next use
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
@@ -0,0 +1,171 @@
+// Error taxonomy for the data layer. Providers, the scheduler and the proxy
+// responses are all mapped to a DataError with a `kind`, so the pages, retry
+// logic and auto-check branch on structured fields instead of message text.
+
+export const ERROR_KIND = {
+  AUTH: 'auth', // Missing or invalid key, or the plan lacks access (status tells which)
+  QUOTA: 'quota', // Daily budget spent, or deferred by the scheduler to protect it
+  RATE_LIMITED: 'rate_limited', // Per-minute limit hit; retryAfter says when to try again
+  NETWORK: 'network', // Offline, unreachable or a server-side failure
+  INVALID_SYMBOL: 'invalid_symbol', // The provider doesn't know the symbol
+  NO_DATA: 'no_data', // Valid request with nothing in it (e.g. a holiday range)
+  UNKNOWN: 'unknown'
+};
+
+// Kinds worth retrying after a pause
+const RETRYABLE_KINDS = [ERROR_KIND.RATE_LIMITED, ERROR_KIND.NETWORK];
+
+const MESSAGES = {
+  [ERROR_KIND.AUTH]: {
+    message: 'API key invalid or without access to this data.',
+    hint: 'Check the API keys configured for the /api proxy or upgrade the plan.'
+  },
+  [ERROR_KIND.QUOTA]: {
+    message: 'Daily API budget reached.',
+    hint: 'Background requests are paused to save calls; the budget resets at midnight UTC.'
+  },
+  [ERROR_KIND.RATE_LIMITED]: {
+    message: 'API rate limit exceeded.',
+    hint: 'Requests resume automatically once the per-minute limit frees up.'
+  },
+  [ERROR_KIND.NETWORK]: {
+    message: 'Network connection failed.',
+    hint: 'Real-time data will resume when the connection is restored.'
+  },
+  [ERROR_KIND.INVALID_SYMBOL]: {
+    message: 'Symbol not found or not supported.',
+    hint: 'Try a different symbol.'
+  },
+  [ERROR_KIND.NO_DATA]: {
+    message: 'No data available for this symbol or interval.',
+    hint: 'Try a different interval, or wait for the market to open.'
+  },
+  [ERROR_KIND.UNKNOWN]: {
+    message: 'Unknown error occurred.',
+    hint: 'Please try again.'
+  }
+};
+
+export class DataError extends Error {
+  /**
+   * @param {string} kind - One of ERROR_KIND.
+   * @param {string} message
+   * @param {Object} [details]
+   * @param {string} [details.provider] - Provider id.
+   * @param {string} [details.symbol]
+   * @param {number} [details.status] - HTTP status, when there was one.
+   * @param {number} [details.retryAfter] - Milliseconds to wait before retrying.
+   * @param {boolean} [details.deferred] - Refused locally by the scheduler, no call was made.
+   */
+  constructor(kind, message, { provider = null, symbol = null, status = null, retryAfter = null, deferred = false } = {}) {
+    super(message);
+    this.name = 'DataError';
+    this.kind = kind;
+    this.provider = provider;
+    this.symbol = symbol;
+    this.status = status;
+    this.retryAfter = retryAfter;
+    this.deferred = deferred;
+  }
+
+  get retryable() {
+    return RETRYABLE_KINDS.includes(this.kind);
+  }
+}
+
+export const isDataError = (error, kind) =>
+  error instanceof DataError && (kind === undefined || error.kind === kind);
+
+// Retry-After is either seconds or an HTTP date
+const parseRetryAfter = (value) => {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+};
+
+/**
+ * Maps an HTTP status to a DataError.
+ *
+ * @param {number} status
+ * @param {string} message - Provider message, if any.
+ * @param {Object} [details] - Extra DataError details; `retryAfterHeader` is parsed.
+ */
+export const fromHttpStatus = (status, message, { retryAfterHeader, ...details } = {}) => {
+  const withStatus = { ...details, status };
+
+  if (status === 401 || status === 403) {
+    return new DataError(ERROR_KIND.AUTH, message || MESSAGES[ERROR_KIND.AUTH].message, withStatus);
+  }
+  if (status === 429) {
+    return new DataError(ERROR_KIND.RATE_LIMITED, message || MESSAGES[ERROR_KIND.RATE_LIMITED].message, {
+      ...withStatus,
+      retryAfter: parseRetryAfter(retryAfterHeader) ?? 60000
+    });
+  }
+  if (status === 404) {
+    return new DataError(ERROR_KIND.INVALID_SYMBOL, message || MESSAGES[ERROR_KIND.INVALID_SYMBOL].message, withStatus);
+  }
+  if (status >= 500) {
+    return new DataError(ERROR_KIND.NETWORK, message || `Server error (${status})`, withStatus);
+  }
+  return new DataError(ERROR_KIND.UNKNOWN, message || `HTTP error ${status}`, withStatus);
+};
+
+/**
+ * Normalizes anything thrown while fetching (axios and fetch errors, plain
+ * Errors, or a serialized DataError from another tab) into a DataError.
+ *
+ * @param {*} error
+ * @param {Object} [details] - Defaults for provider and symbol.
+ * @returns {DataError}
+ */
+export const toDataError = (error, details = {}) => {
+  if (error instanceof DataError) return error;
+
+  // Serialized by serializeError, e.g. received over a BroadcastChannel
+  if (error && typeof error === 'object' && error.kind && !(error instanceof Error)) {
+    return new DataError(error.kind, error.message, { ...details, ...error });
+  }
+
+  // axios: the server answered with an error status
+  if (error?.response) {
+    const { status, data, headers } = error.response;
+    return fromHttpStatus(status, data?.error, { ...details, retryAfterHeader: headers?.['retry-after'] });
+  }
+
+  // axios: sent but no answer; fetch: rejected with a TypeError
+  const offline = typeof navigator !== 'undefined' && !navigator.onLine;
+  if (error?.request || error?.code === 'ERR_NETWORK' || error instanceof TypeError || offline) {
+    return new DataError(ERROR_KIND.NETWORK, MESSAGES[ERROR_KIND.NETWORK].message, details);
+  }
+
+  return new DataError(ERROR_KIND.UNKNOWN, error?.message || MESSAGES[ERROR_KIND.UNKNOWN].message, details);
+};
+
+/**
+ * Plain-object form of a DataError, safe to store in state or post to other tabs.
+ */
+export const serializeError = (error) => {
+  const { kind, message, provider, symbol, status, retryAfter, deferred } = toDataError(error);
+  return { kind, message, provider, symbol, status, retryAfter, deferred };
+};
+
+/**
+ * User-facing text for an error.
+ *
+ * @returns {Object} { message, hint }
+ */
+export const describeError = (error) => {
+  const dataError = toDataError(error);
+  const defaults = MESSAGES[dataError.kind] || MESSAGES[ERROR_KIND.UNKNOWN];
+
+  if (dataError.kind === ERROR_KIND.RATE_LIMITED && dataError.retryAfter) {
+    return { message: defaults.message, hint: `Retrying is possible in ${Math.ceil(dataError.retryAfter / 1000)}s.` };
+  }
+  if (dataError.kind === ERROR_KIND.INVALID_SYMBOL && dataError.symbol) {
+    return { message: `Symbol "${dataError.symbol}" not found or not supported.`, hint: defaults.hint };
+  }
+  return { message: dataError.message || defaults.message, hint: defaults.hint };
+};
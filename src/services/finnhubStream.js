@@ -0,0 +1,147 @@
+// Finnhub WebSocket trade stream.
+// Protocol: send { type: 'subscribe', symbol } per symbol, receive
+// { type: 'trade', data: [{ s, p, v, t }] } batches and { type: 'ping' } keep-alives.
+
+const RECONNECT = {
+  INITIAL_DELAY: 1000,
+  MAX_DELAY: 30000,
+  MULTIPLIER: 2
+};
+
+export const STREAM_STATUS = {
+  CONNECTING: 'connecting',
+  OPEN: 'open',
+  RECONNECTING: 'reconnecting',
+  CLOSED: 'closed'
+};
+
+// Finnhub streams crypto under exchange-prefixed pairs rather than BTC/USD
+const STREAM_SYMBOLS = {
+  'BTC/USD': 'BINANCE:BTCUSDT',
+  'ETH/USD': 'BINANCE:ETHUSDT'
+};
+
+const toStreamSymbol = (symbol) => STREAM_SYMBOLS[symbol] || symbol;
+
+/**
+ * Creates a trade stream that keeps its subscriptions across reconnects.
+ *
+ * @param {Object} options
+ * @param {string} options.url - WebSocket URL (Finnhub or a local replay server).
+ * @param {function(Array): void} options.onTrades - Receives [{ symbol, price, volume, timestamp }].
+ * @param {function(string, Object): void} [options.onStatusChange] - Receives a STREAM_STATUS and { retryIn } when reconnecting.
+ * @returns {Object} { connect, disconnect, subscribe, unsubscribe }
+ */
+export const createTradeStream = ({ url, onTrades, onStatusChange = () => {} }) => {
+  const subscriptions = new Map(); // Stream symbol -> our symbol
+  let socket = null;
+  let reconnectTimer = null;
+  let reconnectDelay = RECONNECT.INITIAL_DELAY;
+  let stopped = true;
+
+  const send = (type, symbol) => {
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify({ type, symbol }));
+    }
+  };
+
+  const handleMessage = (event) => {
+    let message;
+    try {
+      message = JSON.parse(event.data);
+    } catch {
+      console.warn('Ignoring malformed stream message:', event.data);
+      return;
+    }
+
+    if (message.type === 'trade' && Array.isArray(message.data)) {
+      const trades = message.data
+        .filter(trade => subscriptions.has(trade.s))
+        .map(trade => ({
+          symbol: subscriptions.get(trade.s),
+          price: trade.p,
+          volume: trade.v || 0,
+          timestamp: trade.t
+        }));
+      if (trades.length > 0) onTrades(trades);
+    } else if (message.type === 'error') {
+      console.error('Trade stream error:', message.msg);
+    }
+  };
+
+  const scheduleReconnect = () => {
+    // Jitter keeps several tabs from reconnecting in lockstep
+    const delay = Math.round(reconnectDelay * (0.8 + Math.random() * 0.4));
+    reconnectDelay = Math.min(reconnectDelay * RECONNECT.MULTIPLIER, RECONNECT.MAX_DELAY);
+
+    console.log(`Trade stream closed, reconnecting in ${delay}ms`);
+    onStatusChange(STREAM_STATUS.RECONNECTING, { retryIn: delay });
+    reconnectTimer = setTimeout(open, delay);
+  };
+
+  const open = () => {
+    reconnectTimer = null;
+    onStatusChange(STREAM_STATUS.CONNECTING, {});
+    const thisSocket = new WebSocket(url);
+    socket = thisSocket;
+
+    // A socket that was closed or replaced may still fire; only the current one counts
+    thisSocket.onopen = () => {
+      if (socket !== thisSocket) return;
+      console.log('Trade stream connected');
+      reconnectDelay = RECONNECT.INITIAL_DELAY;
+      subscriptions.forEach((_, streamSymbol) => send('subscribe', streamSymbol));
+      onStatusChange(STREAM_STATUS.OPEN, {});
+    };
+
+    thisSocket.onmessage = (event) => {
+      if (socket === thisSocket) handleMessage(event);
+    };
+
+    // onerror is always followed by onclose, which owns the reconnect
+    thisSocket.onerror = () => console.warn('Trade stream connection error');
+
+    thisSocket.onclose = () => {
+      if (socket !== thisSocket) return;
+      socket = null;
+      scheduleReconnect();
+    };
+  };
+
+  const connect = () => {
+    if (!stopped) return;
+    stopped = false;
+    open();
+  };
+
+  const disconnect = () => {
+    stopped = true;
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    if (socket) {
+      const closing = socket;
+      socket = null;
+      closing.close();
+    }
+    onStatusChange(STREAM_STATUS.CLOSED, {});
+  };
+
+  const subscribe = (symbols) => {
+    symbols.forEach(symbol => {
+      const streamSymbol = toStreamSymbol(symbol);
+      if (subscriptions.has(streamSymbol)) return;
+      subscriptions.set(streamSymbol, symbol);
+      send('subscribe', streamSymbol);
+    });
+  };
+
+  const unsubscribe = (symbols) => {
+    symbols.forEach(symbol => {
+      const streamSymbol = toStreamSymbol(symbol);
+      if (!subscriptions.delete(streamSymbol)) return;
+      send('unsubscribe', streamSymbol);
+    });
+  };
+
+  return { connect, disconnect, subscribe, unsubscribe };
+};
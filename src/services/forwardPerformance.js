@@ -0,0 +1,146 @@
+// Forward performance of the signals that actually fired: each buy or sell
+// transition in the signal history is measured against the stored bars that
+// followed it. Returns are direction-adjusted, so a sell that is followed by
+// a falling price counts as a positive return.
+
+import { getSignalHistory } from './signalHistory';
+import { getStoredCandles } from './candleStore';
+import { syncSeries } from './syncEngine';
+import { PRIORITY } from './providers';
+import { signalSide } from './signals';
+
+// Bars after the signal at which the forward return is taken
+export const FORWARD_HORIZONS = [1, 5, 20];
+
+// Excursions are measured over the longest horizon
+const EXCURSION_BARS = Math.max(...FORWARD_HORIZONS);
+
+/**
+ * How one recorded signal did over the bars after its own.
+ *
+ * @param {Object} record - A buy or sell transition from the signal history.
+ * @param {Array} candles - Stored bars of its series, oldest first.
+ * @returns {Object} { barsAfter, returns: { [horizon]: percent|null }, mfe, mae, complete }
+ *   MFE and MAE are the maximum favourable and adverse excursions in percent,
+ *   null until a bar has followed the signal.
+ */
+export const evaluateOutcome = (record, candles) => {
+  const direction = signalSide(record) === 'buy' ? 1 : -1;
+  const entry = record.price;
+  const after = candles.filter(candle => new Date(candle.time).getTime() > record.barTime);
+  const excursion = after.slice(0, EXCURSION_BARS);
+
+  const returns = Object.fromEntries(FORWARD_HORIZONS.map(horizon => [
+    horizon,
+    after.length >= horizon ? direction * (after[horizon - 1].close / entry - 1) * 100 : null
+  ]));
+
+  let mfe = null;
+  let mae = null;
+  if (excursion.length > 0) {
+    const high = Math.max(...excursion.map(candle => candle.high));
+    const low = Math.min(...excursion.map(candle => candle.low));
+    const best = direction > 0 ? high / entry - 1 : 1 - low / entry;
+    const worst = direction > 0 ? low / entry - 1 : 1 - high / entry;
+    mfe = Math.max(best, 0) * 100;
+    mae = Math.min(worst, 0) * 100;
+  }
+
+  return { barsAfter: after.length, returns, mfe, mae, complete: after.length >= EXCURSION_BARS };
+};
+
+const average = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+/**
+ * Hit rate and average return per horizon, and average excursions, of a
+ * group of outcomes. Horizons a signal hasn't reached yet don't count.
+ */
+export const summarizeOutcomes = (outcomes) => ({
+  signals: outcomes.length,
+  horizons: FORWARD_HORIZONS.map(horizon => {
+    const values = outcomes.map(outcome => outcome.returns[horizon]).filter(value => value !== null);
+    return {
+      bars: horizon,
+      measured: values.length,
+      hitRate: values.length > 0 ? (values.filter(value => value > 0).length / values.length) * 100 : null,
+      averageReturn: average(values)
+    };
+  }),
+  averageMfe: average(outcomes.map(outcome => outcome.mfe).filter(value => value !== null)),
+  averageMae: average(outcomes.map(outcome => outcome.mae).filter(value => value !== null))
+});
+
+const groupBy = (outcomes, keyOf) => {
+  const groups = new Map();
+  outcomes.forEach(outcome => {
+    const key = keyOf(outcome.record);
+    groups.set(key, [...(groups.get(key) || []), outcome]);
+  });
+  return [...groups.entries()]
+    .map(([key, members]) => ({ key, ...summarizeOutcomes(members) }))
+    .sort((a, b) => b.signals - a.signals);
+};
+
+/**
+ * Measures every buy and sell transition recorded since `from` against the
+ * stored bars of its series.
+ *
+ * @param {Object} [filters] - { mode, from } as for getSignalHistory.
+ * @returns {Promise<Object>} { outcomes, overall, byLabel, byMode, byRule, pending }
+ *   `byRule` keys are `${mode}:${rule}`; `pending` lists the series whose
+ *   signals still wait for bars, as [{ symbol, interval }].
+ */
+export const trackForwardPerformance = async ({ mode, from } = {}) => {
+  const records = (await getSignalHistory({ mode, from })).filter(record => signalSide(record));
+
+  const series = new Map();
+  records.forEach(record => {
+    const key = `${record.symbol}|${record.interval}`;
+    const earliest = series.get(key)?.from ?? Infinity;
+    series.set(key, { symbol: record.symbol, interval: record.interval, from: Math.min(earliest, record.barTime) });
+  });
+
+  const candlesBySeries = new Map();
+  for (const [key, { symbol, interval, from: earliest }] of series) {
+    candlesBySeries.set(key, await getStoredCandles(symbol, interval, { from: earliest }));
+  }
+
+  const outcomes = records.map(record => ({
+    record,
+    ...evaluateOutcome(record, candlesBySeries.get(`${record.symbol}|${record.interval}`))
+  }));
+
+  const pending = [...series.entries()]
+    .filter(([key]) => outcomes.some(outcome => !outcome.complete && `${outcome.record.symbol}|${outcome.record.interval}` === key))
+    .map(([, { symbol, interval }]) => ({ symbol, interval }));
+
+  return {
+    outcomes,
+    overall: summarizeOutcomes(outcomes),
+    byLabel: groupBy(outcomes, record => record.signal),
+    byMode: groupBy(outcomes, record => record.mode),
+    byRule: groupBy(outcomes, record => `${record.mode}:${record.rule ?? 'unknown'}`),
+    pending
+  };
+};
+
+/**
+ * Syncs the series that have signals waiting for bars, so their outcomes
+ * can be measured.
+ *
+ * @param {string} providerId
+ * @param {Array} series - `pending` from trackForwardPerformance.
+ * @returns {Promise<Array>} [{ symbol, interval, error }] for the series that failed.
+ */
+export const syncPendingSeries = async (providerId, series) => {
+  const errors = [];
+  for (const { symbol, interval } of series) {
+    try {
+      await syncSeries(providerId, symbol, interval, { priority: PRIORITY.USER });
+    } catch (error) {
+      console.error(`Forward performance sync failed for ${symbol} ${interval}:`, error);
+      errors.push({ symbol, interval, error });
+    }
+  }
+  return errors;
+};
@@ -0,0 +1,9 @@
+// Technical indicators used by the chart pages, the auto-check and signals.
+// All functions are pure: they never modify the points they are given.
+
+export { warmupKey, isReady, findPivots, toHLC } from './shared';
+export { sma, ema, macd, adx, withSMA, withEMA, withMACD, withADX, updateLatestEMA } from './trend';
+export { rsi, stochastic, cci, williamsR, withRSI, withStochastic, withCCI, withWilliamsR } from './momentum';
+export { bollinger, atr, withBollinger, withATR } from './volatility';
+export { obv, vwap, anchoredVWAP, withOBV, withVWAP, withAnchoredVWAP } from './volume';
+export { findLevels, nearestLevels, levelDistances, withLevelDistance, LEVEL_DEFAULTS } from './levels';
@@ -0,0 +1,141 @@
+// Support and resistance zones.
+// Swing highs and lows that lie within a fraction of an ATR of each other
+// are clustered into one horizontal zone. A zone is scored by its touches,
+// recent touches weighing up to twice as much as the oldest ones.
+
+import { annotate, findPivots, toHLC } from './shared';
+import { atr } from './volatility';
+
+/**
+ * lookback: bars searched for pivots. pivotWidth: bars on each side a swing
+ * high or low must exceed. tolerance: widest zone, in ATRs. minTouches:
+ * pivots a zone needs. maxLevels: best-scored zones kept.
+ */
+export const LEVEL_DEFAULTS = { lookback: 150, pivotWidth: 3, tolerance: 0.5, atrPeriod: 14, minTouches: 2, maxLevels: 6 };
+
+// Swing highs and lows together, lowest first so neighbours in price are adjacent
+const swingPivots = (candles, pivotWidth) => [
+  ...findPivots(candles.map(candle => candle.high), pivotWidth).peaks,
+  ...findPivots(candles.map(candle => candle.low), pivotWidth).troughs
+].sort((a, b) => a.value - b.value);
+
+// The zones as they stood at bar `end`: only pivots within the lookback whose
+// right-hand bars had already closed by then, so there is no lookahead
+const zonesAt = (pivots, end, close, tolerance, settings) => {
+  const start = Math.max(0, end - settings.lookback + 1);
+  const span = Math.max(end - start, 1);
+
+  const clusters = [];
+  pivots
+    .filter(pivot => pivot.index >= start && pivot.index + settings.pivotWidth <= end)
+    .forEach(pivot => {
+      const last = clusters[clusters.length - 1];
+      if (last && pivot.value - last[0].value <= tolerance) last.push(pivot);
+      else clusters.push([pivot]);
+    });
+
+  return clusters
+    .filter(members => members.length >= settings.minTouches)
+    .map(members => {
+      const low = members[0].value;
+      const high = members[members.length - 1].value;
+      return {
+        low,
+        high,
+        price: members.reduce((sum, pivot) => sum + pivot.value, 0) / members.length,
+        touches: members.length,
+        lastTouch: Math.max(...members.map(pivot => pivot.index)),
+        score: members.reduce((sum, pivot) => sum + 1 + (pivot.index - start) / span, 0),
+        kind: close > high ? 'support' : close < low ? 'resistance' : 'inside'
+      };
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, settings.maxLevels)
+    .sort((a, b) => b.price - a.price);
+};
+
+/**
+ * The closest zone at or below a price and the closest at or above it, with
+ * the distance to their near edge in percent of the price (0 when the price
+ * is inside the zone).
+ *
+ * @param {Array} zones - From findLevels.
+ * @param {number} price
+ * @returns {Object} { support, resistance, supportDistance, resistanceDistance, distance },
+ *   zones and distances null when there is none on that side; `distance` is the smaller one.
+ */
+export const nearestLevels = (zones, price) => {
+  const support = zones.filter(zone => zone.low <= price).sort((a, b) => b.high - a.high)[0] || null;
+  const resistance = zones.filter(zone => zone.high >= price).sort((a, b) => a.low - b.low)[0] || null;
+  const supportDistance = support ? (Math.max(price - support.high, 0) / price) * 100 : null;
+  const resistanceDistance = resistance ? (Math.max(resistance.low - price, 0) / price) * 100 : null;
+  const distances = [supportDistance, resistanceDistance].filter(value => value !== null);
+
+  return {
+    support,
+    resistance,
+    supportDistance,
+    resistanceDistance,
+    distance: distances.length > 0 ? Math.min(...distances) : null
+  };
+};
+
+/**
+ * Support and resistance zones at the last bar of a series.
+ *
+ * @param {Array} data - Chart points (high/low fall back to the price).
+ * @param {Object} [options] - See LEVEL_DEFAULTS.
+ * @returns {Array} [{ low, high, price, touches, lastTouch, score, kind }], highest first.
+ *   `lastTouch` indexes into `data`; `kind` is 'support', 'resistance' or 'inside'.
+ */
+export const findLevels = (data, options = {}) => {
+  const settings = { ...LEVEL_DEFAULTS, ...options };
+  const candles = toHLC(data);
+  const end = candles.length - 1;
+  const range = atr(candles, settings.atrPeriod)[end];
+  if (range === null || range === undefined) return [];
+  return zonesAt(swingPivots(candles, settings.pivotWidth), end, candles[end].close, range * settings.tolerance, settings);
+};
+
+/**
+ * Distance of every bar's close to the zones as they stood at that bar.
+ *
+ * @param {Array} candles - [{ high, low, close }].
+ * @param {Object} [options] - See LEVEL_DEFAULTS.
+ * @returns {Object} { support, resistance, nearest } - percent series, null before
+ *   the ATR is computable and where there is no zone on that side.
+ */
+export const levelDistances = (candles, options = {}) => {
+  const settings = { ...LEVEL_DEFAULTS, ...options };
+  const ranges = atr(candles, settings.atrPeriod);
+  const pivots = swingPivots(candles, settings.pivotWidth);
+  const support = new Array(candles.length).fill(null);
+  const resistance = new Array(candles.length).fill(null);
+  const nearest = new Array(candles.length).fill(null);
+
+  candles.forEach(({ close }, end) => {
+    if (ranges[end] === null) return;
+    const levels = nearestLevels(zonesAt(pivots, end, close, ranges[end] * settings.tolerance, settings), close);
+    support[end] = levels.supportDistance;
+    resistance[end] = levels.resistanceDistance;
+    nearest[end] = levels.distance;
+  });
+
+  return { support, resistance, nearest };
+};
+
+/**
+ * Adds supportDistance, resistanceDistance and levelDistance (the nearer of
+ * the two) to every point, see levelDistances.
+ *
+ * @param {Array} data - Chart points.
+ * @param {Object} [options] - See LEVEL_DEFAULTS.
+ */
+export const withLevelDistance = (data, options = {}) => {
+  const result = levelDistances(toHLC(data), options);
+  return annotate(data, {
+    supportDistance: { values: result.support },
+    resistanceDistance: { values: result.resistance },
+    levelDistance: { values: result.nearest }
+  });
+};
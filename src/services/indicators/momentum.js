@@ -0,0 +1,159 @@
+// Momentum oscillators.
+
+import { annotate, pluck, fromFirstValue, toHLC } from './shared';
+import { sma } from './trend';
+
+/**
+ * Relative Strength Index with Wilder's smoothing: the first average gain
+ * and loss are plain means over `period` changes, later ones are smoothed as
+ * avg = (prev * (period - 1) + current) / period.
+ *
+ * @param {number[]} values
+ * @param {number} period
+ * @returns {Array<number|null>} null for the first `period` values.
+ */
+export const rsi = (values, period = 14) => {
+  const result = new Array(values.length).fill(null);
+  if (values.length <= period) return result;
+
+  const toRSI = (avgGain, avgLoss) => (avgLoss === 0 ? 100 : 100 - 100 / (1 + avgGain / avgLoss));
+
+  let avgGain = 0;
+  let avgLoss = 0;
+  for (let i = 1; i <= period; i++) {
+    const change = values[i] - values[i - 1];
+    if (change > 0) avgGain += change;
+    else avgLoss -= change;
+  }
+  avgGain /= period;
+  avgLoss /= period;
+  result[period] = toRSI(avgGain, avgLoss);
+
+  for (let i = period + 1; i < values.length; i++) {
+    const change = values[i] - values[i - 1];
+    avgGain = (avgGain * (period - 1) + Math.max(change, 0)) / period;
+    avgLoss = (avgLoss * (period - 1) + Math.max(-change, 0)) / period;
+    result[i] = toRSI(avgGain, avgLoss);
+  }
+
+  return result;
+};
+
+/**
+ * Adds an RSI to every point. Wilder's smoothing remembers its first
+ * averages for a long time, so `period` values after the first are flagged
+ * as warm-up by default.
+ *
+ * @param {Array} data - Chart points.
+ * @param {Object} [options]
+ * @param {number} [options.period]
+ * @param {string} [options.source] - Field to measure.
+ * @param {string} [options.key] - Output field.
+ * @param {number} [options.warmup] - Values flagged after the first, defaults to `period`.
+ */
+export const withRSI = (data, { period = 14, source = 'price', key = 'rsi', warmup = period } = {}) =>
+  annotate(data, { [key]: { values: rsi(pluck(data, source), period), warmup } });
+
+// Highest high and lowest low of the `period` bars ending at each index
+const rollingRange = (candles, period) => candles.map((_, i) => {
+  if (i < period - 1) return null;
+  const recent = candles.slice(i - period + 1, i + 1);
+  return {
+    highest: Math.max(...recent.map(candle => candle.high)),
+    lowest: Math.min(...recent.map(candle => candle.low))
+  };
+});
+
+/**
+ * Slow Stochastic: where the close sits in the recent high-low range,
+ * smoothed into %K and averaged again into %D.
+ *
+ * @param {Array} candles - Points with high, low and close.
+ * @param {Object} [options] - { period, smoothK, periodD }.
+ * @returns {Object} { k, d }, 0-100, each null until computable.
+ */
+export const stochastic = (candles, { period = 14, smoothK = 3, periodD = 3 } = {}) => {
+  const rawK = rollingRange(candles, period).map((range, i) => {
+    if (!range) return null;
+    const spread = range.highest - range.lowest;
+    return spread === 0 ? 50 : (100 * (candles[i].close - range.lowest)) / spread;
+  });
+  const k = fromFirstValue(rawK, values => sma(values, smoothK));
+  const d = fromFirstValue(k, values => sma(values, periodD));
+
+  return { k, d };
+};
+
+/**
+ * Commodity Channel Index: how far the typical price is from its SMA, in
+ * units of 1.5% of the mean absolute deviation.
+ *
+ * @param {Array} candles - Points with high, low and close.
+ * @param {number} period
+ * @returns {Array<number|null>} null for the first period - 1 values.
+ */
+export const cci = (candles, period = 20) => {
+  const typical = candles.map(candle => (candle.high + candle.low + candle.close) / 3);
+  const average = sma(typical, period);
+
+  return typical.map((value, i) => {
+    if (average[i] === null) return null;
+    const recent = typical.slice(i - period + 1, i + 1);
+    const meanDeviation = recent.reduce((sum, item) => sum + Math.abs(item - average[i]), 0) / period;
+    return meanDeviation === 0 ? 0 : (value - average[i]) / (0.015 * meanDeviation);
+  });
+};
+
+/**
+ * Williams %R: the close's distance below the recent high, from 0 (at the
+ * high) to -100 (at the low).
+ *
+ * @param {Array} candles - Points with high, low and close.
+ * @param {number} period
+ * @returns {Array<number|null>} null for the first period - 1 values.
+ */
+export const williamsR = (candles, period = 14) =>
+  rollingRange(candles, period).map((range, i) => {
+    if (!range) return null;
+    const spread = range.highest - range.lowest;
+    return spread === 0 ? -50 : (-100 * (range.highest - candles[i].close)) / spread;
+  });
+
+/**
+ * Adds Stochastic %K and %D to every point. Both are moving averages of a
+ * bounded value, so they need no warm-up.
+ *
+ * @param {Array} data - Chart points.
+ * @param {Object} [options]
+ * @param {number} [options.period]
+ * @param {number} [options.smoothK]
+ * @param {number} [options.periodD]
+ * @param {Object} [options.keys] - Output fields: { k, d }.
+ */
+export const withStochastic = (data, { period = 14, smoothK = 3, periodD = 3, keys = {} } = {}) => {
+  const result = stochastic(toHLC(data), { period, smoothK, periodD });
+  const names = { k: 'stochK', d: 'stochD', ...keys };
+
+  return annotate(data, {
+    [names.k]: { values: result.k },
+    [names.d]: { values: result.d }
+  });
+};
+
+/**
+ * Adds a CCI to every point.
+ *
+ * @param {Array} data - Chart points.
+ * @param {Object} [options] - { period, key }.
+ */
+export const withCCI = (data, { period = 20, key = 'cci' } = {}) =>
+  annotate(data, { [key]: { values: cci(toHLC(data), period) } });
+
+/**
+ * Adds Williams %R to every point.
+ *
+ * @param {Array} data - Chart points.
+ * @param {Object} [options] - { period, key }.
+ */
+export const withWilliamsR = (data, { period = 14, key = 'williamsR' } = {}) =>
+  annotate(data, { [key]: { values: williamsR(toHLC(data), period) } });
@@ -0,0 +1,90 @@
+// Plumbing shared by the indicator modules.
+// Every indicator is a pure function over a numeric series that returns a
+// series of the same length, null where there isn't enough data yet. The
+// `with*` helpers copy those values onto chart points under a configurable
+// key, together with a warm-up flag for values that exist but can't be
+// trusted yet (e.g. an EMA still dominated by its seed).
+
+/**
+ * Name of the flag stored next to an indicator value, e.g. 'ema20Warmup'.
+ */
+export const warmupKey = (key) => `${key}Warmup`;
+
+/**
+ * True when a point has a value for `key` that is past its warm-up.
+ */
+export const isReady = (point, key) =>
+  Boolean(point) && point[key] !== null && point[key] !== undefined && !point[warmupKey(key)];
+
+/**
+ * Reads one field from every point, e.g. the close prices.
+ */
+export const pluck = (data, source) => data.map(point => point[source]);
+
+// Index of the first computed value, or the series length if there is none
+export const firstValueIndex = (values) => {
+  const index = values.findIndex(value => value !== null);
+  return index === -1 ? values.length : index;
+};
+
+/**
+ * Applies a series function to `values` from their first computed value
+ * on, e.g. to smooth an indicator that starts with nulls.
+ */
+export const fromFirstValue = (values, fn) => {
+  const start = firstValueIndex(values);
+  return [...new Array(start).fill(null), ...fn(values.slice(start))];
+};
+
+/**
+ * Swing points of a series: values strictly above (peaks) or below
+ * (troughs) the `width` values on each side of them.
+ *
+ * @returns {Object} { peaks, troughs } as [{ index, value }], oldest first.
+ */
+export const findPivots = (values, width) => {
+  const peaks = [];
+  const troughs = [];
+  for (let i = width; i < values.length - width; i++) {
+    const neighbours = [];
+    for (let j = 1; j <= width; j++) neighbours.push(values[i - j], values[i + j]);
+    if (neighbours.every(value => values[i] > value)) peaks.push({ index: i, value: values[i] });
+    if (neighbours.every(value => values[i] < value)) troughs.push({ index: i, value: values[i] });
+  }
+  return { peaks, troughs };
+};
+
+/**
+ * High, low and close of every point. Points without high/low (e.g.
+ * interpolated ones) count as a bar that only traded at its price.
+ */
+export const toHLC = (data) => data.map(point => {
+  const close = point.close ?? point.price;
+  return { high: point.high ?? close, low: point.low ?? close, close };
+});
+
+/**
+ * Copies indicator series onto new point objects, leaving `data` untouched.
+ *
+ * @param {Array} data - Chart points.
+ * @param {Object} columns - Output key -> { values, warmup }, where `warmup`
+ *   is how many computed values after the first one are still flagged.
+ * @returns {Array} New points with the values and their warm-up flags.
+ */
+export const annotate = (data, columns) => {
+  const entries = Object.entries(columns).map(([key, { values, warmup = 0 }]) => ({
+    key,
+    flag: warmupKey(key),
+    values,
+    readyAt: firstValueIndex(values) + warmup
+  }));
+
+  return data.map((point, index) => {
+    const next = { ...point };
+    entries.forEach(({ key, flag, values, readyAt }) => {
+      next[key] = values[index];
+      next[flag] = values[index] === null || index < readyAt;
+    });
+    return next;
+  });
+};
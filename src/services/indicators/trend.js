@@ -0,0 +1,226 @@
+// Moving averages and the trend indicators built on them.
+
+import { annotate, pluck, warmupKey, firstValueIndex, fromFirstValue, toHLC } from './shared';
+
+/**
+ * Simple moving average.
+ *
+ * @param {number[]} values
+ * @param {number} period
+ * @returns {Array<number|null>} null for the first period - 1 values.
+ */
+export const sma = (values, period) => {
+  const result = new Array(values.length).fill(null);
+  let sum = 0;
+
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i];
+    if (i >= period) sum -= values[i - period];
+    if (i >= period - 1) result[i] = sum / period;
+  }
+
+  return result;
+};
+
+/**
+ * Exponential moving average seeded with the SMA of its first `period`
+ * values, so the start of the line doesn't hinge on a single bar.
+ *
+ * @param {number[]} values
+ * @param {number} period
+ * @returns {Array<number|null>} null for the first period - 1 values.
+ */
+export const ema = (values, period) => {
+  const result = new Array(values.length).fill(null);
+  if (values.length < period) return result;
+
+  const multiplier = 2 / (period + 1);
+  result[period - 1] = sma(values.slice(0, period), period)[period - 1];
+
+  for (let i = period; i < values.length; i++) {
+    result[i] = (values[i] - result[i - 1]) * multiplier + result[i - 1];
+  }
+
+  return result;
+};
+
+/**
+ * Adds an SMA to every point. SMA values need no warm-up.
+ *
+ * @param {Array} data - Chart points.
+ * @param {Object} [options]
+ * @param {number} [options.period]
+ * @param {string} [options.source] - Field to average.
+ * @param {string} [options.key] - Output field, 'sma<period>' by default.
+ */
+export const withSMA = (data, { period = 20, source = 'price', key = `sma${period}` } = {}) =>
+  annotate(data, { [key]: { values: sma(pluck(data, source), period) } });
+
+/**
+ * Adds an EMA to every point. The first `period` values after the seed are
+ * flagged as warm-up, while the seed still weighs noticeably on them.
+ *
+ * @param {Array} data - Chart points.
+ * @param {Object} [options]
+ * @param {number} [options.period]
+ * @param {string} [options.source] - Field to average.
+ * @param {string} [options.key] - Output field, 'ema<period>' by default.
+ * @param {number} [options.warmup] - Values flagged after the seed, defaults to `period`.
+ */
+export const withEMA = (data, { period = 20, source = 'price', key = `ema${period}`, warmup = period } = {}) =>
+  annotate(data, { [key]: { values: ema(pluck(data, source), period), warmup } });
+
+/**
+ * Recomputes only the newest point's EMA, which is all a live trade can
+ * change. Falls back to withEMA while the previous point has no value.
+ * Takes the same options as withEMA.
+ */
+export const updateLatestEMA = (data, options = {}) => {
+  const { period = 20, source = 'price', key = `ema${period}`, warmup = period } = options;
+  const previous = data[data.length - 2];
+  if (!previous || previous[key] === null || previous[key] === undefined) {
+    return withEMA(data, options);
+  }
+
+  const multiplier = 2 / (period + 1);
+  const index = data.length - 1;
+  const latest = data[index];
+  const value = (latest[source] - previous[key]) * multiplier + previous[key];
+
+  // Warm-up ends at a fixed index, so only a point after a flagged one can still be in it
+  const readyAt = firstValueIndex(pluck(data.slice(0, -1), key)) + warmup;
+  const inWarmup = Boolean(previous[warmupKey(key)]) && index < readyAt;
+
+  return [...data.slice(0, -1), { ...latest, [key]: value, [warmupKey(key)]: inWarmup }];
+};
+
+/**
+ * Moving Average Convergence Divergence: the fast EMA minus the slow EMA,
+ * an EMA of that difference as the signal line, and their gap as the histogram.
+ *
+ * @param {number[]} values
+ * @param {Object} [options] - { fast, slow, signal } periods.
+ * @returns {Object} { macd, signal, histogram }, each null until computable.
+ */
+export const macd = (values, { fast = 12, slow = 26, signal = 9 } = {}) => {
+  const fastEMA = ema(values, fast);
+  const slowEMA = ema(values, slow);
+  const line = values.map((_, i) => (fastEMA[i] === null || slowEMA[i] === null ? null : fastEMA[i] - slowEMA[i]));
+
+  // The signal EMA starts where the MACD line does
+  const signalLine = fromFirstValue(line, values => ema(values, signal));
+  const histogram = line.map((value, i) => (value === null || signalLine[i] === null ? null : value - signalLine[i]));
+
+  return { macd: line, signal: signalLine, histogram };
+};
+
+const MACD_KEYS = { macd: 'macd', signal: 'macdSignal', histogram: 'macdHistogram' };
+
+/**
+ * Adds MACD line, signal and histogram to every point. All three are
+ * flagged as warm-up for `slow` values after they first appear.
+ *
+ * @param {Array} data - Chart points.
+ * @param {Object} [options]
+ * @param {number} [options.fast]
+ * @param {number} [options.slow]
+ * @param {number} [options.signal]
+ * @param {string} [options.source]
+ * @param {Object} [options.keys] - Output fields: { macd, signal, histogram }.
+ */
+export const withMACD = (data, { fast = 12, slow = 26, signal = 9, source = 'price', keys = {} } = {}) => {
+  const result = macd(pluck(data, source), { fast, slow, signal });
+  const names = { ...MACD_KEYS, ...keys };
+
+  return annotate(data, {
+    [names.macd]: { values: result.macd, warmup: slow },
+    [names.signal]: { values: result.signal, warmup: slow },
+    [names.histogram]: { values: result.histogram, warmup: slow }
+  });
+};
+
+/**
+ * Average Directional Index with the +DI/-DI lines it is built from, all
+ * using Wilder's smoothing. +DI and -DI say which side is pushing harder,
+ * ADX how strongly the market trends regardless of direction.
+ *
+ * @param {Array} candles - Points with high, low and close.
+ * @param {number} period
+ * @returns {Object} { adx, plusDI, minusDI }. The DI lines start at `period`,
+ *   ADX averages `period` DX values more and starts at 2 * period - 1.
+ */
+export const adx = (candles, period = 14) => {
+  const length = candles.length;
+  const plusDI = new Array(length).fill(null);
+  const minusDI = new Array(length).fill(null);
+  const adxLine = new Array(length).fill(null);
+  if (length <= period) return { adx: adxLine, plusDI, minusDI };
+
+  let smoothedTR = 0;
+  let smoothedPlus = 0;
+  let smoothedMinus = 0;
+  let adxAverage = 0;
+  const dxValues = [];
+
+  for (let i = 1; i < length; i++) {
+    const { high, low } = candles[i];
+    const previous = candles[i - 1];
+    const upMove = high - previous.high;
+    const downMove = previous.low - low;
+    const plusDM = upMove > downMove && upMove > 0 ? upMove : 0;
+    const minusDM = downMove > upMove && downMove > 0 ? downMove : 0;
+    const trueRange = Math.max(high - low, Math.abs(high - previous.close), Math.abs(low - previous.close));
+
+    // Wilder sums: plain totals over the first period, then decayed
+    if (i <= period) {
+      smoothedTR += trueRange;
+      smoothedPlus += plusDM;
+      smoothedMinus += minusDM;
+      if (i < period) continue;
+    } else {
+      smoothedTR = smoothedTR - smoothedTR / period + trueRange;
+      smoothedPlus = smoothedPlus - smoothedPlus / period + plusDM;
+      smoothedMinus = smoothedMinus - smoothedMinus / period + minusDM;
+    }
+
+    plusDI[i] = smoothedTR === 0 ? 0 : (100 * smoothedPlus) / smoothedTR;
+    minusDI[i] = smoothedTR === 0 ? 0 : (100 * smoothedMinus) / smoothedTR;
+    const diSum = plusDI[i] + minusDI[i];
+    const dx = diSum === 0 ? 0 : (100 * Math.abs(plusDI[i] - minusDI[i])) / diSum;
+
+    if (dxValues.length < period) {
+      dxValues.push(dx);
+      if (dxValues.length === period) {
+        adxAverage = dxValues.reduce((sum, value) => sum + value, 0) / period;
+        adxLine[i] = adxAverage;
+      }
+    } else {
+      adxAverage = (adxAverage * (period - 1) + dx) / period;
+      adxLine[i] = adxAverage;
+    }
+  }
+
+  return { adx: adxLine, plusDI, minusDI };
+};
+
+const ADX_KEYS = { adx: 'adx', plusDI: 'plusDI', minusDI: 'minusDI' };
+
+/**
+ * Adds ADX, +DI and -DI to every point, each flagged as warm-up for
+ * `period` values after it first appears.
+ *
+ * @param {Array} data - Chart points.
+ * @param {Object} [options]
+ * @param {number} [options.period]
+ * @param {Object} [options.keys] - Output fields: { adx, plusDI, minusDI }.
+ */
+export const withADX = (data, { period = 14, keys = {} } = {}) => {
+  const result = adx(toHLC(data), period);
+  const names = { ...ADX_KEYS, ...keys };
+
+  return annotate(data, {
+    [names.adx]: { values: result.adx, warmup: period },
+    [names.plusDI]: { values: result.plusDI, warmup: period },
+    [names.minusDI]: { values: result.minusDI, warmup: period }
+  });
+};
@@ -0,0 +1,103 @@
+// Volatility measures.
+
+import { annotate, pluck, toHLC } from './shared';
+import { sma } from './trend';
+
+/**
+ * Bollinger Bands: an SMA with bands `stdDev` population standard
+ * deviations above and below it. Bandwidth is the band spread relative to
+ * the middle band.
+ *
+ * @param {number[]} values
+ * @param {Object} [options] - { period, stdDev }.
+ * @returns {Object} { middle, upper, lower, bandwidth }, each null until computable.
+ */
+export const bollinger = (values, { period = 20, stdDev = 2 } = {}) => {
+  const middle = sma(values, period);
+  const upper = new Array(values.length).fill(null);
+  const lower = new Array(values.length).fill(null);
+  const bandwidth = new Array(values.length).fill(null);
+
+  for (let i = period - 1; i < values.length; i++) {
+    const recent = values.slice(i - period + 1, i + 1);
+    const variance = recent.reduce((sum, value) => sum + (value - middle[i]) ** 2, 0) / period;
+    const offset = stdDev * Math.sqrt(variance);
+
+    upper[i] = middle[i] + offset;
+    lower[i] = middle[i] - offset;
+    bandwidth[i] = middle[i] === 0 ? null : (upper[i] - lower[i]) / middle[i];
+  }
+
+  return { middle, upper, lower, bandwidth };
+};
+
+const BOLLINGER_KEYS = { middle: 'bbMiddle', upper: 'bbUpper', lower: 'bbLower', bandwidth: 'bbBandwidth' };
+
+/**
+ * Adds Bollinger Bands to every point. Like the SMA they rest on, they need
+ * no warm-up.
+ *
+ * @param {Array} data - Chart points.
+ * @param {Object} [options]
+ * @param {number} [options.period]
+ * @param {number} [options.stdDev]
+ * @param {string} [options.source]
+ * @param {Object} [options.keys] - Output fields: { middle, upper, lower, bandwidth }.
+ */
+export const withBollinger = (data, { period = 20, stdDev = 2, source = 'price', keys = {} } = {}) => {
+  const result = bollinger(pluck(data, source), { period, stdDev });
+  const names = { ...BOLLINGER_KEYS, ...keys };
+
+  return annotate(data, {
+    [names.middle]: { values: result.middle },
+    [names.upper]: { values: result.upper },
+    [names.lower]: { values: result.lower },
+    [names.bandwidth]: { values: result.bandwidth }
+  });
+};
+
+/**
+ * Average True Range with Wilder's smoothing. The true range of a bar is its
+ * high-low range widened to include the previous close.
+ *
+ * @param {Array} candles - Points with high, low and close.
+ * @param {number} period
+ * @returns {Array<number|null>} null for the first `period` values.
+ */
+export const atr = (candles, period = 14) => {
+  const result = new Array(candles.length).fill(null);
+  if (candles.length <= period) return result;
+
+  const trueRange = (i) => {
+    const { high, low } = candles[i];
+    const previousClose = candles[i - 1].close;
+    return Math.max(high - low, Math.abs(high - previousClose), Math.abs(low - previousClose));
+  };
+
+  let average = 0;
+  for (let i = 1; i <= period; i++) average += trueRange(i);
+  average /= period;
+  result[period] = average;
+
+  for (let i = period + 1; i < candles.length; i++) {
+    average = (average * (period - 1) + trueRange(i)) / period;
+    result[i] = average;
+  }
+
+  return result;
+};
+
+/**
+ * Adds an ATR to every point, flagged as warm-up for `period` values after
+ * the first. Points without high/low (e.g. interpolated ones) count as a
+ * bar that only traded at its price.
+ *
+ * @param {Array} data - Chart points.
+ * @param {Object} [options]
+ * @param {number} [options.period]
+ * @param {string} [options.key] - Output field.
+ * @param {number} [options.warmup]
+ */
+export const withATR = (data, { period = 14, key = 'atr', warmup = period } = {}) => {
+  return annotate(data, { [key]: { values: atr(toHLC(data), period), warmup } });
+};
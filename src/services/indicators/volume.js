@@ -0,0 +1,107 @@
+// Volume-based indicators. Series without volume (forex, some indexes)
+// leave VWAP null and OBV flat.
+
+import { annotate } from './shared';
+
+const typicalPrice = (point) => {
+  const close = point.close ?? point.price;
+  return ((point.high ?? close) + (point.low ?? close) + close) / 3;
+};
+
+// UTC calendar day of a bar; US equity sessions fall within one
+const sessionOf = (point) => point.time.slice(0, 10);
+
+/**
+ * On-Balance Volume: running total that adds a bar's volume when it closes
+ * up and subtracts it when it closes down.
+ *
+ * @param {Array} data - Points with price and volume.
+ * @returns {number[]}
+ */
+export const obv = (data) => {
+  const result = new Array(data.length).fill(null);
+  if (data.length === 0) return result;
+
+  result[0] = 0;
+  for (let i = 1; i < data.length; i++) {
+    const change = data[i].price - data[i - 1].price;
+    const volume = data[i].volume || 0;
+    result[i] = result[i - 1] + (change > 0 ? volume : change < 0 ? -volume : 0);
+  }
+
+  return result;
+};
+
+/**
+ * Volume-weighted average of the typical price from `start` onwards,
+ * restarting whenever `resetAt(i)` is true.
+ *
+ * @returns {Array<number|null>} null before `start` and while no volume has traded.
+ */
+const cumulativeVWAP = (data, start, resetAt = () => false) => {
+  const result = new Array(data.length).fill(null);
+  let priceVolume = 0;
+  let volume = 0;
+
+  for (let i = Math.max(start, 0); i < data.length; i++) {
+    if (i > start && resetAt(i)) {
+      priceVolume = 0;
+      volume = 0;
+    }
+    priceVolume += typicalPrice(data[i]) * (data[i].volume || 0);
+    volume += data[i].volume || 0;
+    result[i] = volume > 0 ? priceVolume / volume : null;
+  }
+
+  return result;
+};
+
+/**
+ * Session VWAP, restarting at the first bar of each UTC day. Only
+ * meaningful on intraday intervals.
+ *
+ * @param {Array} data - Points with time, high, low, close and volume.
+ * @returns {Array<number|null>}
+ */
+export const vwap = (data) =>
+  cumulativeVWAP(data, 0, i => sessionOf(data[i]) !== sessionOf(data[i - 1]));
+
+/**
+ * VWAP accumulated from an anchor bar onwards.
+ *
+ * @param {Array} data
+ * @param {number} anchorIndex
+ * @returns {Array<number|null>} null before the anchor.
+ */
+export const anchoredVWAP = (data, anchorIndex) =>
+  anchorIndex < 0 || anchorIndex >= data.length ? new Array(data.length).fill(null) : cumulativeVWAP(data, anchorIndex);
+
+/**
+ * Adds On-Balance Volume to every point.
+ *
+ * @param {Array} data
+ * @param {Object} [options] - { key }.
+ */
+export const withOBV = (data, { key = 'obv' } = {}) => annotate(data, { [key]: { values: obv(data) } });
+
+/**
+ * Adds session VWAP to every point.
+ *
+ * @param {Array} data
+ * @param {Object} [options] - { key }.
+ */
+export const withVWAP = (data, { key = 'vwap' } = {}) => annotate(data, { [key]: { values: vwap(data) } });
+
+/**
+ * Adds a VWAP anchored at the first bar at or after `anchorTime`. Anchoring
+ * by time keeps the anchor in place when new bars arrive.
+ *
+ * @param {Array} data
+ * @param {Object} options
+ * @param {string} options.anchorTime - ISO time of the anchor bar.
+ * @param {string} [options.key]
+ */
+export const withAnchoredVWAP = (data, { anchorTime, key = 'anchoredVwap' }) => {
+  const anchorIndex = data.findIndex(point => point.time >= anchorTime);
+  return annotate(data, { [key]: { values: anchoredVWAP(data, anchorIndex) } });
+};
@@ -0,0 +1,57 @@
+// Trading calendars, used to tell a real hole from a closed market and to
+// line aggregated bars up with the session.
+
+export const CALENDAR = {
+  ALWAYS: '24x7', // Crypto
+  WEEKDAYS: '24x5', // Forex and metals
+  EQUITY: 'equity' // US equities, 9:30-16:00 New York time
+};
+
+const EQUITY_OPEN = 9 * 60 + 30; // Minutes after midnight, New York time
+const EQUITY_CLOSE = 16 * 60;
+
+const CRYPTO_BASES = ['BTC', 'ETH', 'SOL', 'XRP', 'DOGE', 'LTC'];
+
+export const getMarketCalendar = (symbol) => {
+  if (!symbol.includes('/')) return CALENDAR.EQUITY;
+  return CRYPTO_BASES.includes(symbol.split('/')[0]) ? CALENDAR.ALWAYS : CALENDAR.WEEKDAYS;
+};
+
+const newYorkFormatter = new Intl.DateTimeFormat('en-US', {
+  timeZone: 'America/New_York',
+  weekday: 'short',
+  hour: '2-digit',
+  minute: '2-digit',
+  hourCycle: 'h23'
+});
+
+const getNewYorkTime = (timestamp) => {
+  const parts = Object.fromEntries(newYorkFormatter.formatToParts(timestamp).map(part => [part.type, part.value]));
+  return { weekday: parts.weekday, minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10) };
+};
+
+export const isWeekend = (weekday) => weekday === 'Sat' || weekday === 'Sun';
+
+export const isOpenAt = (calendar, timestamp) => {
+  if (calendar === CALENDAR.ALWAYS) return true;
+  if (calendar === CALENDAR.WEEKDAYS) {
+    return !isWeekend(new Date(timestamp).toUTCString().slice(0, 3));
+  }
+  const { weekday, minutes } = getNewYorkTime(timestamp);
+  return !isWeekend(weekday) && minutes >= EQUITY_OPEN && minutes < EQUITY_CLOSE;
+};
+
+/**
+ * The open of the trading session a timestamp falls on, in ms, or null for
+ * markets that trade around the clock (their sessions follow UTC days).
+ *
+ * @param {string} calendar - From getMarketCalendar.
+ * @param {number} timestamp - In ms.
+ * @returns {?number}
+ */
+export const getSessionOpen = (calendar, timestamp) => {
+  if (calendar !== CALENDAR.EQUITY) return null;
+  const { minutes } = getNewYorkTime(timestamp);
+  const startOfMinute = timestamp - (timestamp % 60000);
+  return startOfMinute - (minutes - EQUITY_OPEN) * 60000;
+};
@@ -0,0 +1,220 @@
+// Parameter optimizer: searches a mode's signal thresholds for one symbol
+// over stored candles, with walk-forward validation. The history is cut into
+// rolling folds of an in-sample (train) window followed by an out-of-sample
+// (test) window. Candidates are ranked on their train windows only; the test
+// windows, chained in time order, show how a set held up on bars it was not
+// picked on.
+
+import { syncSeries } from './syncEngine';
+import { PRIORITY } from './providers';
+import { prepareBacktestData, simulateBacktest, summarizeBacktest, BACKTEST_DEFAULTS } from './backtest';
+import { getRuleSet, validateModeParams } from './rules';
+import { sleep } from './providers/shared';
+
+// Values tried for each searched param; every other param keeps the base mode's
+export const OPTIMIZER_SPACE = {
+  rsiOverbought: [65, 70, 75, 80],
+  rsiOversold: [20, 25, 30, 35],
+  divergenceThreshold: [20, 30, 40, 50],
+  priceMoveMin: [0.0005, 0.001, 0.002],
+  emaMoveMin: [0.001, 0.002, 0.003]
+};
+
+export const OPTIMIZER_OBJECTIVES = [
+  { value: 'returnOverDrawdown', label: 'Return / drawdown' },
+  { value: 'totalReturn', label: 'Total return' },
+  { value: 'profitFactor', label: 'Profit factor' }
+];
+
+export const OPTIMIZER_DEFAULTS = {
+  method: 'random', // 'grid' tries every combination of OPTIMIZER_SPACE
+  samples: 60, // Combinations a random search tries
+  folds: 4,
+  trainBlocks: 3, // Train windows are this many times longer than test windows
+  objective: 'returnOverDrawdown',
+  minTrades: 3, // Train windows with fewer trades don't count as a result
+  top: 5
+};
+
+// Bars kept before the first train window as indicator history
+const WARMUP_BARS = 50;
+
+// Test windows shorter than this can't say much
+const MIN_WINDOW_BARS = 20;
+
+/**
+ * Every combination of the OPTIMIZER_SPACE values.
+ *
+ * @returns {Array<Object>} Partial params.
+ */
+export const parameterGrid = () =>
+  Object.entries(OPTIMIZER_SPACE).reduce(
+    (combinations, [key, values]) => combinations.flatMap(params => values.map(value => ({ ...params, [key]: value }))),
+    [{}]
+  );
+
+// Distinct grid points in random order
+const sampleGrid = (grid, count) => {
+  const shuffled = [...grid];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled.slice(0, count);
+};
+
+/**
+ * Rolling walk-forward windows over bar indices. Each fold trains on
+ * `trainBlocks` blocks and tests on the block right after them; the next
+ * fold moves on by one block, so the test windows don't overlap.
+ *
+ * @param {number} length - Bars in the series.
+ * @param {Object} options - { folds, trainBlocks, warmup }
+ * @returns {Array} [{ train: { start, end }, test: { start, end } }], empty when the series is too short.
+ */
+export const walkForwardSplits = (length, { folds, trainBlocks, warmup }) => {
+  const block = Math.floor((length - warmup) / (folds + trainBlocks));
+  if (block < MIN_WINDOW_BARS) return [];
+
+  return Array.from({ length: folds }, (_, fold) => {
+    const trainStart = warmup + fold * block;
+    const testStart = trainStart + trainBlocks * block;
+    return { train: { start: trainStart, end: testStart }, test: { start: testStart, end: testStart + block } };
+  });
+};
+
+const scoreOf = (summary, objective, minTrades) => {
+  if (summary.trades < minTrades) return -Infinity;
+  if (objective === 'totalReturn') return summary.totalReturn;
+  if (objective === 'profitFactor') return Math.min(summary.profitFactor ?? 0, 10); // Infinity would beat every real result
+  return summary.totalReturn / Math.max(summary.maxDrawdown, 1);
+};
+
+// One account traded through consecutive windows: each window starts with
+// the equity the previous one ended on
+const chainRuns = (runs, initialCapital) => {
+  let scale = 1;
+  const trades = [];
+  const equity = [];
+  runs.forEach(run => {
+    run.trades.forEach(trade => trades.push({ ...trade, pnl: trade.pnl * scale }));
+    run.equity.forEach(point => equity.push({ ...point, equity: point.equity * scale }));
+    scale *= run.summary.finalEquity / initialCapital;
+  });
+
+  const buyAndHold = runs.reduce((factor, run) => factor * (1 + (run.summary.buyAndHold ?? 0) / 100), 1);
+  return { ...summarizeBacktest(trades, equity, initialCapital, []), buyAndHold: (buyAndHold - 1) * 100 };
+};
+
+/**
+ * Backtests one param set on every fold.
+ *
+ * @returns {Object} { params, ruleSet, folds: [{ score, train, test }], inSample, outOfSample }
+ */
+const evaluateCandidate = (data, base, params, splits, options) => {
+  const { objective, minTrades, ...backtestOptions } = options;
+  const ruleSet = { ...base, id: 'optimizer_candidate', params: { ...base.params, ...params } };
+  const simulate = ({ start, end }) => simulateBacktest(data, { ...backtestOptions, mode: ruleSet, start, end });
+
+  const folds = splits.map(split => {
+    const train = simulate(split.train);
+    return { score: scoreOf(train.summary, objective, minTrades), train: train.summary, test: simulate(split.test) };
+  });
+
+  const average = (pick) => folds.reduce((sum, fold) => sum + pick(fold), 0) / folds.length;
+  return {
+    params: ruleSet.params,
+    ruleSet,
+    folds,
+    inSample: {
+      score: average(fold => fold.score),
+      totalReturn: average(fold => fold.train.totalReturn),
+      trades: folds.reduce((sum, fold) => sum + fold.train.trades, 0)
+    },
+    outOfSample: chainRuns(folds.map(fold => fold.test), backtestOptions.initialCapital)
+  };
+};
+
+// Results kept for the report; the per-fold runs are only needed while ranking
+const toReport = ({ params, ruleSet, inSample, outOfSample }) => ({ params, ruleSet, inSample, outOfSample });
+
+/**
+ * Searches parameter sets for one symbol and mode with walk-forward validation.
+ *
+ * @param {string} providerId
+ * @param {string} symbol
+ * @param {Object} options
+ * @param {string} options.interval
+ * @param {number} options.bars - History to load through syncSeries.
+ * @param {string} options.mode - Rule set id whose rules and other params are kept.
+ * @param {string} [options.method] - 'grid' or 'random'.
+ * @param {number} [options.samples]
+ * @param {number} [options.folds]
+ * @param {number} [options.trainBlocks]
+ * @param {string} [options.objective] - One of OPTIMIZER_OBJECTIVES.
+ * @param {number} [options.minTrades]
+ * @param {number} [options.top] - Candidates to report.
+ * @param {function(Object): void} [onProgress] - Receives { current, total }.
+ * @returns {Promise<Object>} { symbol, interval, bars, tested, windows, candidates, baseline, walkForward }
+ * @throws {Error} When the history is too short for the folds or there is no parameter set to test.
+ */
+export const optimizeParameters = async (providerId, symbol, options, onProgress = () => {}) => {
+  const {
+    interval, bars, mode, method, samples, folds, trainBlocks, objective, minTrades, top, ...backtestOptions
+  } = { ...OPTIMIZER_DEFAULTS, ...options };
+  const base = getRuleSet(mode);
+
+  const { candles } = await syncSeries(providerId, symbol, interval, { bars, priority: PRIORITY.USER });
+  const data = prepareBacktestData(candles, base);
+  const splits = walkForwardSplits(data.length, { folds, trainBlocks, warmup: Math.max(WARMUP_BARS, base.params.emaPeriod) });
+  if (splits.length === 0) {
+    throw new Error(`${candles.length} bars are too few for ${folds} walk-forward folds`);
+  }
+
+  const grid = parameterGrid().filter(params => validateModeParams({ ...base.params, ...params }).length === 0);
+  const searched = method === 'grid' ? grid : sampleGrid(grid, samples);
+  if (grid.length === 0) {
+    throw new Error(`No parameter set in the search space is valid with ${base.label}'s other params`);
+  }
+  if (searched.length === 0) {
+    throw new Error(`At least one parameter set must be sampled, got ${samples}`);
+  }
+  const evaluateOptions = { ...BACKTEST_DEFAULTS, ...backtestOptions, objective, minTrades };
+
+  const baseline = evaluateCandidate(data, base, {}, splits, evaluateOptions);
+  const results = [];
+  for (let i = 0; i < searched.length; i++) {
+    onProgress({ current: i, total: searched.length });
+    results.push(evaluateCandidate(data, base, searched[i], splits, evaluateOptions));
+    // Hand the main thread back between candidates so the page stays responsive
+    await sleep(0);
+  }
+  onProgress({ current: searched.length, total: searched.length });
+
+  // Walk-forward proper: each fold trades its test window with the set that
+  // did best on its own train window
+  const chosen = splits.map((_, fold) => results.reduce((best, result) =>
+    result.folds[fold].score > best.folds[fold].score ? result : best
+  ));
+  const walkForward = chainRuns(chosen.map((result, fold) => result.folds[fold].test), evaluateOptions.initialCapital);
+
+  const ranked = [...results].sort((a, b) => b.inSample.score - a.inSample.score);
+  console.log(`Optimized ${base.id} on ${symbol} ${interval}: ${searched.length} sets, ${splits.length} folds`);
+
+  return {
+    symbol,
+    interval,
+    bars: candles.length,
+    tested: searched.length,
+    windows: splits.map((split, fold) => ({
+      trainFrom: data[split.train.start].time,
+      testFrom: data[split.test.start].time,
+      testTo: data[split.test.end - 1].time,
+      params: chosen[fold].params,
+      outOfSample: chosen[fold].folds[fold].test.summary
+    })),
+    candidates: ranked.slice(0, top).map(toReport),
+    baseline: toReport(baseline),
+    walkForward
+  };
+};
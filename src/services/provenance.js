@@ -0,0 +1,73 @@
+// Data provenance: every chart point carries a `source` saying where it came from,
+// so fabricated data can be badged and kept out of signal calculations.
+
+export const DATA_SOURCE = {
+  LIVE: 'live', // Returned by a provider API
+  STORED: 'stored', // Read back from locally stored snapshots
+  INTERPOLATED: 'interpolated', // Derived from neighbouring real points (e.g. a bar carried forward)
+  SYNTHETIC: 'synthetic' // Generated with no market data behind it
+};
+
+export const SOURCE_INFO = {
+  [DATA_SOURCE.LIVE]: { label: 'Live API', color: '#10b981' },
+  [DATA_SOURCE.STORED]: { label: 'Stored snapshot', color: '#3b82f6' },
+  [DATA_SOURCE.INTERPOLATED]: { label: 'Interpolated', color: '#f59e0b' },
+  [DATA_SOURCE.SYNTHETIC]: { label: 'Synthetic', color: '#ef4444' }
+};
+
+// Ordered from most to least trustworthy
+export const SOURCE_RANK = [DATA_SOURCE.LIVE, DATA_SOURCE.STORED, DATA_SOURCE.INTERPOLATED, DATA_SOURCE.SYNTHETIC];
+
+const STRICT_MODE_KEY = 'analike_strict_mode';
+
+/**
+ * Returns copies of the points tagged with a source.
+ */
+export const tagSource = (points, source) => points.map(point => ({ ...point, source }));
+
+export const isRealSource = (source) => source === DATA_SOURCE.LIVE || source === DATA_SOURCE.STORED;
+
+/**
+ * Summarizes where a series came from.
+ *
+ * @param {Array} points - Chart points with a `source` field.
+ * @returns {Object} { counts, source, isReal } where source is the least trustworthy source present.
+ */
+export const summarizeProvenance = (points) => {
+  const counts = {};
+  points.forEach(point => {
+    const source = point.source || DATA_SOURCE.SYNTHETIC;
+    counts[source] = (counts[source] || 0) + 1;
+  });
+
+  const present = SOURCE_RANK.filter(source => counts[source]);
+  const source = present[present.length - 1] || DATA_SOURCE.SYNTHETIC;
+
+  return {
+    counts,
+    source,
+    isReal: present.length > 0 && present.every(isRealSource)
+  };
+};
+
+/**
+ * In strict mode signals are only computed when every point is real data.
+ */
+export const canComputeSignals = (points, strict) =>
+  !strict || summarizeProvenance(points).isReal;
+
+export const isStrictMode = () => {
+  try {
+    return localStorage.getItem(STRICT_MODE_KEY) === 'true';
+  } catch {
+    return false;
+  }
+};
+
+export const setStrictMode = (enabled) => {
+  try {
+    localStorage.setItem(STRICT_MODE_KEY, enabled ? 'true' : 'false');
+  } catch (error) {
+    console.error('Error saving strict mode:', error);
+  }
+};
@@ -0,0 +1,257 @@
+import axios from 'axios';
+import { createResponseCache, createDeduplicator, createRateLimiter, createDailyUsageCounter } from './shared';
+import { createRequestScheduler, PRIORITY } from './scheduler';
+import { DATA_SOURCE } from '../provenance';
+import { DataError, ERROR_KIND, toDataError } from '../errors';
+import { INTERVAL_MS, isIntradayInterval, aggregateCandles } from '../candles';
+import { getMarketCalendar, getSessionOpen } from '../marketCalendar';
+
+// Requests go through our /api proxy, which adds the API key server-side
+const BASE_URL = '/api/finnhub';
+
+// Finnhub's trade stream authenticates with the key in the URL, so it can't be
+// proxied through a serverless function. Streaming is only offered when
+// VITE_FINNHUB_WS_URL names a relay (or the local replay server).
+const STREAM_URL = import.meta.env.VITE_FINNHUB_WS_URL || null;
+
+// Rate limiting and caching configuration
+const RATE_LIMIT = {
+  MAX_CALLS_PER_MINUTE: 30, // Finnhub free tier: 30 calls/minute
+  MAX_CALLS_PER_DAY: 1000,
+  MIN_INTERVAL: 2000, // 2 seconds between calls (safe margin)
+  CACHE_DURATION: 60000 // 1 minute cache
+};
+
+// Finnhub candle resolutions keyed by our interval names
+const RESOLUTIONS = {
+  '1min': '1',
+  '5min': '5',
+  '15min': '15',
+  '30min': '30',
+  '60min': '60',
+  '1day': 'D',
+  '1week': 'W',
+  '1month': 'M'
+};
+
+// Finnhub has no 4h resolution, so those bars are built from 60-minute candles
+const AGGREGATED_INTERVALS = {
+  '4h': '60min'
+};
+
+// Markets trade ~6.5 of 24 hours on weekdays only, so intraday requests need a
+// wider calendar window than bars * bar length to return enough bars
+const INTRADAY_WINDOW_FACTOR = 5;
+
+const cache = createResponseCache({ ttl: RATE_LIMIT.CACHE_DURATION });
+const deduplicate = createDeduplicator();
+const usage = createDailyUsageCounter('finnhub_api_calls');
+const rateLimiter = createRateLimiter({
+  name: 'finnhub',
+  maxCallsPerMinute: RATE_LIMIT.MAX_CALLS_PER_MINUTE,
+  minInterval: RATE_LIMIT.MIN_INTERVAL,
+  usage
+});
+const scheduler = createRequestScheduler({
+  id: 'finnhub',
+  name: 'Finnhub',
+  rateLimiter,
+  usage,
+  perMinute: RATE_LIMIT.MAX_CALLS_PER_MINUTE,
+  perDay: RATE_LIMIT.MAX_CALLS_PER_DAY
+});
+
+const request = async (path, params, { timeout = 10000, priority = PRIORITY.USER } = {}) => {
+  await scheduler.acquire(priority);
+
+  try {
+    const response = await axios.get(`${BASE_URL}${path}`, {
+      params,
+      timeout,
+      headers: {
+        'Accept': 'application/json'
+      }
+    });
+
+    return response.data;
+  } catch (error) {
+    throw toDataError(error, { provider: 'finnhub', symbol: params.symbol });
+  }
+};
+
+/**
+ * Fetches the current quote for a symbol from /quote.
+ *
+ * @param {string} symbol - The stock symbol (e.g., 'AAPL').
+ * @param {Object} [options]
+ * @param {number} [options.priority] - A PRIORITY class; defaults to USER.
+ * @returns {Promise<Object>} The normalized quote.
+ */
+const getQuote = async (symbol, { priority } = {}) => {
+  const cacheKey = `${symbol}_quote`;
+  const cachedData = cache.get(cacheKey);
+  if (cachedData) {
+    return cachedData;
+  }
+
+  return deduplicate(cacheKey, async () => {
+    console.log('Fetching current price for:', symbol);
+    const data = await request('/quote', { symbol }, { priority });
+
+    // Finnhub answers unknown symbols with an all-zero quote
+    if (!data || !data.c) {
+      throw new DataError(ERROR_KIND.INVALID_SYMBOL, `No quote available for ${symbol}`, { provider: 'finnhub', symbol });
+    }
+
+    const result = {
+      symbol,
+      currentPrice: data.c,
+      change: data.d,
+      changePercent: data.dp,
+      high: data.h,
+      low: data.l,
+      open: data.o,
+      previousClose: data.pc,
+      lastUpdated: new Date().toISOString()
+    };
+
+    cache.set(cacheKey, result);
+    return result;
+  });
+};
+
+/**
+ * Where a series' bars are anchored, see aggregateCandles: bars we aggregate
+ * ourselves start at the session open, Finnhub's own bars on UTC boundaries.
+ */
+const getSessionOpenFor = (symbol, interval) => {
+  if (!AGGREGATED_INTERVALS[interval]) return () => null;
+  const calendar = getMarketCalendar(symbol);
+  return timestamp => getSessionOpen(calendar, timestamp);
+};
+
+/**
+ * Fetches OHLCV candles from /stock/candle.
+ *
+ * @param {string} symbol - The stock symbol.
+ * @param {string} interval - One of capabilities.intervals.
+ * @param {Object} [options]
+ * @param {number} [options.outputSize] - Number of bars to request.
+ * @param {number} [options.from] - Range start in ms; with `to`, requests that exact window.
+ * @param {number} [options.to] - Range end in ms.
+ * @param {number} [options.priority] - A PRIORITY class; defaults to USER.
+ * @returns {Promise<Object>} The normalized candle series.
+ */
+const getCandles = async (symbol, interval = '1day', { outputSize = 100, from, to, priority } = {}) => {
+  const baseInterval = AGGREGATED_INTERVALS[interval] || interval;
+  const resolution = RESOLUTIONS[baseInterval];
+  if (!resolution) {
+    throw new DataError(ERROR_KIND.NO_DATA, `Interval ${interval} is not supported by Finnhub`, { provider: 'finnhub', symbol });
+  }
+
+  const isRange = from !== undefined && to !== undefined;
+  const cacheKey = isRange
+    ? `${symbol}_${interval}_${from}_${to}`
+    : `${symbol}_${interval}_${outputSize}`;
+  const cachedData = cache.get(cacheKey);
+  if (cachedData) {
+    return cachedData;
+  }
+
+  return deduplicate(cacheKey, async () => {
+    const windowFactor = isIntradayInterval(interval) ? INTRADAY_WINDOW_FACTOR : 1;
+    const toSeconds = isRange ? Math.floor(to / 1000) : Math.floor(Date.now() / 1000);
+    const fromSeconds = isRange
+      ? Math.floor(from / 1000)
+      : toSeconds - Math.ceil(outputSize * windowFactor * INTERVAL_MS[interval] / 1000);
+
+    console.log('Fetching historical data for:', symbol, 'interval:', interval, 'resolution:', resolution);
+    const data = await request('/stock/candle', { symbol, resolution, from: fromSeconds, to: toSeconds }, { timeout: 15000, priority });
+
+    // 'no_data' is a valid answer for a range with no trading (e.g. a holiday)
+    if (isRange && data?.s === 'no_data') {
+      return { symbol, interval, candles: [], lastUpdated: new Date().toISOString(), meta: { provider: 'finnhub', resolution } };
+    }
+
+    if (!data || data.s !== 'ok' || !data.c) {
+      throw new DataError(ERROR_KIND.NO_DATA, `No historical data available for ${symbol}`, { provider: 'finnhub', symbol });
+    }
+
+    let candles = data.t.map((timestamp, index) => ({
+      time: new Date(timestamp * 1000).toISOString(),
+      open: data.o[index],
+      high: data.h[index],
+      low: data.l[index],
+      close: data.c[index],
+      price: data.c[index],
+      volume: data.v[index] || 0,
+      source: DATA_SOURCE.LIVE
+    }));
+
+    if (baseInterval !== interval) {
+      candles = aggregateCandles(candles, INTERVAL_MS[interval], getSessionOpenFor(symbol, interval));
+    }
+
+    const result = {
+      symbol,
+      interval,
+      candles: isRange ? candles : candles.slice(-outputSize),
+      lastUpdated: new Date().toISOString(),
+      meta: { provider: 'finnhub', resolution, aggregatedFrom: baseInterval !== interval ? baseInterval : null }
+    };
+
+    cache.set(cacheKey, result);
+    return result;
+  });
+};
+
+/**
+ * Searches symbols via /search.
+ *
+ * @param {string} query - Free text, e.g. 'apple'.
+ * @returns {Promise<Array>} Matches as { symbol, name, exchange, type }.
+ */
+const searchSymbols = async (query) => {
+  const cacheKey = `search_${query.toLowerCase()}`;
+  const cachedData = cache.get(cacheKey);
+  if (cachedData) {
+    return cachedData;
+  }
+
+  return deduplicate(cacheKey, async () => {
+    const data = await request('/search', { q: query });
+    const results = (data?.result || []).map(item => ({
+      symbol: item.symbol,
+      name: item.description,
+      exchange: null,
+      type: item.type
+    }));
+
+    cache.set(cacheKey, results);
+    return results;
+  });
+};
+
+export const finnhubProvider = {
+  id: 'finnhub',
+  name: 'Finnhub',
+  capabilities: {
+    quote: true,
+    candles: true,
+    search: true,
+    stream: Boolean(STREAM_URL),
+    intervals: Object.keys(INTERVAL_MS).filter(interval => RESOLUTIONS[AGGREGATED_INTERVALS[interval] || interval]),
+    rateLimit: {
+      perMinute: RATE_LIMIT.MAX_CALLS_PER_MINUTE,
+      perDay: RATE_LIMIT.MAX_CALLS_PER_DAY
+    }
+  },
+  usage,
+  scheduler,
+  streamUrl: STREAM_URL,
+  getQuote,
+  getCandles,
+  getSessionOpenFor,
+  searchSymbols,
+  clearCache: () => cache.clear()
+};
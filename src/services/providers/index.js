@@ -0,0 +1,61 @@
+import { finnhubProvider } from './finnhub';
+import { twelveDataProvider } from './twelveData';
+
+export { PRIORITY } from './scheduler';
+
+/**
+ * @typedef {Object} Candle
+ * @property {string} time - ISO timestamp of the bar open.
+ * @property {number} open
+ * @property {number} high
+ * @property {number} low
+ * @property {number} close
+ * @property {number} price - Same as close, kept for the charts.
+ * @property {number} volume
+ */
+
+/**
+ * Every market data source implements this shape, so pages and auto-check
+ * can switch sources without knowing the underlying API.
+ *
+ * @typedef {Object} MarketDataProvider
+ * @property {string} id - Stable identifier, e.g. 'finnhub'.
+ * @property {string} name - Display name.
+ * @property {Object} capabilities - { quote, candles, search, stream, intervals, rateLimit: { perMinute, perDay } }.
+ * @property {Object} usage - Daily API call counter: { get, increment, reset }.
+ * @property {Object} scheduler - Priority queue and quota manager: { acquire, canRun, getQuotaStatus }.
+ * @property {string} [streamUrl] - WebSocket trade stream, when capabilities.stream is set.
+ * @property {function(string, Object=): Promise<Object>} getQuote - Resolves to { currentPrice, change, changePercent, high, low, open, previousClose, lastUpdated }.
+ * @property {function(string, string, Object=): Promise<Object>} getCandles - Resolves to { symbol, interval, candles: Candle[], lastUpdated, meta }.
+ * @property {function(string): Promise<Array>} searchSymbols - Resolves to [{ symbol, name, exchange, type }].
+ * @property {function(): void} clearCache
+ */
+
+const providers = {
+  [twelveDataProvider.id]: twelveDataProvider,
+  [finnhubProvider.id]: finnhubProvider
+};
+
+export const DEFAULT_PROVIDER_ID = twelveDataProvider.id;
+
+/**
+ * Looks up a provider by id.
+ *
+ * @param {string} id - Provider id.
+ * @returns {MarketDataProvider}
+ */
+export const getProvider = (id = DEFAULT_PROVIDER_ID) => {
+  const provider = providers[id];
+  if (!provider) {
+    throw new Error(`Unknown market data provider: ${id}`);
+  }
+  return provider;
+};
+
+export const listProviders = () => Object.values(providers);
+
+/**
+ * Returns true if the provider can serve candles at this interval.
+ */
+export const supportsInterval = (provider, interval) =>
+  provider.capabilities.intervals.includes(interval);
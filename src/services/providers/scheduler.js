@@ -0,0 +1,131 @@
+// Priority-aware request scheduling on top of a provider's rate limiter.
+// Waiting requests are granted rate-limit slots highest priority first, and
+// lower classes are deferred once the day's remaining budget runs low, so
+// background work never spends the calls a user is about to need.
+
+import { DataError, ERROR_KIND } from '../errors';
+
+export const PRIORITY = {
+  USER: 0, // Clicked or typed by the user
+  AUTO_CHECK: 1, // Scheduled refreshes: the auto-check and page polling
+  BACKFILL: 2 // Filling holes in stored history
+};
+
+const PRIORITY_NAMES = {
+  [PRIORITY.USER]: 'user',
+  [PRIORITY.AUTO_CHECK]: 'auto-check',
+  [PRIORITY.BACKFILL]: 'backfill'
+};
+
+// Share of the daily budget that must still be unspent for a class to run
+const DAILY_RESERVE = {
+  [PRIORITY.USER]: 0,
+  [PRIORITY.AUTO_CHECK]: 0.1,
+  [PRIORITY.BACKFILL]: 0.2
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_PROJECTION_WINDOW = 60 * 60 * 1000; // Don't extrapolate from the first minutes of a day
+
+/**
+ * Creates a scheduler for one provider.
+ *
+ * @param {Object} options
+ * @param {string} options.id - Provider id, attached to errors.
+ * @param {string} options.name - Provider name, for logs and error messages.
+ * @param {Object} options.rateLimiter - From createRateLimiter; also counts daily usage.
+ * @param {Object} options.usage - Daily usage counter.
+ * @param {number} options.perMinute
+ * @param {number} options.perDay
+ * @returns {Object} { acquire, canRun, getQuotaStatus }
+ */
+export const createRequestScheduler = ({ id, name, rateLimiter, usage, perMinute, perDay }) => {
+  const queue = [];
+  let sequence = 0;
+  let pumping = false;
+
+  /**
+   * Reports today's usage and where the current pace will end the day.
+   * Usage counters roll over at UTC midnight.
+   */
+  const getQuotaStatus = (now = Date.now()) => {
+    const used = usage.get();
+    const elapsed = Math.max(now % DAY_MS, MIN_PROJECTION_WINDOW);
+    const queued = Object.fromEntries(Object.values(PRIORITY).map(priority => [
+      PRIORITY_NAMES[priority],
+      queue.filter(item => item.priority === priority).length
+    ]));
+
+    return {
+      used,
+      limit: perDay,
+      remaining: Math.max(perDay - used, 0),
+      projected: Math.round((used / elapsed) * DAY_MS),
+      minuteUsed: rateLimiter.getRecentCalls(),
+      perMinute,
+      queued
+    };
+  };
+
+  const canRun = (priority, status = getQuotaStatus()) => {
+    if (priority === PRIORITY.USER) return true;
+    if (status.remaining <= perDay * DAILY_RESERVE[priority]) return false;
+    // Backfill also waits while today's pace would exhaust the budget anyway
+    return priority !== PRIORITY.BACKFILL || status.projected <= perDay;
+  };
+
+  const deferredError = (priority) => {
+    const { remaining } = getQuotaStatus();
+    return new DataError(
+      ERROR_KIND.QUOTA,
+      `${name} ${PRIORITY_NAMES[priority]} request deferred, ${remaining} of ${perDay} daily calls left`,
+      { provider: id, deferred: true }
+    );
+  };
+
+  // Hands out rate-limit slots one at a time to the best waiting request.
+  // If the rate limiter fails, every waiting request fails with it.
+  const pump = async () => {
+    if (pumping) return;
+    pumping = true;
+
+    try {
+      while (queue.length > 0) {
+        const next = queue[0];
+        if (!canRun(next.priority)) {
+          queue.shift();
+          next.reject(deferredError(next.priority));
+          continue;
+        }
+
+        await rateLimiter.acquire();
+        // A higher priority request may have arrived while we waited
+        queue.shift().resolve();
+      }
+    } catch (error) {
+      queue.splice(0).forEach(item => item.reject(error));
+    } finally {
+      pumping = false;
+    }
+  };
+
+  return {
+    /**
+     * Resolves when a request of this priority may be sent, or rejects with
+     * a deferred QUOTA DataError if the daily budget is reserved for higher classes.
+     */
+    acquire(priority = PRIORITY.USER) {
+      if (!canRun(priority)) {
+        return Promise.reject(deferredError(priority));
+      }
+
+      return new Promise((resolve, reject) => {
+        queue.push({ priority, sequence: sequence++, resolve, reject });
+        queue.sort((a, b) => a.priority - b.priority || a.sequence - b.sequence);
+        pump().catch(error => console.error(`${name} request scheduler failed:`, error));
+      });
+    },
+    canRun,
+    getQuotaStatus
+  };
+};
@@ -0,0 +1,155 @@
+// Shared request plumbing for market data providers.
+// Every adapter gets its own cache, deduplicator and rate limiter built from
+// these factories instead of re-implementing them per page.
+
+import { withTabLock } from '../tabCoordinator';
+
+export const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Creates a time-based response cache.
+ *
+ * @param {Object} options
+ * @param {number} options.ttl - How long an entry stays fresh, in milliseconds.
+ * @param {number} [options.maxSize] - Oldest entries are evicted past this size.
+ */
+export const createResponseCache = ({ ttl, maxSize = Infinity }) => {
+  const entries = new Map();
+
+  return {
+    get(key) {
+      const cached = entries.get(key);
+      if (cached && Date.now() - cached.timestamp < ttl) {
+        return cached.data;
+      }
+      return null;
+    },
+    set(key, data) {
+      if (!entries.has(key) && entries.size >= maxSize) {
+        const oldestKey = entries.keys().next().value;
+        entries.delete(oldestKey);
+      }
+      entries.set(key, { data, timestamp: Date.now() });
+    },
+    clear() {
+      entries.clear();
+    }
+  };
+};
+
+/**
+ * Creates a request deduplicator: concurrent calls with the same key share
+ * one in-flight promise.
+ */
+export const createDeduplicator = () => {
+  const inFlight = new Map();
+
+  return (key, requestFn) => {
+    if (inFlight.has(key)) {
+      return inFlight.get(key);
+    }
+
+    const promise = requestFn().finally(() => {
+      inFlight.delete(key);
+    });
+
+    inFlight.set(key, promise);
+    return promise;
+  };
+};
+
+/**
+ * Creates a per-day API call counter persisted in localStorage, so the
+ * count survives reloads and resets with the calendar day.
+ *
+ * @param {string} storagePrefix - Key prefix, the date is appended to it.
+ */
+export const createDailyUsageCounter = (storagePrefix) => {
+  const getKey = () => {
+    const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
+    return `${storagePrefix}_${today}`;
+  };
+
+  return {
+    get() {
+      const stored = localStorage.getItem(getKey());
+      return stored ? parseInt(stored, 10) : 0;
+    },
+    increment() {
+      const newCount = this.get() + 1;
+      localStorage.setItem(getKey(), newCount.toString());
+      return newCount;
+    },
+    reset() {
+      localStorage.setItem(getKey(), '0');
+      return 0;
+    }
+  };
+};
+
+/**
+ * Creates a rate limiter enforcing both a minimum spacing between calls and
+ * a maximum number of calls per rolling minute. Call times live in
+ * localStorage and are read and written under a Web Lock, so every open tab
+ * draws from the same budget instead of each assuming the full limit.
+ *
+ * @param {Object} options
+ * @param {string} options.name - Identifies the budget shared across tabs.
+ * @param {number} options.maxCallsPerMinute
+ * @param {number} options.minInterval - Minimum milliseconds between calls.
+ * @param {Object} [options.usage] - Daily counter incremented inside the same lock.
+ */
+export const createRateLimiter = ({ name, maxCallsPerMinute, minInterval, usage }) => {
+  const storageKey = `analike_rate_limit_${name}`;
+  let memoryCalls = []; // Used when localStorage is unavailable
+
+  const readCalls = () => {
+    try {
+      return JSON.parse(localStorage.getItem(storageKey)) || [];
+    } catch {
+      return memoryCalls;
+    }
+  };
+
+  const writeCalls = (calls) => {
+    memoryCalls = calls;
+    try {
+      localStorage.setItem(storageKey, JSON.stringify(calls));
+    } catch {
+      // Fall back to this tab's own view of the budget
+    }
+  };
+
+  // Reserves a slot and returns 0, or returns how long to wait for one
+  const tryReserve = () => {
+    const now = Date.now();
+    const calls = readCalls().filter(time => now - time < 60000);
+    const lastCall = calls[calls.length - 1] || 0;
+    const spacingWait = Math.max(0, minInterval - (now - lastCall));
+    const budgetWait = calls.length >= maxCallsPerMinute ? calls[0] + 60000 - now : 0;
+    const waitTime = Math.max(spacingWait, budgetWait);
+
+    if (waitTime === 0) {
+      writeCalls([...calls, now]);
+      usage?.increment();
+    }
+    return waitTime;
+  };
+
+  return {
+    // Resolves once a call may be made, then reserves the slot for it
+    async acquire() {
+      let waitTime = await withTabLock(`rate_limit_${name}`, tryReserve);
+      while (waitTime > 0) {
+        console.log(`Rate limiting: waiting ${waitTime}ms before next API call`);
+        await sleep(waitTime);
+        waitTime = await withTabLock(`rate_limit_${name}`, tryReserve);
+      }
+    },
+    // Calls made in the last minute by any tab
+    getRecentCalls() {
+      const now = Date.now();
+      return readCalls().filter(time => now - time < 60000).length;
+    }
+  };
+};
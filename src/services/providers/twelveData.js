@@ -0,0 +1,255 @@
+import { createResponseCache, createDeduplicator, createRateLimiter, createDailyUsageCounter } from './shared';
+import { createRequestScheduler, PRIORITY } from './scheduler';
+import { DATA_SOURCE } from '../provenance';
+import { DataError, ERROR_KIND, fromHttpStatus, toDataError } from '../errors';
+
+// Requests go through our /api proxy, which adds the API key server-side
+const BASE_URL = '/api/twelvedata';
+
+// API optimization settings
+const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes cache
+const MIN_REQUEST_INTERVAL = 8000; // 8 seconds between requests (rate limit: 8 calls/minute)
+const MAX_CALLS_PER_MINUTE = 8;
+const MAX_CALLS_PER_DAY = 800;
+const MAX_CACHE_SIZE = 50; // Maximum cached responses
+
+// Twelve Data interval names keyed by ours
+const INTERVALS = {
+  '1min': '1min',
+  '5min': '5min',
+  '15min': '15min',
+  '30min': '30min',
+  '60min': '1h',
+  '4h': '4h',
+  '1day': '1day',
+  '1week': '1week',
+  '1month': '1month'
+};
+
+const cache = createResponseCache({ ttl: CACHE_DURATION, maxSize: MAX_CACHE_SIZE });
+const deduplicate = createDeduplicator();
+const usage = createDailyUsageCounter('twelve_data_api_calls');
+const rateLimiter = createRateLimiter({
+  name: 'twelvedata',
+  maxCallsPerMinute: MAX_CALLS_PER_MINUTE,
+  minInterval: MIN_REQUEST_INTERVAL,
+  usage
+});
+const scheduler = createRequestScheduler({
+  id: 'twelvedata',
+  name: 'Twelve Data',
+  rateLimiter,
+  usage,
+  perMinute: MAX_CALLS_PER_MINUTE,
+  perDay: MAX_CALLS_PER_DAY
+});
+
+// Twelve Data datetimes are 'YYYY-MM-DD HH:mm:ss' (or a bare date) in the requested timezone, UTC here
+const parseDatetime = (datetime) => new Date(`${datetime.replace(' ', 'T')}${datetime.length > 10 ? 'Z' : ''}`);
+
+const formatDatetime = (timestamp) => new Date(timestamp).toISOString().slice(0, 19).replace('T', ' ');
+
+// Twelve Data reports most errors in a 200 response as { status: 'error', code, message }
+const toTwelveDataError = (data, details) => {
+  const message = data.message || 'Twelve Data request failed';
+
+  if (data.code === 429) {
+    // Credits are metered per minute and per day; the message says which ran out
+    if (/day/i.test(message)) {
+      return new DataError(ERROR_KIND.QUOTA, message, { ...details, status: 429 });
+    }
+    const nextMinute = 60000 - (Date.now() % 60000);
+    return new DataError(ERROR_KIND.RATE_LIMITED, message, { ...details, status: 429, retryAfter: nextMinute });
+  }
+  // e.g. a backfill range with no trading in it
+  if (data.code === 400 && /no data/i.test(message)) {
+    return new DataError(ERROR_KIND.NO_DATA, message, { ...details, status: 400 });
+  }
+  if ((data.code === 400 || data.code === 404) && /symbol/i.test(message)) {
+    return new DataError(ERROR_KIND.INVALID_SYMBOL, message, { ...details, status: data.code });
+  }
+  return fromHttpStatus(data.code, message, details);
+};
+
+const request = async (path, params, { priority = PRIORITY.USER } = {}) => {
+  await scheduler.acquire(priority);
+
+  const details = { provider: 'twelvedata', symbol: params.symbol };
+  const query = new URLSearchParams({ ...params, format: 'JSON', timezone: 'UTC' });
+
+  let response;
+  try {
+    response = await fetch(`${BASE_URL}${path}?${query}`);
+  } catch (error) {
+    throw toDataError(error, details);
+  }
+
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    throw fromHttpStatus(response.status, body.error || body.message, {
+      ...details,
+      retryAfterHeader: response.headers.get('Retry-After')
+    });
+  }
+
+  const data = await response.json();
+
+  if (data.status === 'error') {
+    throw toTwelveDataError(data, details);
+  }
+
+  return data;
+};
+
+/**
+ * Fetches the current quote for a symbol from /quote.
+ *
+ * @param {string} symbol - The symbol (e.g., 'BTC/USD').
+ * @param {Object} [options]
+ * @param {number} [options.priority] - A PRIORITY class; defaults to USER.
+ * @returns {Promise<Object>} The normalized quote.
+ */
+const getQuote = async (symbol, { priority } = {}) => {
+  const cacheKey = `${symbol}_quote`;
+  const cachedData = cache.get(cacheKey);
+  if (cachedData) {
+    return cachedData;
+  }
+
+  return deduplicate(cacheKey, async () => {
+    const data = await request('/quote', { symbol }, { priority });
+
+    const result = {
+      symbol,
+      currentPrice: parseFloat(data.close),
+      change: parseFloat(data.change),
+      changePercent: parseFloat(data.percent_change),
+      high: parseFloat(data.high),
+      low: parseFloat(data.low),
+      open: parseFloat(data.open),
+      previousClose: parseFloat(data.previous_close),
+      lastUpdated: new Date().toISOString()
+    };
+
+    cache.set(cacheKey, result);
+    return result;
+  });
+};
+
+/**
+ * Fetches OHLCV candles from /time_series.
+ *
+ * @param {string} symbol - The symbol.
+ * @param {string} interval - One of capabilities.intervals.
+ * @param {Object} [options]
+ * @param {number} [options.outputSize] - Number of bars to request.
+ * @param {number} [options.from] - Range start in ms; with `to`, requests that exact window.
+ * @param {number} [options.to] - Range end in ms.
+ * @param {number} [options.priority] - A PRIORITY class; defaults to USER.
+ * @returns {Promise<Object>} The normalized candle series.
+ */
+const getCandles = async (symbol, interval = '60min', { outputSize = 100, from, to, priority } = {}) => {
+  const isRange = from !== undefined && to !== undefined;
+  const cacheKey = isRange
+    ? `${symbol}_${interval}_${from}_${to}`
+    : `${symbol}_${interval}_${outputSize}`;
+  const cachedData = cache.get(cacheKey);
+  if (cachedData) {
+    return cachedData;
+  }
+
+  return deduplicate(cacheKey, async () => {
+    const twelveDataInterval = INTERVALS[interval] || '1h';
+    const rangeParams = isRange
+      ? { start_date: formatDatetime(from), end_date: formatDatetime(to) }
+      : {};
+    const data = await request('/time_series', {
+      symbol,
+      interval: twelveDataInterval,
+      outputsize: outputSize,
+      ...rangeParams
+    }, { priority });
+
+    if (!data.values || data.values.length === 0) {
+      throw new DataError(ERROR_KIND.NO_DATA, `No data available for symbol: ${symbol}`, { provider: 'twelvedata', symbol });
+    }
+
+    const candles = data.values
+      .sort((a, b) => parseDatetime(a.datetime) - parseDatetime(b.datetime))
+      .map(item => ({
+        time: parseDatetime(item.datetime).toISOString(),
+        open: parseFloat(item.open),
+        high: parseFloat(item.high),
+        low: parseFloat(item.low),
+        close: parseFloat(item.close || item.price),
+        price: parseFloat(item.close || item.price),
+        volume: parseInt(item.volume) || 0,
+        source: DATA_SOURCE.LIVE
+      }));
+
+    const result = {
+      symbol,
+      interval,
+      candles,
+      lastUpdated: new Date().toISOString(),
+      meta: {
+        provider: 'twelvedata',
+        symbol: data.meta?.symbol || symbol,
+        interval: data.meta?.interval || twelveDataInterval,
+        exchange: data.meta?.exchange || 'Unknown'
+      }
+    };
+
+    cache.set(cacheKey, result);
+    return result;
+  });
+};
+
+/**
+ * Searches symbols via /symbol_search.
+ *
+ * @param {string} query - Free text, e.g. 'apple'.
+ * @returns {Promise<Array>} Matches as { symbol, name, exchange, type }.
+ */
+const searchSymbols = async (query) => {
+  const cacheKey = `search_${query.toLowerCase()}`;
+  const cachedData = cache.get(cacheKey);
+  if (cachedData) {
+    return cachedData;
+  }
+
+  return deduplicate(cacheKey, async () => {
+    const data = await request('/symbol_search', { symbol: query });
+    const results = (data.data || []).map(item => ({
+      symbol: item.symbol,
+      name: item.instrument_name,
+      exchange: item.exchange,
+      type: item.instrument_type
+    }));
+
+    cache.set(cacheKey, results);
+    return results;
+  });
+};
+
+export const twelveDataProvider = {
+  id: 'twelvedata',
+  name: 'Twelve Data',
+  capabilities: {
+    quote: true,
+    candles: true,
+    search: true,
+    stream: false,
+    intervals: Object.keys(INTERVALS),
+    rateLimit: {
+      perMinute: MAX_CALLS_PER_MINUTE,
+      perDay: MAX_CALLS_PER_DAY
+    }
+  },
+  usage,
+  scheduler,
+  getQuote,
+  getCandles,
+  searchSymbols,
+  clearCache: () => cache.clear()
+};
@@ -0,0 +1,266 @@
+// The built-in signal modes. Conservative and Normal share one rule list and
+// differ only in their RSI zones and the divergence strength they act on.
+// Support/Resistance puts rules for turns at a level in front of that list.
+
+// EMA period, price and EMA thresholds as fractions of the current value,
+// and how divergences are detected (see detectDivergence). Custom modes
+// saved before a param existed take its value from here.
+export const SHARED_PARAMS = {
+  emaPeriod: 20,
+  priceMoveMin: 0.001, // Price must move 0.1% to count as rising or falling
+  emaMoveMin: 0.002, // EMA must move 0.2% to count as rising or falling
+  emaFlatMax: 0.001, // EMA moving less than 0.1% is flat
+  emaProximity: 0.02, // Within 2% of the EMA counts as approaching it
+  divergenceLookback: 10, // Bars searched for pivots
+  divergencePivotWidth: 2, // Bars on each side a pivot must exceed
+  divergenceOscillator: 'rsi',
+  levelProximity: 0.005 // Within 0.5% of a support or resistance zone counts as near it
+};
+
+const NEUTRAL = { signal: 'HOLD', color: '#6b7280', description: 'Neutral signal' };
+
+const EMA_RSI_RULES = [
+  // Without a full set of inputs only the side of the EMA is known
+  { id: 'missing-above', priority: 300, when: ['inputsMissing', 'priceAboveEMA'], signal: 'BUY', color: '#10b981' },
+  { id: 'missing-below', priority: 290, when: ['inputsMissing'], signal: 'SELL', color: '#ef4444' },
+
+  // RSI overbought and price turning down
+  {
+    id: 'overbought-divergence',
+    priority: 200,
+    when: ['rsiOverbought', 'priceFalling', 'bearishDivergence'],
+    signal: 'STRONG SELL',
+    color: '#dc2626',
+    description: 'RSI Overbought + Price falling + Bearish Divergence ({divergence.strength}%)'
+  },
+  {
+    id: 'overbought-above-ema',
+    priority: 190,
+    when: ['rsiOverbought', 'priceFalling', 'priceAboveEMA'],
+    signal: 'SELL',
+    color: '#ef4444',
+    description: 'RSI Overbought + Price falling + Above EMA (Strong SELL)'
+  },
+  {
+    id: 'overbought-below-ema',
+    priority: 180,
+    when: ['rsiOverbought', 'priceFalling'],
+    signal: 'WEAK SELL',
+    color: '#f97316',
+    description: 'RSI Overbought + Price falling + Below EMA (Weak SELL)'
+  },
+
+  // RSI oversold and price turning up
+  {
+    id: 'oversold-divergence',
+    priority: 170,
+    when: ['rsiOversold', 'priceRising', 'bullishDivergence'],
+    signal: 'STRONG BUY',
+    color: '#059669',
+    description: 'RSI Oversold + Price rising + Bullish Divergence ({divergence.strength}%)'
+  },
+  {
+    id: 'oversold-below-ema',
+    priority: 160,
+    when: ['rsiOversold', 'priceRising', '!priceAboveEMA'],
+    signal: 'BUY',
+    color: '#10b981',
+    description: 'RSI Oversold + Price rising + Below EMA (Strong BUY)'
+  },
+  {
+    id: 'oversold-above-ema',
+    priority: 150,
+    when: ['rsiOversold', 'priceRising'],
+    signal: 'WEAK BUY',
+    color: '#84cc16',
+    description: 'RSI Oversold + Price rising + Above EMA (Weak BUY)'
+  },
+
+  // RSI neutral: hidden divergence, then EMA trend and price momentum
+  {
+    id: 'neutral-hidden-bullish',
+    priority: 140,
+    when: ['rsiNeutral', 'hiddenBullishDivergence'],
+    signal: 'STRONG BUY',
+    color: '#059669',
+    description: 'Hidden Bullish Divergence + Above EMA ({divergence.strength}%)'
+  },
+  {
+    id: 'neutral-hidden-bearish',
+    priority: 135,
+    when: ['rsiNeutral', 'hiddenBearishDivergence'],
+    signal: 'STRONG SELL',
+    color: '#dc2626',
+    description: 'Hidden Bearish Divergence + Below EMA ({divergence.strength}%)'
+  },
+  {
+    id: 'neutral-uptrend',
+    priority: 130,
+    when: ['rsiNeutral', 'priceAboveEMA', 'priceRising', 'emaRising'],
+    signal: 'STRONG BUY',
+    color: '#10b981',
+    description: 'Price & EMA rising + Above EMA (Strong Trend)'
+  },
+  {
+    id: 'neutral-downtrend',
+    priority: 125,
+    when: ['rsiNeutral', '!priceAboveEMA', 'priceFalling', 'emaFalling'],
+    signal: 'STRONG SELL',
+    color: '#ef4444',
+    description: 'Price & EMA falling + Below EMA (Strong Trend)'
+  },
+  {
+    id: 'neutral-rising-flat-ema',
+    priority: 120,
+    when: ['rsiNeutral', 'priceAboveEMA', 'priceRising', 'emaFlat'],
+    signal: 'BUY',
+    color: '#10b981',
+    description: 'Price rising + Above EMA + EMA flat'
+  },
+  {
+    id: 'neutral-falling-flat-ema',
+    priority: 115,
+    when: ['rsiNeutral', '!priceAboveEMA', 'priceFalling', 'emaFlat'],
+    signal: 'SELL',
+    color: '#ef4444',
+    description: 'Price falling + Below EMA + EMA flat'
+  },
+  {
+    id: 'neutral-pullback',
+    priority: 110,
+    when: ['rsiNeutral', 'priceAboveEMA', '!priceRising', 'emaRising'],
+    signal: 'HOLD',
+    color: '#f59e0b',
+    description: 'Price above EMA but falling + EMA rising'
+  },
+  {
+    id: 'neutral-bounce',
+    priority: 105,
+    when: ['rsiNeutral', '!priceAboveEMA', 'priceRising', 'emaFalling'],
+    signal: 'WEAK BUY',
+    color: '#84cc16',
+    description: 'Price rising + Below EMA + EMA falling'
+  },
+  {
+    id: 'neutral-approach-rising-ema',
+    priority: 100,
+    when: ['rsiNeutral', 'priceApproachingEMA', 'emaRising'],
+    signal: 'BUY',
+    color: '#10b981',
+    description: 'Price approaching EMA + EMA rising'
+  },
+  {
+    id: 'neutral-approach-falling-ema',
+    priority: 95,
+    when: ['rsiNeutral', 'priceApproachingEMA', 'emaFalling'],
+    signal: 'SELL',
+    color: '#ef4444',
+    description: 'Price approaching EMA + EMA falling'
+  },
+
+  // RSI at an extreme without the matching price turn: price vs EMA alone
+  {
+    id: 'extreme-above-rising',
+    priority: 50,
+    when: ['!rsiNeutral', 'priceAboveEMA', 'priceRising'],
+    signal: 'STRONG BUY',
+    color: '#10b981',
+    description: 'Price above EMA and rising'
+  },
+  {
+    id: 'extreme-below-falling',
+    priority: 45,
+    when: ['!rsiNeutral', '!priceAboveEMA', 'priceFalling'],
+    signal: 'STRONG SELL',
+    color: '#ef4444',
+    description: 'Price below EMA and falling'
+  },
+  {
+    id: 'extreme-above-not-rising',
+    priority: 40,
+    when: ['!rsiNeutral', 'priceAboveEMA', '!priceRising'],
+    signal: 'HOLD',
+    color: '#f59e0b',
+    description: 'Price above EMA but falling'
+  },
+  {
+    id: 'extreme-below-rising',
+    priority: 35,
+    when: ['!rsiNeutral', '!priceAboveEMA', 'priceRising'],
+    signal: 'WEAK BUY',
+    color: '#84cc16',
+    description: 'Price below EMA but rising'
+  }
+];
+
+// Turns at a zone fire before the RSI and EMA rules; a move into a zone is held
+const LEVEL_RULES = [
+  {
+    id: 'support-bounce',
+    priority: 240,
+    when: ['nearSupport', 'priceRising', '!rsiOverbought'],
+    signal: 'STRONG BUY',
+    color: '#059669',
+    description: 'Price rising off support ({supportDistance}% above it)'
+  },
+  {
+    id: 'resistance-rejection',
+    priority: 235,
+    when: ['nearResistance', 'priceFalling', '!rsiOversold'],
+    signal: 'STRONG SELL',
+    color: '#dc2626',
+    description: 'Price falling off resistance ({resistanceDistance}% below it)'
+  },
+  {
+    id: 'rising-into-resistance',
+    priority: 230,
+    when: ['nearResistance', 'priceRising'],
+    signal: 'HOLD',
+    color: '#f59e0b',
+    description: 'Price rising into resistance ({resistanceDistance}% below it)'
+  },
+  {
+    id: 'falling-into-support',
+    priority: 225,
+    when: ['nearSupport', 'priceFalling'],
+    signal: 'HOLD',
+    color: '#f59e0b',
+    description: 'Price falling into support ({supportDistance}% above it)'
+  },
+  ...EMA_RSI_RULES
+];
+
+export const BUILTIN_RULE_SETS = [
+  {
+    id: 'conservative',
+    label: 'Conservative Mode',
+    description: 'RSI 25/75, Divergence 40%, Strict EMA',
+    builtIn: true,
+    badge: { icon: '🛡️', color: '#3b82f6' },
+    params: { ...SHARED_PARAMS, rsiOverbought: 75, rsiOversold: 25, divergenceThreshold: 40 },
+    rules: EMA_RSI_RULES,
+    fallback: NEUTRAL
+  },
+  {
+    id: 'normal',
+    label: 'Normal Mode',
+    description: 'RSI 70/30, Divergence 30%, Standard EMA',
+    builtIn: true,
+    badge: { icon: '⚡', color: '#10b981' },
+    params: { ...SHARED_PARAMS, rsiOverbought: 70, rsiOversold: 30, divergenceThreshold: 30 },
+    rules: EMA_RSI_RULES,
+    fallback: NEUTRAL
+  },
+  {
+    id: 'levels',
+    label: 'Support/Resistance Mode',
+    description: 'RSI 70/30, Divergence 30%, Turns within 0.5% of a level',
+    builtIn: true,
+    badge: { icon: '📏', color: '#f59e0b' },
+    params: { ...SHARED_PARAMS, rsiOverbought: 70, rsiOversold: 30, divergenceThreshold: 30 },
+    rules: LEVEL_RULES,
+    fallback: NEUTRAL
+  }
+];
+
+export const DEFAULT_RULE_SET_ID = 'conservative';
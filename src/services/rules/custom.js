@@ -0,0 +1,144 @@
+// Analysis modes the user creates by cloning a built-in or another mode.
+// They are stored in localStorage as complete rule sets, so a saved mode
+// keeps behaving the same even if the mode it was cloned from changes.
+
+import { SHARED_PARAMS } from './builtin';
+
+const STORAGE_KEY = 'analike_custom_modes';
+
+/**
+ * The params the mode editor exposes. `percent` params are stored as
+ * fractions of price and edited as percentages; `options` params are one
+ * of a fixed list of values.
+ */
+export const MODE_PARAMS = [
+  { key: 'rsiOverbought', label: 'RSI overbought', min: 50, max: 100, step: 1 },
+  { key: 'rsiOversold', label: 'RSI oversold', min: 0, max: 50, step: 1 },
+  { key: 'divergenceThreshold', label: 'Divergence threshold (%)', min: 0, max: 100, step: 1 },
+  { key: 'emaPeriod', label: 'EMA period', min: 2, max: 200, step: 1, integer: true },
+  { key: 'priceMoveMin', label: 'Price move (%)', min: 0, max: 5, step: 0.05, percent: true },
+  { key: 'emaMoveMin', label: 'EMA slope (%)', min: 0, max: 5, step: 0.05, percent: true },
+  { key: 'emaFlatMax', label: 'EMA flat below (%)', min: 0, max: 5, step: 0.05, percent: true },
+  { key: 'emaProximity', label: 'Near EMA within (%)', min: 0, max: 20, step: 0.5, percent: true },
+  { key: 'levelProximity', label: 'Near S/R level within (%)', min: 0, max: 10, step: 0.1, percent: true },
+  { key: 'divergenceLookback', label: 'Divergence lookback (bars)', min: 5, max: 100, step: 1, integer: true },
+  { key: 'divergencePivotWidth', label: 'Divergence pivot width (bars)', min: 1, max: 5, step: 1, integer: true },
+  {
+    key: 'divergenceOscillator',
+    label: 'Divergence oscillator',
+    options: [{ value: 'rsi', label: 'RSI' }, { value: 'macd', label: 'MACD' }, { value: 'obv', label: 'OBV' }]
+  }
+];
+
+/**
+ * Problems with a set of mode params, empty when they are usable.
+ *
+ * @returns {Array<string>}
+ */
+export const validateModeParams = (params) => {
+  const errors = MODE_PARAMS.flatMap(({ key, label, min, max, integer, percent, options }) => {
+    if (options) {
+      return options.some(option => option.value === params[key]) ? [] : [`${label} must be one of ${options.map(option => option.label).join(', ')}`];
+    }
+    const value = percent ? params[key] * 100 : params[key];
+    if (typeof value !== 'number' || !Number.isFinite(value)) return [`${label} must be a number`];
+    if (value < min || value > max) return [`${label} must be between ${min} and ${max}`];
+    if (integer && !Number.isInteger(value)) return [`${label} must be a whole number`];
+    return [];
+  });
+
+  if (params.rsiOversold >= params.rsiOverbought) {
+    errors.push('RSI oversold must be below overbought');
+  }
+  // Two pivots, each above (or below) `width` bars on both sides, must fit in the lookback
+  const minLookback = params.divergencePivotWidth * 3 + 2;
+  if (params.divergenceLookback < minLookback) {
+    errors.push(`Divergence lookback must be at least ${minLookback} bars for that pivot width`);
+  }
+  return errors;
+};
+
+// Summary shown next to the mode name, in the same style as the built-ins
+export const describeModeParams = (params) =>
+  `RSI ${params.rsiOversold}/${params.rsiOverbought}, Divergence ${params.divergenceThreshold}%` +
+  `${params.divergenceOscillator && params.divergenceOscillator !== 'rsi' ? ` on ${params.divergenceOscillator.toUpperCase()}` : ''}, EMA ${params.emaPeriod}`;
+
+const isUsableRuleSet = (ruleSet) =>
+  Boolean(ruleSet) &&
+  typeof ruleSet.id === 'string' &&
+  typeof ruleSet.label === 'string' &&
+  Array.isArray(ruleSet.rules) &&
+  Boolean(ruleSet.fallback) &&
+  Boolean(ruleSet.params) &&
+  validateModeParams(ruleSet.params).length === 0;
+
+const readStored = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (!Array.isArray(stored)) return [];
+    return stored
+      .map(ruleSet => (ruleSet?.params ? { ...ruleSet, params: { ...SHARED_PARAMS, ...ruleSet.params } } : ruleSet))
+      .filter(isUsableRuleSet);
+  } catch (error) {
+    console.error('Error loading custom modes:', error);
+    return [];
+  }
+};
+
+// Parsed once; signals look modes up for every bar
+let cached = null;
+
+// Another tab saved or deleted a mode
+if (typeof window !== 'undefined') {
+  window.addEventListener('storage', (event) => {
+    if (event.key === STORAGE_KEY) cached = null;
+  });
+}
+
+const persist = (ruleSets) => {
+  cached = ruleSets;
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(ruleSets));
+};
+
+export const loadCustomRuleSets = () => {
+  if (!cached) cached = readStored();
+  return cached;
+};
+
+/**
+ * A new, unsaved custom mode with a copy of another mode's rules and params.
+ */
+export const cloneRuleSet = (source, label = `${source.label} (copy)`) => {
+  const { params, rules, fallback } = structuredClone({ params: source.params, rules: source.rules, fallback: source.fallback });
+  return {
+    id: `custom_${Date.now().toString(36)}`,
+    label,
+    description: describeModeParams(params),
+    builtIn: false,
+    params,
+    rules,
+    fallback
+  };
+};
+
+/**
+ * Adds or replaces a custom mode.
+ *
+ * @throws {Error} When the label is empty or the params are invalid.
+ * @returns {Object} The saved mode.
+ */
+export const saveCustomRuleSet = (ruleSet) => {
+  const label = ruleSet.label.trim();
+  if (!label) throw new Error('Mode name is required');
+  const errors = validateModeParams(ruleSet.params);
+  if (errors.length > 0) throw new Error(errors.join('. '));
+
+  const saved = { ...ruleSet, label, builtIn: false, description: describeModeParams(ruleSet.params) };
+  const others = loadCustomRuleSets().filter(existing => existing.id !== saved.id);
+  persist([...others, saved]);
+  return saved;
+};
+
+export const deleteCustomRuleSet = (id) => {
+  persist(loadCustomRuleSets().filter(ruleSet => ruleSet.id !== id));
+};
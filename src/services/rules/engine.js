@@ -0,0 +1,91 @@
+// A small engine that turns a rule set into a signal.
+// A rule set is plain data: numeric params, and rules that name the
+// conditions they need and the signal they produce. Rules are tried highest
+// priority first; the first one whose conditions all hold decides.
+
+import { TrendingUp, TrendingDown, Minus } from 'lucide-react';
+
+/**
+ * Conditions rules can name. Each reads the context ({ price, ema, rsi,
+ * previousPrice, previousEMA, divergence, supportDistance,
+ * resistanceDistance, levelDistance }) and the rule set's params. Level
+ * distances are percent of price and null when there is no zone on that side.
+ */
+export const CONDITIONS = {
+  inputsMissing: ({ price, ema, rsi, previousPrice, previousEMA }) => !price || !ema || !rsi || !previousPrice || !previousEMA,
+  priceAboveEMA: ({ price, ema }) => price > ema,
+  priceRising: ({ price, previousPrice }, params) => price > previousPrice && (price - previousPrice) > price * params.priceMoveMin,
+  priceFalling: ({ price, previousPrice }, params) => price < previousPrice && (previousPrice - price) > price * params.priceMoveMin,
+  priceApproachingEMA: ({ price, ema, previousPrice, previousEMA }, params) =>
+    Math.abs(price - ema) < Math.abs(previousPrice - previousEMA) && Math.abs(price - ema) < price * params.emaProximity,
+  emaRising: ({ ema, previousEMA }, params) => ema > previousEMA && (ema - previousEMA) > ema * params.emaMoveMin,
+  emaFalling: ({ ema, previousEMA }, params) => ema < previousEMA && (previousEMA - ema) > ema * params.emaMoveMin,
+  emaFlat: ({ ema, previousEMA }, params) => Math.abs(ema - previousEMA) < ema * params.emaFlatMax,
+  rsiOverbought: ({ rsi }, params) => rsi > params.rsiOverbought,
+  rsiOversold: ({ rsi }, params) => rsi < params.rsiOversold,
+  rsiNeutral: ({ rsi }, params) => rsi >= params.rsiOversold && rsi <= params.rsiOverbought,
+  bearishDivergence: ({ divergence }, params) => divergence.type === 'bearish_divergence' && divergence.strength > params.divergenceThreshold,
+  bullishDivergence: ({ divergence }, params) => divergence.type === 'bullish_divergence' && divergence.strength > params.divergenceThreshold,
+  hiddenBearishDivergence: ({ divergence }, params) =>
+    divergence.type === 'hidden_bearish_divergence' && divergence.strength > params.divergenceThreshold,
+  hiddenBullishDivergence: ({ divergence }, params) =>
+    divergence.type === 'hidden_bullish_divergence' && divergence.strength > params.divergenceThreshold,
+  nearSupport: ({ supportDistance }, params) => supportDistance !== null && supportDistance <= params.levelProximity * 100,
+  nearResistance: ({ resistanceDistance }, params) => resistanceDistance !== null && resistanceDistance <= params.levelProximity * 100,
+  nearLevel: ({ levelDistance }, params) => levelDistance !== null && levelDistance <= params.levelProximity * 100
+};
+
+// A rule names conditions as 'priceRising', or '!priceRising' for its negation
+const parseCondition = (name) => (name.startsWith('!') ? { name: name.slice(1), negate: true } : { name, negate: false });
+
+const checkCondition = (name, context, params) => {
+  const condition = parseCondition(name);
+  const check = CONDITIONS[condition.name];
+  if (!check) {
+    throw new Error(`Unknown signal condition: ${condition.name}`);
+  }
+  return check(context, params) !== condition.negate;
+};
+
+const iconFor = (signal) => {
+  if (signal.includes('BUY')) return TrendingUp;
+  if (signal.includes('SELL')) return TrendingDown;
+  return Minus;
+};
+
+// Fills '{divergence.strength}'-style placeholders from the context
+const formatDescription = (template, context) => template?.replace(/\{([\w.]+)\}/g, (match, path) => {
+  const value = path.split('.').reduce((object, key) => object?.[key], context);
+  return typeof value === 'number' ? value.toFixed(1) : String(value ?? '');
+});
+
+const byPriority = (rules) => [...rules].sort((a, b) => b.priority - a.priority);
+
+/**
+ * A copy of a rule set with its rules already in evaluation order, for
+ * callers that evaluate the same rule set on many bars (e.g. backtests).
+ */
+export const orderRuleSet = (ruleSet) => (ruleSet.ordered ? ruleSet : { ...ruleSet, rules: byPriority(ruleSet.rules), ordered: true });
+
+/**
+ * Evaluates a rule set against one bar.
+ *
+ * @param {Object} ruleSet - { params, rules: [{ priority, when, signal, color, description }], fallback },
+ *   or the result of orderRuleSet, whose rules are used in the order given.
+ * @param {Object} context - See CONDITIONS.
+ * @returns {Object} { signal, color, icon, description, rule } from the first matching rule, or the
+ *   fallback with a null rule. `rule` is the matching rule's id.
+ */
+export const evaluateRules = (ruleSet, context) => {
+  const rules = ruleSet.ordered ? ruleSet.rules : byPriority(ruleSet.rules);
+  const match = rules.find(rule => rule.when.every(name => checkCondition(name, context, ruleSet.params)));
+  const output = match || ruleSet.fallback;
+
+  return {
+    signal: output.signal,
+    color: output.color,
+    icon: iconFor(output.signal),
+    description: formatDescription(output.description, context),
+    rule: match ? match.id : null
+  };
+};
@@ -0,0 +1,35 @@
+// Signal rule sets and the engine that evaluates them.
+// New strategies are new rule sets; the pages only list and select them.
+
+import { BUILTIN_RULE_SETS, DEFAULT_RULE_SET_ID } from './builtin';
+import { loadCustomRuleSets } from './custom';
+
+export { CONDITIONS, evaluateRules, orderRuleSet } from './engine';
+export { BUILTIN_RULE_SETS, DEFAULT_RULE_SET_ID };
+export {
+  MODE_PARAMS, validateModeParams, describeModeParams, loadCustomRuleSets, cloneRuleSet, saveCustomRuleSet, deleteCustomRuleSet
+} from './custom';
+
+/**
+ * Every selectable rule set: the built-ins, then the user's own modes.
+ */
+export const listRuleSets = () => [...BUILTIN_RULE_SETS, ...loadCustomRuleSets()];
+
+// Custom modes carry no badge of their own
+const CUSTOM_BADGE = { icon: '🧩', color: '#8b5cf6' };
+
+/**
+ * The icon and colour a mode is shown with.
+ */
+export const getModeBadge = (ruleSet) => ruleSet.badge || CUSTOM_BADGE;
+
+/**
+ * Looks up a rule set by id, falling back to the default for unknown ids.
+ * A rule set object is returned as is, so unsaved ones (e.g. optimizer
+ * candidates) can be evaluated too.
+ */
+export const getRuleSet = (id) => {
+  if (id && typeof id === 'object') return id;
+  const ruleSets = listRuleSets();
+  return ruleSets.find(ruleSet => ruleSet.id === id) || ruleSets.find(ruleSet => ruleSet.id === DEFAULT_RULE_SET_ID);
+};
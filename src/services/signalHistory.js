@@ -0,0 +1,128 @@
+// Persistent log of signal transitions. A record is written whenever a mode's
+// signal for a symbol and interval differs from the last one recorded for it.
+// The comparison is made against the store, inside the writing transaction,
+// so a change is still caught after a reload and tabs processing the same
+// auto-check record it only once.
+
+import { openDatabase, promisifyRequest, promisifyTransaction, SIGNAL_STORE } from './database';
+import { WARMUP_SIGNAL, signalSide } from './signals';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Transitions older than this are pruned when new ones are written
+export const SIGNAL_RETENTION_MS = 180 * DAY;
+
+// Indicator values stored with each transition, besides every EMA the modes use
+const SNAPSHOT_KEYS = [
+  'price', 'volume', 'rsi', 'macd', 'macdSignal', 'macdHistogram', 'bbUpper', 'bbLower', 'atr', 'volumeAvg',
+  'vwap', 'stochK', 'stochD', 'adx', 'plusDI', 'minusDI', 'cci', 'williamsR', 'supportDistance', 'resistanceDistance'
+];
+
+const seriesRange = (symbol, interval, mode, from = 0, to = Number.MAX_SAFE_INTEGER) =>
+  IDBKeyRange.bound([symbol, interval, mode, from], [symbol, interval, mode, to]);
+
+const snapshotOf = (point) => Object.fromEntries(
+  Object.keys(point)
+    .filter(key => SNAPSHOT_KEYS.includes(key) || /^ema\d+$/.test(key))
+    .filter(key => typeof point[key] === 'number' && Number.isFinite(point[key]))
+    .map(key => [key, point[key]])
+);
+
+/**
+ * Records the signals of one bar, keeping only those that changed since the
+ * last record of their mode. Warm-up placeholders are never recorded.
+ *
+ * @param {string} symbol
+ * @param {string} interval
+ * @param {Object} latest - The bar the signals were computed on, with its indicators.
+ * @param {Object} signals - { [modeId]: signal } from getLatestSignal.
+ * @returns {Promise<Array>} The transitions written; `previousSignal` is null for a mode's first record.
+ */
+export const recordSignalTransitions = async (symbol, interval, latest, signals) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(SIGNAL_STORE, 'readwrite');
+  const store = transaction.objectStore(SIGNAL_STORE);
+  const now = Date.now();
+  const recorded = [];
+
+  Object.entries(signals).forEach(([mode, signal]) => {
+    if (!signal || signal === WARMUP_SIGNAL) return;
+
+    const lookup = store.index('series').openCursor(seriesRange(symbol, interval, mode), 'prev');
+    lookup.onsuccess = () => {
+      const previous = lookup.result?.value;
+      if (previous?.signal === signal.signal) return;
+
+      const record = {
+        symbol,
+        interval,
+        mode,
+        previousSignal: previous?.signal ?? null,
+        signal: signal.signal,
+        color: signal.color,
+        description: signal.description,
+        rule: signal.rule ?? null,
+        price: latest.price,
+        indicators: snapshotOf(latest),
+        barTime: new Date(latest.time).getTime(),
+        timestamp: now
+      };
+      store.add(record);
+      recorded.push(record);
+    };
+  });
+
+  // Retention
+  const expired = store.index('timestamp').openCursor(IDBKeyRange.upperBound(now - SIGNAL_RETENTION_MS));
+  expired.onsuccess = () => {
+    const cursor = expired.result;
+    if (cursor) {
+      cursor.delete();
+      cursor.continue();
+    }
+  };
+
+  await promisifyTransaction(transaction);
+  if (recorded.length > 0) {
+    console.log(`Recorded ${recorded.length} signal transition(s) for ${symbol} ${interval}`);
+  }
+  return recorded;
+};
+
+/**
+ * Reads recorded transitions, newest first. With symbol, interval and mode
+ * all given only that series is read; otherwise the whole log is filtered.
+ *
+ * @param {Object} [filters]
+ * @param {string} [filters.symbol]
+ * @param {string} [filters.interval]
+ * @param {string} [filters.mode]
+ * @param {string} [filters.side] - 'buy', 'sell' or 'hold'.
+ * @param {number} [filters.from] - Earliest record time (ms), inclusive.
+ * @param {number} [filters.limit]
+ * @returns {Promise<Array>}
+ */
+export const getSignalHistory = async ({ symbol, interval, mode, side, from, limit } = {}) => {
+  const db = await openDatabase();
+  const store = db.transaction(SIGNAL_STORE, 'readonly').objectStore(SIGNAL_STORE);
+
+  const records = symbol && interval && mode
+    ? await promisifyRequest(store.index('series').getAll(seriesRange(symbol, interval, mode, from)))
+    : await promisifyRequest(store.index('timestamp').getAll(from ? IDBKeyRange.lowerBound(from) : undefined));
+
+  const matching = records
+    .filter(record => (!symbol || record.symbol === symbol) && (!interval || record.interval === interval) && (!mode || record.mode === mode))
+    .filter(record => !side || (signalSide(record) || 'hold') === side)
+    .reverse();
+  return limit ? matching.slice(0, limit) : matching;
+};
+
+/**
+ * Deletes every recorded transition.
+ */
+export const clearSignalHistory = async () => {
+  const db = await openDatabase();
+  const transaction = db.transaction(SIGNAL_STORE, 'readwrite');
+  transaction.objectStore(SIGNAL_STORE).clear();
+  await promisifyTransaction(transaction);
+};
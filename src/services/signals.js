@@ -0,0 +1,325 @@
+// Signals shared by the analysis page and the auto-check.
+// The base signal comes from a rule set (see ./rules) over EMA 20, RSI 14
+// and price/oscillator divergence, plus the distance to support and
+// resistance for rules that ask for it; MACD, Bollinger Bands, ATR, volume, VWAP, ADX,
+// Stochastic, CCI and Williams %R can each be switched on as an extra
+// confirmation.
+
+import { Minus } from 'lucide-react';
+import {
+  withSMA, withEMA, withRSI, withMACD, withBollinger, withATR, withOBV, withVWAP,
+  withStochastic, withADX, withCCI, withWilliamsR, withLevelDistance, findPivots, isReady
+} from './indicators';
+import { evaluateRules, getRuleSet, DEFAULT_RULE_SET_ID } from './rules';
+
+/**
+ * Adds every indicator the signals and the chart can use: EMA 20, RSI 14,
+ * MACD (12, 26, 9), Bollinger Bands (20, 2), ATR 14, OBV, session VWAP,
+ * the 20-bar average volume, Stochastic (14, 3, 3), ADX 14, CCI 20,
+ * Williams %R 14 and the distance to the nearest support and resistance
+ * zones (see withLevelDistance).
+ */
+export const addIndicators = (data) => {
+  let result = withEMA(data, { period: 20, key: 'ema20' });
+  result = withRSI(result, { period: 14, key: 'rsi' });
+  result = withMACD(result, { fast: 12, slow: 26, signal: 9 });
+  result = withBollinger(result, { period: 20, stdDev: 2 });
+  result = withATR(result, { period: 14, key: 'atr' });
+  result = withLevelDistance(result);
+  result = withSMA(result, { period: 20, source: 'volume', key: 'volumeAvg' });
+  result = withOBV(result, { key: 'obv' });
+  result = withVWAP(result, { key: 'vwap' });
+  result = withStochastic(result, { period: 14, smoothK: 3, periodD: 3 });
+  result = withADX(result, { period: 14 });
+  result = withCCI(result, { period: 20, key: 'cci' });
+  return withWilliamsR(result, { period: 14, key: 'williamsR' });
+};
+
+// ADX at or above this means a trending market, below ADX_CHOPPY a ranging one
+export const ADX_TRENDING = 25;
+export const ADX_CHOPPY = 20;
+
+/**
+ * Whether the market at a point trends, ranges or is in between, by ADX.
+ *
+ * @returns {string|null} 'trending', 'choppy', 'forming' or null while ADX warms up.
+ */
+export const marketRegime = (point) => {
+  if (!isReady(point, 'adx')) return null;
+  if (point.adx >= ADX_TRENDING) return 'trending';
+  return point.adx < ADX_CHOPPY ? 'choppy' : 'forming';
+};
+
+// Signals only read the latest two bars, so those must be past their warm-up
+export const indicatorsReady = (latest, previous, emaKey = 'ema20') =>
+  isReady(latest, emaKey) && isReady(latest, 'rsi') && isReady(previous, emaKey);
+
+export const WARMUP_SIGNAL = {
+  signal: 'HOLD',
+  color: '#6b7280',
+  icon: Minus,
+  description: 'Not enough history yet, indicators are warming up'
+};
+
+// A bar must move this many ATRs in the signal's direction to confirm it
+const ATR_CONFIRM_MULTIPLE = 0.3;
+
+/**
+ * Optional confirmations. Each one checks whether the latest bar agrees with
+ * a buy or sell signal; signals that fail an enabled check become HOLD.
+ */
+export const CONFIRMATIONS = {
+  macd: {
+    label: 'MACD',
+    description: 'MACD above its signal line for buys, below it for sells',
+    keys: ['macdHistogram'],
+    confirms: (latest, previous, side) => (side === 'buy' ? latest.macdHistogram > 0 : latest.macdHistogram < 0)
+  },
+  bollinger: {
+    label: 'Bollinger',
+    description: "Don't buy above the upper band or sell below the lower band",
+    keys: ['bbUpper', 'bbLower'],
+    confirms: (latest, previous, side) => (side === 'buy' ? latest.price <= latest.bbUpper : latest.price >= latest.bbLower)
+  },
+  atr: {
+    label: 'ATR',
+    description: `The last bar moved at least ${ATR_CONFIRM_MULTIPLE} ATR in the signal's direction`,
+    keys: ['atr'],
+    confirms: (latest, previous, side) => {
+      const move = side === 'buy' ? latest.price - previous.price : previous.price - latest.price;
+      return move >= ATR_CONFIRM_MULTIPLE * latest.atr;
+    }
+  },
+  volume: {
+    label: 'Volume',
+    description: 'Volume above its 20-bar average, with OBV moving the same way as the signal',
+    keys: ['volumeAvg', 'obv'],
+    confirms: (latest, previous, side) =>
+      latest.volume > latest.volumeAvg && (side === 'buy' ? latest.obv > previous.obv : latest.obv < previous.obv)
+  },
+  vwap: {
+    label: 'VWAP',
+    description: 'Price above the session VWAP for buys, below it for sells',
+    keys: ['vwap'],
+    confirms: (latest, previous, side) => (side === 'buy' ? latest.price > latest.vwap : latest.price < latest.vwap)
+  },
+  adx: {
+    label: 'ADX',
+    description: `Trending market (ADX ${ADX_TRENDING}+) with +DI above -DI for buys, below it for sells`,
+    keys: ['adx', 'plusDI', 'minusDI'],
+    confirms: (latest, previous, side) =>
+      latest.adx >= ADX_TRENDING && (side === 'buy' ? latest.plusDI > latest.minusDI : latest.plusDI < latest.minusDI)
+  },
+  stochastic: {
+    label: 'Stochastic',
+    description: '%K above %D and below 80 for buys, below %D and above 20 for sells',
+    keys: ['stochK', 'stochD'],
+    confirms: (latest, previous, side) => (side === 'buy'
+      ? latest.stochK > latest.stochD && latest.stochK < 80
+      : latest.stochK < latest.stochD && latest.stochK > 20)
+  },
+  cci: {
+    label: 'CCI',
+    description: 'CCI rising and above -100 for buys, falling and below +100 for sells',
+    keys: ['cci'],
+    confirms: (latest, previous, side) => (side === 'buy'
+      ? latest.cci > previous.cci && latest.cci > -100
+      : latest.cci < previous.cci && latest.cci < 100)
+  },
+  williamsR: {
+    label: 'Williams %R',
+    description: '%R rising and below -20 for buys, falling and above -80 for sells',
+    keys: ['williamsR'],
+    confirms: (latest, previous, side) => (side === 'buy'
+      ? latest.williamsR > previous.williamsR && latest.williamsR < -20
+      : latest.williamsR < previous.williamsR && latest.williamsR > -80)
+  }
+};
+
+// 'buy', 'sell' or null for HOLD and other neutral signals
+export const signalSide = (signal) => {
+  if (signal.signal.includes('BUY')) return 'buy';
+  if (signal.signal.includes('SELL')) return 'sell';
+  return null;
+};
+
+// Names of the enabled confirmations the latest bar fails (or can't be checked on yet)
+const failedConfirmations = (chartData, side, confirmations) => {
+  const latest = chartData[chartData.length - 1];
+  const previous = chartData[chartData.length - 2];
+
+  return Object.entries(CONFIRMATIONS)
+    .filter(([id]) => confirmations[id])
+    .filter(([, check]) => {
+      const ready = latest && previous && check.keys.every(key => isReady(latest, key));
+      return !ready || !check.confirms(latest, previous, side);
+    })
+    .map(([, check]) => check.label);
+};
+
+// Oscillators price can diverge from, by the point field they read
+export const DIVERGENCE_OSCILLATORS = {
+  rsi: { key: 'rsi', label: 'RSI' },
+  macd: { key: 'macd', label: 'MACD' },
+  obv: { key: 'obv', label: 'OBV' }
+};
+
+export const DIVERGENCE_DEFAULTS = { lookback: 10, pivotWidth: 2, oscillator: 'rsi' };
+
+/**
+ * The detectDivergence options a mode's params ask for.
+ */
+export const divergenceOptions = (params = {}) => ({
+  lookback: params.divergenceLookback ?? DIVERGENCE_DEFAULTS.lookback,
+  pivotWidth: params.divergencePivotWidth ?? DIVERGENCE_DEFAULTS.pivotWidth,
+  oscillator: params.divergenceOscillator ?? DIVERGENCE_DEFAULTS.oscillator
+});
+
+// Regular divergences warn of a reversal, hidden ones of a continuation; the
+// first that matches the last two pivots wins
+const DIVERGENCE_TYPES = [
+  { type: 'bearish_divergence', pivots: 'peaks', price: 1, oscillator: -1 }, // Higher high, lower oscillator high
+  { type: 'bullish_divergence', pivots: 'troughs', price: -1, oscillator: 1 }, // Lower low, higher oscillator low
+  { type: 'hidden_bearish_divergence', pivots: 'peaks', price: -1, oscillator: 1 }, // Lower high, higher oscillator high
+  { type: 'hidden_bullish_divergence', pivots: 'troughs', price: 1, oscillator: -1 } // Higher low, lower oscillator low
+];
+
+/**
+ * Looks for a divergence between price and an oscillator in the last
+ * `lookback` bars. A pivot is a bar above (or below) the `pivotWidth` bars
+ * on each side of it.
+ *
+ * @param {Array} data - Points with price and the oscillator's field.
+ * @param {Object} [options] - { lookback, pivotWidth, oscillator }, see DIVERGENCE_DEFAULTS.
+ * @returns {Object} { type, strength } - strength is the move between the
+ *   price pivots in percent (capped at 100). When a divergence was found it
+ *   also holds the oscillator id, `priceChange` (percent) and
+ *   `oscillatorChange` between the pivots, and `pivots` with the two price
+ *   and two oscillator turning points ({ index, value }, indexes into `data`).
+ */
+export const detectDivergence = (data, options = {}) => {
+  const { lookback, pivotWidth, oscillator } = { ...DIVERGENCE_DEFAULTS, ...options };
+  if (data.length < lookback + 5) return { type: 'none', strength: 0 };
+
+  const recent = data.slice(-lookback);
+  const offset = data.length - recent.length;
+  const price = findPivots(recent.map(d => d.price), pivotWidth);
+  const other = findPivots(recent.map(d => d[DIVERGENCE_OSCILLATORS[oscillator].key]), pivotWidth);
+
+  for (const candidate of DIVERGENCE_TYPES) {
+    const pricePivots = price[candidate.pivots].slice(-2);
+    const oscillatorPivots = other[candidate.pivots].slice(-2);
+    if (pricePivots.length < 2 || oscillatorPivots.length < 2) continue;
+
+    const [previousPrice, lastPrice] = pricePivots;
+    const [previousOscillator, lastOscillator] = oscillatorPivots;
+    const priceDirection = Math.sign(lastPrice.value - previousPrice.value);
+    const oscillatorDirection = Math.sign(lastOscillator.value - previousOscillator.value);
+    if (priceDirection !== candidate.price || oscillatorDirection !== candidate.oscillator) continue;
+
+    const strength = Math.abs(lastPrice.value - previousPrice.value) / previousPrice.value;
+    const shift = pivot => ({ index: pivot.index + offset, value: pivot.value });
+    return {
+      type: candidate.type,
+      strength: Math.min(strength * 100, 100),
+      oscillator,
+      priceChange: (lastPrice.value / previousPrice.value - 1) * 100,
+      oscillatorChange: lastOscillator.value - previousOscillator.value,
+      pivots: { price: pricePivots.map(shift), oscillator: oscillatorPivots.map(shift) }
+    };
+  }
+
+  return { type: 'none', strength: 0 };
+};
+
+/**
+ * Every divergence detectDivergence would have reported as the series
+ * unfolded, for listing and marking them on the charts. Windows start once
+ * the oscillator is past its warm-up, and a pair of pivots is only reported
+ * once.
+ *
+ * @param {Array} data
+ * @param {Object} [options] - As for detectDivergence.
+ * @returns {Array} [{ type, strength, oscillator, priceChange, oscillatorChange, pivots }], oldest first.
+ */
+export const findDivergences = (data, options = {}) => {
+  const settings = { ...DIVERGENCE_DEFAULTS, ...options };
+  const windowSize = settings.lookback + 5;
+  const start = data.findIndex(point => isReady(point, DIVERGENCE_OSCILLATORS[settings.oscillator].key));
+  if (start === -1) return [];
+
+  const found = new Map();
+  for (let end = start + windowSize; end <= data.length; end++) {
+    const windowStart = end - windowSize;
+    const divergence = detectDivergence(data.slice(windowStart, end), settings);
+    if (divergence.type === 'none') continue;
+
+    const shift = pivot => ({ index: pivot.index + windowStart, value: pivot.value });
+    const pivots = { price: divergence.pivots.price.map(shift), oscillator: divergence.pivots.oscillator.map(shift) };
+    const key = `${divergence.type}_${pivots.price[0].index}_${pivots.price[1].index}`;
+    if (!found.has(key)) found.set(key, { ...divergence, pivots });
+  }
+
+  return [...found.values()];
+};
+
+/**
+ * Computes the trading signal for the latest bar.
+ *
+ * @param {number} price
+ * @param {number} ema
+ * @param {number} rsi
+ * @param {number} previousPrice
+ * @param {number} previousEMA
+ * @param {Array} chartData - Points with indicators, see addIndicators.
+ * @param {string|Object} [mode] - A rule set id (see listRuleSets) or a rule set.
+ * @param {Object} [confirmations] - Ids of CONFIRMATIONS to require, e.g. { macd: true }.
+ * @returns {Object} { signal, color, icon, description, rule } - `rule` is the id of the rule that
+ *   fired; it is kept when a failed confirmation turns the signal into HOLD.
+ */
+export const getSignal = (price, ema, rsi, previousPrice, previousEMA, chartData, mode = DEFAULT_RULE_SET_ID, confirmations = {}) => {
+  const ruleSet = getRuleSet(mode);
+  const divergence = detectDivergence(chartData || [], divergenceOptions(ruleSet.params));
+  const latest = chartData?.[chartData.length - 1];
+  const signal = evaluateRules(ruleSet, {
+    price,
+    ema,
+    rsi,
+    previousPrice,
+    previousEMA,
+    divergence,
+    supportDistance: latest?.supportDistance ?? null,
+    resistanceDistance: latest?.resistanceDistance ?? null,
+    levelDistance: latest?.levelDistance ?? null
+  });
+  const side = signalSide(signal);
+  if (!side) return signal;
+
+  const failed = failedConfirmations(chartData || [], side, confirmations);
+  if (failed.length === 0) return signal;
+
+  return {
+    signal: 'HOLD',
+    color: '#f59e0b',
+    icon: Minus,
+    description: `${signal.description || signal.signal} - not confirmed by ${failed.join(', ')}`,
+    rule: signal.rule
+  };
+};
+
+/**
+ * The signal for the last bar of a series with indicators, WARMUP_SIGNAL
+ * while they warm up, or null with fewer than two bars. Modes with an EMA
+ * period other than 20 get their EMA computed here.
+ */
+export const getLatestSignal = (data, mode = DEFAULT_RULE_SET_ID, confirmations = {}) => {
+  if (data.length < 2) return null;
+
+  const { emaPeriod = 20 } = getRuleSet(mode).params;
+  const emaKey = `ema${emaPeriod}`;
+  const series = emaKey in data[data.length - 1] ? data : withEMA(data, { period: emaPeriod, key: emaKey });
+  const latest = series[series.length - 1];
+  const previous = series[series.length - 2];
+  if (!indicatorsReady(latest, previous, emaKey)) return WARMUP_SIGNAL;
+  return getSignal(latest.price, latest[emaKey], latest.rsi, previous.price, previous[emaKey], series, mode, confirmations);
+};
@@ -0,0 +1,204 @@
+// Incremental sync between providers and the candle store.
+// A refresh only requests bars newer than the last stored one, and holes in
+// stored history (skipped sessions, missed polls) are backfilled in the
+// background while the provider still has daily budget to spare.
+
+import { getProvider, PRIORITY } from './providers';
+import { INTERVAL_MS } from './candles';
+import { upsertCandles, getStoredCandles, getLastFetchedCandle } from './candleStore';
+import { runExclusive } from './tabCoordinator';
+import { isDataError, ERROR_KIND } from './errors';
+import { getMarketCalendar, isOpenAt, isWeekend, CALENDAR } from './marketCalendar';
+
+const SYNC = {
+  DEFAULT_BARS: 100,
+  MAX_FRESHNESS: 5 * 60 * 1000 // Bars fetched less than this (or one bar) ago are not refetched
+};
+
+const BACKFILL = {
+  MAX_REQUESTS_PER_RUN: 3,
+  MAX_CHECKED_RANGES: 200
+};
+
+const CHECKED_GAPS_KEY = 'analike_checked_gaps';
+
+// Whether a bar starting at `start` should exist: daily and longer bars need
+// a trading day, intraday bars need the session open at some point in the bar
+const isBarExpected = (calendar, start, interval) => {
+  const intervalMs = INTERVAL_MS[interval];
+  if (intervalMs >= INTERVAL_MS['1day']) {
+    return calendar === CALENDAR.ALWAYS || !isWeekend(new Date(start).toUTCString().slice(0, 3));
+  }
+  const step = Math.min(intervalMs, 30 * 60 * 1000);
+  for (let t = start; t < start + intervalMs; t += step) {
+    if (isOpenAt(calendar, t)) return true;
+  }
+  return false;
+};
+
+/**
+ * Finds holes in a stored series: runs of bars that should exist between two
+ * stored bars given the symbol's trading calendar.
+ *
+ * @param {Array} candles - Stored candles, oldest first.
+ * @param {string} interval
+ * @param {string} calendar - From getMarketCalendar.
+ * @returns {Array} Gaps as { from, to, missingBars } with ms timestamps.
+ */
+export const detectGaps = (candles, interval, calendar) => {
+  const intervalMs = INTERVAL_MS[interval];
+  const gaps = [];
+
+  for (let i = 1; i < candles.length; i++) {
+    const previous = new Date(candles[i - 1].time).getTime();
+    const next = new Date(candles[i].time).getTime();
+    let missingBars = 0;
+
+    // Half a bar of slack absorbs uneven bar lengths (months) and session-aligned bars
+    for (let t = previous + intervalMs; t <= next - intervalMs / 2; t += intervalMs) {
+      if (isBarExpected(calendar, t, interval)) missingBars++;
+    }
+
+    if (missingBars > 0) {
+      gaps.push({ from: previous + intervalMs, to: next - 1, missingBars });
+    }
+  }
+
+  return gaps;
+};
+
+// Ranges the provider already answered (possibly with nothing, e.g. holidays)
+const getCheckedRanges = (symbol, interval) => {
+  try {
+    return JSON.parse(localStorage.getItem(`${CHECKED_GAPS_KEY}_${symbol}_${interval}`)) || [];
+  } catch {
+    return [];
+  }
+};
+
+const markRangeChecked = (symbol, interval, gap) => {
+  try {
+    const ranges = [...getCheckedRanges(symbol, interval), [gap.from, gap.to]].slice(-BACKFILL.MAX_CHECKED_RANGES);
+    localStorage.setItem(`${CHECKED_GAPS_KEY}_${symbol}_${interval}`, JSON.stringify(ranges));
+  } catch (error) {
+    console.error('Error saving checked gaps:', error);
+  }
+};
+
+/**
+ * Brings a stored series up to date, requesting only bars after the last
+ * stored one, and queues a background backfill of any holes.
+ *
+ * @param {string} providerId
+ * @param {string} symbol
+ * @param {string} interval
+ * @param {Object} [options]
+ * @param {number} [options.bars] - How many recent bars to return.
+ * @param {number} [options.priority] - PRIORITY class of the tail fetch.
+ * @returns {Promise<Object>} { candles, fetched, lastUpdated }
+ */
+export const syncSeries = async (providerId, symbol, interval, { bars = SYNC.DEFAULT_BARS, priority = PRIORITY.USER } = {}) => {
+  const provider = getProvider(providerId);
+  const intervalMs = INTERVAL_MS[interval];
+  const now = Date.now();
+
+  // Quotes and snapshots written into the series (see getMarketData) were
+  // never fetched, so freshness and the bars to request go by the newest
+  // bar a provider returned
+  let last = null;
+  try {
+    last = await getLastFetchedCandle(symbol, interval);
+  } catch (error) {
+    console.warn('Candle store unavailable, fetching directly:', error.message);
+    const { candles, lastUpdated } = await provider.getCandles(symbol, interval, { outputSize: bars, priority });
+    return { candles, fetched: candles.length, lastUpdated };
+  }
+
+  let fetched = 0;
+  let lastUpdated = last ? new Date(last.updatedAt).toISOString() : null;
+
+  if (!last || now - last.fetchedAt >= Math.min(intervalMs, SYNC.MAX_FRESHNESS)) {
+    // The last fetched bar may still have been forming, so it is requested again
+    const missingBars = last
+      ? Math.ceil((now - new Date(last.time).getTime()) / intervalMs) + 1
+      : bars;
+    const outputSize = Math.min(Math.max(missingBars, 2), bars);
+
+    console.log(`Syncing ${symbol} ${interval}: requesting ${outputSize} bars`);
+    const result = await provider.getCandles(symbol, interval, { outputSize, priority });
+    await upsertCandles(symbol, interval, result.candles);
+    fetched = result.candles.length;
+    lastUpdated = result.lastUpdated;
+  } else {
+    console.log(`Stored ${symbol} ${interval} bars are fresh, skipping API call`);
+  }
+
+  const candles = await getStoredCandles(symbol, interval, { limit: bars });
+  scheduleBackfill(providerId, symbol, interval);
+
+  return { candles, fetched, lastUpdated };
+};
+
+/**
+ * Requests the bars missing from holes in a stored series.
+ *
+ * @returns {Promise<Object>} { gaps, requests, filled }
+ */
+export const backfillGaps = async (providerId, symbol, interval, { maxRequests = BACKFILL.MAX_REQUESTS_PER_RUN } = {}) => {
+  const provider = getProvider(providerId);
+  const stored = await getStoredCandles(symbol, interval);
+  const checked = getCheckedRanges(symbol, interval);
+  const gaps = detectGaps(stored, interval, getMarketCalendar(symbol))
+    .filter(gap => !checked.some(([from, to]) => from <= gap.from && to >= gap.to))
+    .reverse(); // Most recent holes first
+
+  let requests = 0;
+  let filled = 0;
+
+  for (const gap of gaps) {
+    // The scheduler keeps backfill off the budget reserved for user and auto-check requests
+    if (requests >= maxRequests || !provider.scheduler.canRun(PRIORITY.BACKFILL)) break;
+    requests++;
+
+    try {
+      const { candles } = await provider.getCandles(symbol, interval, {
+        from: gap.from,
+        to: gap.to,
+        outputSize: gap.missingBars + 1,
+        priority: PRIORITY.BACKFILL
+      });
+      await upsertCandles(symbol, interval, candles);
+      filled += candles.length;
+    } catch (error) {
+      if (isDataError(error, ERROR_KIND.QUOTA)) break;
+      if (!isDataError(error, ERROR_KIND.NO_DATA)) throw error;
+    }
+
+    // Whatever is still missing in this range is a market closure we do not model
+    markRangeChecked(symbol, interval, gap);
+  }
+
+  if (gaps.length > 0) {
+    console.log(`Backfill ${symbol} ${interval}: ${gaps.length} gaps, ${requests} requests, ${filled} bars`);
+  }
+
+  return { gaps: gaps.length, requests, filled };
+};
+
+// Backfills run one at a time so they never compete with each other for the
+// rate limit, and a series another tab is already backfilling is skipped
+let backfillChain = Promise.resolve();
+const pendingBackfills = new Set();
+
+export const scheduleBackfill = (providerId, symbol, interval) => {
+  const key = `${providerId}_${symbol}_${interval}`;
+  if (pendingBackfills.has(key)) return backfillChain;
+
+  pendingBackfills.add(key);
+  backfillChain = backfillChain
+    .then(() => runExclusive(`backfill_${key}`, () => backfillGaps(providerId, symbol, interval)))
+    .catch(error => console.warn(`Backfill failed for ${symbol} ${interval}:`, error.message))
+    .finally(() => pendingBackfills.delete(key));
+
+  return backfillChain;
+};
@@ -0,0 +1,147 @@
+// Coordination between open tabs of the dashboard.
+// Web Locks elect one tab per polling job to do the fetching, and a
+// BroadcastChannel hands its results to the other tabs. Browsers without
+// either API fall back to every tab working on its own.
+
+import { serializeError } from './errors';
+
+const CHANNEL_NAME = 'analike';
+const LOCK_PREFIX = 'analike_';
+
+const hasLocks = () => typeof navigator !== 'undefined' && !!navigator.locks;
+
+let channel = null;
+const listeners = new Map(); // Topic -> Set of handlers
+
+const getChannel = () => {
+  if (!channel && typeof BroadcastChannel !== 'undefined') {
+    channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = (event) => {
+      const { topic, payload } = event.data || {};
+      listeners.get(topic)?.forEach(handler => handler(payload));
+    };
+  }
+  return channel;
+};
+
+/**
+ * Sends a payload to every other tab listening on a topic. The payload must
+ * be structured-cloneable (plain data, no functions or components).
+ */
+export const publish = (topic, payload) => {
+  getChannel()?.postMessage({ topic, payload });
+};
+
+/**
+ * Listens for payloads other tabs publish on a topic.
+ *
+ * @returns {function} Unsubscribe.
+ */
+export const subscribe = (topic, handler) => {
+  getChannel();
+  if (!listeners.has(topic)) listeners.set(topic, new Set());
+  listeners.get(topic).add(handler);
+  return () => listeners.get(topic)?.delete(handler);
+};
+
+/**
+ * Runs `fn` while holding a lock shared by every tab, so no two tabs run it
+ * at the same time.
+ */
+export const withTabLock = (name, fn) =>
+  hasLocks() ? navigator.locks.request(`${LOCK_PREFIX}${name}`, fn) : Promise.resolve().then(fn);
+
+/**
+ * Runs `fn` unless another tab is already running it, in which case this
+ * resolves to null without waiting.
+ */
+export const runExclusive = (name, fn) => {
+  if (!hasLocks()) return Promise.resolve().then(fn);
+  return navigator.locks.request(`${LOCK_PREFIX}${name}`, { ifAvailable: true }, lock => (lock ? fn() : null));
+};
+
+/**
+ * Joins the election for one job. Exactly one joined tab leads at a time;
+ * when it leaves or closes, the longest-waiting tab takes over.
+ *
+ * @param {string} name - Job name; tabs joining the same name compete.
+ * @param {function(): (function|void)} onLead - Called on becoming leader, may return a cleanup.
+ * @returns {function} Leave the election (and stop leading).
+ */
+export const joinLeaderElection = (name, onLead) => {
+  if (!hasLocks()) {
+    const stop = onLead();
+    return () => stop?.();
+  }
+
+  const controller = new AbortController();
+  let resign = null;
+
+  navigator.locks.request(`${LOCK_PREFIX}leader_${name}`, { signal: controller.signal }, () =>
+    // The lock is held for as long as this promise is pending
+    new Promise(resolve => {
+      const stop = onLead();
+      resign = () => {
+        stop?.();
+        resolve();
+      };
+    })
+  ).catch(error => {
+    if (error.name !== 'AbortError') console.error(`Leader election failed for ${name}:`, error);
+  });
+
+  return () => {
+    controller.abort();
+    resign?.();
+  };
+};
+
+/**
+ * Polls a job from one leader tab and delivers each result to every tab
+ * that joined it, the leader included.
+ *
+ * @param {Object} options
+ * @param {string} options.name - Tabs polling the same data must use the same name.
+ * @param {number} options.intervalMs
+ * @param {function(function): Promise} options.run - Fetches and passes results to the emit callback it receives.
+ * @param {function(Object): void} options.onResult - Receives { data } or { error } (a serialized DataError).
+ * @param {function(boolean): void} [options.onLeaderChange] - Told whether this tab is polling.
+ * @param {boolean} [options.runImmediately] - Run as soon as a tab becomes leader.
+ * @returns {function} Stop polling and listening.
+ */
+export const createSharedPoll = ({ name, intervalMs, run, onResult, onLeaderChange = () => {}, runImmediately = false }) => {
+  const topic = `poll:${name}`;
+  const emit = (result) => {
+    onResult(result);
+    publish(topic, result);
+  };
+
+  const unsubscribe = subscribe(topic, onResult);
+  onLeaderChange(false);
+
+  const leave = joinLeaderElection(topic, () => {
+    console.log(`This tab now polls ${name}`);
+    onLeaderChange(true);
+
+    const tick = async () => {
+      try {
+        await run(data => emit({ data }));
+      } catch (error) {
+        emit({ error: serializeError(error) });
+      }
+    };
+
+    if (runImmediately) tick();
+    const intervalId = setInterval(tick, intervalMs);
+
+    return () => {
+      clearInterval(intervalId);
+      onLeaderChange(false);
+    };
+  });
+
+  return () => {
+    leave();
+    unsubscribe();
+  };
+};
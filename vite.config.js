@@ -1,16 +1,32 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react-swc'
+import finnhubProxy from './api/finnhub.js'
+import twelveDataProxy from './api/twelvedata.js'
 
-// https://vite.dev/config/
-export default defineConfig({
-  plugins: [react()],
-  server: {
-    proxy: {
-      '/api/finnhub': {
-        target: 'https://finnhub.io/api/v1',
-        changeOrigin: true,
-        rewrite: (path) => path.replace(/^\/api\/finnhub/, '')
-      }
+const API_ROUTES = {
+  '/api/finnhub/': finnhubProxy,
+  '/api/twelvedata/': twelveDataProxy
+}
+
+// Serves the /api functions from the dev server, so `npm run dev` talks to
+// the same key-injecting proxy as the Vercel deployment
+const apiFunctions = (env) => ({
+  name: 'api-functions',
+  configureServer(server) {
+    // Keys are server-only (no VITE_ prefix), so loadEnv must be asked for them
+    for (const key of ['FINNHUB_API_KEY', 'TWELVE_DATA_API_KEY']) {
+      if (env[key] && !process.env[key]) process.env[key] = env[key]
     }
+
+    server.middlewares.use((req, res, next) => {
+      const route = Object.keys(API_ROUTES).find((prefix) => req.url.startsWith(prefix))
+      if (!route) return next()
+      API_ROUTES[route](req, res)
+    })
   }
 })
+
+// https://vite.dev/config/
+export default defineConfig(({ mode }) => ({
+  plugins: [react(), apiFunctions(loadEnv(mode, process.cwd(), ''))]
+}))